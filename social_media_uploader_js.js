@@ -7,16 +7,24 @@
  * Usage:
  * const uploader = new SocialMediaUploader();
  * await uploader.uploadSingleClip('video.mp4', 'My Video Title');
+ *
+ * Configuration is loaded from the defaults below, an optional JSON/YAML file
+ * (--config), SMU_* environment variables and CLI flags, in that order.
  */
 
 const fs = require('fs');
 const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const os = require('os');
+const { spawn } = require('child_process');
 const axios = require('axios');
 const FormData = require('form-data');
 const { EventEmitter } = require('events');
+const { Writable } = require('stream');
 
 // ==========================================
-// CONFIGURATION SETTINGS - EDIT THESE
+// DEFAULT CONFIGURATION
 // ==========================================
 
 const CONFIG = {
@@ -27,27 +35,52 @@ const CONFIG = {
     YOUTUBE: {
         CLIENT_ID: 'your_youtube_client_id_here',
         CLIENT_SECRET: 'your_youtube_client_secret_here',
-        REDIRECT_URI: 'http://localhost:8080/callback'
+        REDIRECT_URI: 'http://localhost:8080/callback',
+        API_BASE_URL: 'https://www.googleapis.com',
+        CHUNK_SIZE: 8 * 1024 * 1024, // Must be a multiple of 256KB
+        CATEGORY_ID: '22', // People & Blogs
+        MAX_RESUME_ATTEMPTS: 5,
+        SHORTS: false // Hold clips to the Shorts spec (vertical, up to 3 minutes)
     },
     
     // Instagram API settings
     INSTAGRAM: {
         ACCESS_TOKEN: 'your_instagram_long_lived_access_token_here',
-        BUSINESS_ACCOUNT_ID: 'your_instagram_business_account_id_here'
+        BUSINESS_ACCOUNT_ID: 'your_instagram_business_account_id_here',
+        // Optional - required to refresh the long-lived token automatically
+        APP_ID: null,
+        APP_SECRET: null,
+        GRAPH_BASE_URL: 'https://graph.facebook.com',
+        RUPLOAD_BASE_URL: 'https://rupload.facebook.com',
+        API_VERSION: 'v18.0',
+        STATUS_POLL_INTERVAL_MS: 5000,
+        STATUS_TIMEOUT_MS: 10 * 60 * 1000
     },
     
     // TikTok API settings
     TIKTOK: {
         CLIENT_KEY: 'your_tiktok_client_key_here',
         CLIENT_SECRET: 'your_tiktok_client_secret_here',
-        REDIRECT_URI: 'http://localhost:8080/tiktok-callback'
+        REDIRECT_URI: 'http://localhost:8080/tiktok-callback',
+        API_BASE_URL: 'https://open.tiktokapis.com',
+        CHUNK_SIZE: 10 * 1024 * 1024, // TikTok accepts 5MB-64MB chunks
+        STATUS_POLL_INTERVAL_MS: 5000,
+        STATUS_TIMEOUT_MS: 10 * 60 * 1000
     },
     
     // LinkedIn API settings
     LINKEDIN: {
         CLIENT_ID: 'your_linkedin_client_id_here',
         CLIENT_SECRET: 'your_linkedin_client_secret_here',
-        PERSON_ID: 'your_linkedin_person_id_here'
+        REDIRECT_URI: 'http://localhost:8080/linkedin-callback',
+        PERSON_ID: 'your_linkedin_person_id_here',
+        // Post as a company page instead of the member (requires w_organization_social)
+        POST_AS: 'person', // 'person' or 'organization'
+        ORGANIZATION_ID: null,
+        API_BASE_URL: 'https://api.linkedin.com',
+        API_VERSION: '202401',
+        STATUS_POLL_INTERVAL_MS: 5000,
+        STATUS_TIMEOUT_MS: 10 * 60 * 1000
     },
     
     // Twitter API settings
@@ -55,7 +88,83 @@ const CONFIG = {
         API_KEY: 'your_twitter_api_key_here',
         API_SECRET: 'your_twitter_api_secret_here',
         ACCESS_TOKEN: 'your_twitter_access_token_here',
-        ACCESS_TOKEN_SECRET: 'your_twitter_access_token_secret_here'
+        ACCESS_TOKEN_SECRET: 'your_twitter_access_token_secret_here',
+        // OAuth 2.0 client (used by --login twitter)
+        CLIENT_ID: 'your_twitter_client_id_here',
+        CLIENT_SECRET: 'your_twitter_client_secret_here',
+        REDIRECT_URI: 'http://localhost:8080/twitter-callback',
+        UPLOAD_BASE_URL: 'https://upload.twitter.com',
+        API_BASE_URL: 'https://api.twitter.com',
+        CHUNK_SIZE: 4 * 1024 * 1024, // APPEND segments must be 5MB or smaller
+        STATUS_TIMEOUT_MS: 10 * 60 * 1000
+    },
+    
+    // OAuth settings
+    OAUTH: {
+        CALLBACK_TIMEOUT_MS: 5 * 60 * 1000,
+        OPEN_BROWSER: true
+    },
+    
+    // Encrypted token storage
+    TOKEN_VAULT: {
+        FILE: 'token_vault.json',
+        KEY_FILE: null, // Path to a key file; takes precedence over the passphrase
+        PASSPHRASE_ENV: 'SMU_VAULT_PASSPHRASE',
+        REFRESH_MARGIN_SECONDS: 300 // Refresh tokens this long before they expire
+    },
+    
+    // Account used per platform when several are stored in the vault
+    ACCOUNTS: {},
+    
+    // Third-party platform plugins run with full access, so none load unless configured
+    PLUGINS: {
+        DIRECTORY: null, // e.g. 'plugins' - every .js file or package folder in it is loaded
+        PACKAGES: [] // npm package names, e.g. ['smu-plugin-vimeo']
+    },
+    
+    // Persistent queue for scheduled uploads
+    JOB_STORE: {
+        FILE: 'scheduled_jobs.json',
+        LOCK_TIMEOUT_MS: 10000, // Locks older than this are treated as abandoned
+        STALE_JOB_MINUTES: 30, // Executing jobs without a heartbeat this long are retried
+        MAX_ATTEMPTS: 3,
+        RETENTION_HOURS: 24 // Completed and failed jobs are pruned after this long
+    },
+    
+    // Publishing limits per platform, counted in the platform's own units.
+    // Usage is shared between processes through FILE, and uploads over a
+    // limit are handed to the scheduler for when the window reopens.
+    QUOTAS: {
+        FILE: 'quota_state.json',
+        PLATFORMS: {
+            // Data API quota; videos.insert costs 1600 units and resets at midnight Pacific
+            youtube: { UNIT: 'quota units', LIMIT: 10000, COST: 1600, RESETS_AT: '00:00 America/Los_Angeles' },
+            instagram: { UNIT: 'posts', LIMIT: 50, COST: 1, WINDOW_HOURS: 24 },
+            tiktok: { UNIT: 'posts', LIMIT: 15, COST: 1, WINDOW_HOURS: 24 },
+            linkedin: { UNIT: 'posts', LIMIT: 150, COST: 1, WINDOW_HOURS: 24 },
+            twitter: { UNIT: 'posts', LIMIT: 17, COST: 1, WINDOW_HOURS: 24 }
+        }
+    },
+    
+    // Files already published to a platform are recognised by content hash
+    UPLOAD_LEDGER: {
+        FILE: 'upload_ledger.json',
+        ON_DUPLICATE: 'skip' // 'skip' or 'warn'; --force uploads regardless
+    },
+    
+    // Re-encode clips that break a platform's video spec with a local ffmpeg.
+    // Renditions are cached by content hash and reused across runs.
+    TRANSCODE: {
+        ENABLED: false,
+        FFMPEG_PATH: 'ffmpeg',
+        ADAPT_ASPECT: 'crop', // 'crop' or 'pad' to reach the platform's aspect ratio
+        CACHE_DIRECTORY: 'renditions',
+        CACHE_RETENTION_DAYS: 7
+    },
+    
+    // Every batch writes a manifest here so an interrupted run can be resumed
+    CHECKPOINTS: {
+        DIRECTORY: 'batches'
     },
     
     // Upload behavior
@@ -64,19 +173,49 @@ const CONFIG = {
     STAGGER_MINUTES: 30,
     MAX_RETRIES: 3,
     
+    // Backoff between attempts of a failed upload
+    RETRY: {
+        BASE_DELAY_SECONDS: 2,
+        MAX_DELAY_SECONDS: 120, // Cap on the exponential backoff
+        MAX_WAIT_SECONDS: 900 // Rate limits that reset later than this fail the upload instead
+    },
+    
+    // Parallel uploads within a batch. Each platform still starts one clip
+    // every STAGGER_MINUTES when staggering is on.
+    CONCURRENCY: {
+        MAX_UPLOADS: 3, // Across all platforms
+        PER_PLATFORM: 1,
+        PLATFORMS: {} // Per-platform overrides, e.g. { youtube: 2 }
+    },
+    
     // Default settings
     DEFAULT_PRIVACY: 'public',
     DEFAULT_TAGS: ['shorts', 'viral', 'video', 'content'],
     DEFAULT_DESCRIPTION: 'Check out this amazing clip! 🎬\n\n#shorts #viral #video',
+    THUMBNAIL_AT_SECONDS: null, // Without a thumbnail file, use the frame at this point (YouTube needs ffmpeg for it)
+    DEFAULT_CAPTION_LANGUAGE: 'en', // For caption files without a language in the name, e.g. clip.srt
+    
+    // Post text per platform. Variables: {title}, {description}, {tags} (the
+    // clip's tags as hashtags), {filename} and {date} (YYYY-MM-DD in TIMEZONE).
+    // Text over a platform's limits loses hashtags first, then the end of the
+    // description.
+    CAPTION_TEMPLATES: {
+        DEFAULT: '{title}\n\n{description}\n\n{tags}',
+        PLATFORMS: {
+            youtube: '{description}', // The title and tags are sent separately
+            twitter: '{title} {tags}'
+        }
+    },
     
     // Scheduling settings
     SCHEDULED_UPLOAD: false,
+    // Daily "HH:MM" per platform in TIMEZONE, or "HH:MM Area/City" for its own zone
     UPLOAD_SCHEDULE: {
         youtube: '09:00',
         instagram: '12:00',
         tiktok: '18:00'
     },
-    TIMEZONE: 'UTC',
+    TIMEZONE: 'UTC', // IANA name, e.g. 'America/New_York'; all schedule inputs are read in this zone
     DELAY_BETWEEN_PLATFORMS: 300, // 5 minutes in seconds
     RANDOM_DELAY: true
 };
@@ -89,26 +228,34 @@ class VideoClip {
     constructor({
         filePath,
         title,
-        description = CONFIG.DEFAULT_DESCRIPTION,
-        tags = [...CONFIG.DEFAULT_TAGS],
-        privacy = CONFIG.DEFAULT_PRIVACY,
+        description,
+        tags,
+        privacy,
         thumbnailPath = null,
+        thumbnailTime,
+        captions = [],
         scheduleTime = null,
-        platforms = [...CONFIG.PLATFORMS_TO_UPLOAD]
-    }) {
+        platforms
+    }, config = CONFIG) {
         this.filePath = filePath;
         this.title = title;
-        this.description = description;
-        this.tags = tags;
-        this.privacy = privacy;
-        this.thumbnailPath = thumbnailPath;
+        this.description = description ?? config.DEFAULT_DESCRIPTION;
+        this.tags = tags ?? [...config.DEFAULT_TAGS];
+        this.privacy = privacy ?? config.DEFAULT_PRIVACY;
+        this.thumbnailPath = thumbnailPath; // Local image, or a public URL
+        this.thumbnailTime = thumbnailTime ?? config.THUMBNAIL_AT_SECONDS;
+        this.captions = captions.map(caption => describeCaptionFile(caption, config.DEFAULT_CAPTION_LANGUAGE));
         this.scheduleTime = scheduleTime;
-        this.platforms = platforms;
+        this.platforms = platforms ?? [...config.PLATFORMS_TO_UPLOAD];
         this.uploadUrls = {};
         this.createdAt = new Date();
+        this.mediaInfo = null;
     }
 
-    validate() {
+    // Returns the platforms the clip is eligible for and why the others
+    // reject it. Throws when no platform will take it, unless the misfits
+    // are going to be transcoded.
+    validate({ transcoding = false, config = CONFIG } = {}) {
         if (!fs.existsSync(this.filePath)) {
             throw new Error(`File not found: ${this.filePath}`);
         }
@@ -117,14 +264,87 @@ class VideoClip {
             throw new Error('Title is required');
         }
         
-        const stats = fs.statSync(this.filePath);
-        const fileSizeMB = stats.size / (1024 * 1024);
+        if (this.thumbnailPath && !isRemoteUrl(this.thumbnailPath)) {
+            if (!fs.existsSync(this.thumbnailPath)) {
+                throw new Error(`Thumbnail not found: ${this.thumbnailPath}`);
+            }
+            if (!THUMBNAIL_EXTENSIONS.includes(path.extname(this.thumbnailPath).toLowerCase())) {
+                throw new Error(`Thumbnail must be a JPEG or PNG image: ${this.thumbnailPath}`);
+            }
+        }
         
-        if (fileSizeMB > 500) { // 500MB limit
-            throw new Error(`File too large: ${fileSizeMB.toFixed(2)}MB (max: 500MB)`);
+        const duration = this.getMediaInfo().duration;
+        if (this.thumbnailTime !== null && duration !== null && this.thumbnailTime >= duration) {
+            throw new Error(`Thumbnail time ${this.thumbnailTime}s is past the end of the ${duration.toFixed(1)}s video`);
         }
         
-        return true;
+        this.captions.forEach(caption => readCaptions(caption));
+        
+        const report = this.checkPlatformSpecs(config);
+        
+        if (report.eligible.length === 0 && !transcoding) {
+            const reasons = Object.entries(report.ineligible)
+                .map(([platform, problems]) => `${platform}: ${problems.join(', ')}`);
+            throw new Error(`Not eligible for any platform (${reasons.join('; ')})`);
+        }
+        
+        return report;
+    }
+    
+    getMediaInfo() {
+        if (!this.mediaInfo) {
+            this.mediaInfo = probeVideo(this.filePath);
+        }
+        
+        return this.mediaInfo;
+    }
+    
+    checkPlatformSpecs(config = CONFIG) {
+        const media = this.getMediaInfo();
+        const report = { eligible: [], ineligible: {} };
+        
+        for (const platform of this.platforms) {
+            const problems = checkVideoSpec(media, getPlatformVideoSpec(platform, config));
+            
+            if (problems.length > 0) {
+                report.ineligible[platform] = problems;
+            } else {
+                report.eligible.push(platform);
+            }
+        }
+        
+        return report;
+    }
+    
+    toJSON() {
+        return {
+            filePath: this.filePath,
+            title: this.title,
+            description: this.description,
+            tags: this.tags,
+            privacy: this.privacy,
+            thumbnailPath: this.thumbnailPath,
+            thumbnailTime: this.thumbnailTime,
+            captions: this.captions,
+            scheduleTime: this.scheduleTime ? new Date(this.scheduleTime).toISOString() : null,
+            platforms: this.platforms,
+            uploadUrls: this.uploadUrls,
+            createdAt: this.createdAt.toISOString()
+        };
+    }
+    
+    static fromJSON(data, config = CONFIG) {
+        const clip = new VideoClip({
+            ...data,
+            scheduleTime: data.scheduleTime ? new Date(data.scheduleTime) : null
+        }, config);
+        
+        clip.uploadUrls = data.uploadUrls || {};
+        if (data.createdAt) {
+            clip.createdAt = new Date(data.createdAt);
+        }
+        
+        return clip;
     }
 }
 
@@ -136,6 +356,42 @@ class UploadResult {
         this.error = error;
         this.uploadTime = new Date();
         this.retryCount = 0;
+        this.errorCategory = null; // 'retryable', 'non_retryable' or 'rate_limited'
+        this.retryAt = null; // When a rate limit that stopped the retries resets
+    }
+}
+
+// ==========================================
+// ERRORS
+// ==========================================
+
+class PlatformApiError extends Error {
+    constructor(platform, message, { status = null, code = null, details = null, headers = null } = {}) {
+        super(message);
+        this.name = 'PlatformApiError';
+        this.platform = platform;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.headers = headers || {};
+    }
+}
+
+class ConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.errors = errors;
+    }
+}
+
+class JobStateError extends Error {
+    constructor(jobId, action, status) {
+        super(`Cannot ${action} job ${jobId}: it is ${status}`);
+        this.name = 'JobStateError';
+        this.jobId = jobId;
+        this.action = action;
+        this.status = status;
     }
 }
 
@@ -143,22 +399,29 @@ class UploadResult {
 // UTILITY CLASSES
 // ==========================================
 
+// Where log lines are printed; the CLI routes them through the progress display
+let logOutput = console;
+
 class Logger {
+    static setOutput(output) {
+        logOutput = output;
+    }
+    
     static info(message, data = null) {
         const timestamp = new Date().toISOString();
-        console.log(`[${timestamp}] INFO: ${message}`, data || '');
+        logOutput.log(`[${timestamp}] INFO: ${message}`, data || '');
         this.writeToFile('INFO', message, data);
     }
     
     static error(message, error = null) {
         const timestamp = new Date().toISOString();
-        console.error(`[${timestamp}] ERROR: ${message}`, error || '');
+        logOutput.error(`[${timestamp}] ERROR: ${message}`, error || '');
         this.writeToFile('ERROR', message, error);
     }
     
     static warning(message, data = null) {
         const timestamp = new Date().toISOString();
-        console.warn(`[${timestamp}] WARNING: ${message}`, data || '');
+        logOutput.warn(`[${timestamp}] WARNING: ${message}`, data || '');
         this.writeToFile('WARNING', message, data);
     }
     
@@ -174,29 +437,381 @@ class Logger {
     }
 }
 
-class RateLimiter {
-    constructor(maxRequests = 50, windowMs = 3600000) { // 50 requests per hour
-        this.maxRequests = maxRequests;
-        this.windowMs = windowMs;
-        this.requests = [];
+// Runs at most `limit` tasks at once; the rest wait in arrival order
+class ConcurrencyLimiter {
+    constructor(limit) {
+        this.limit = limit;
+        this.active = 0;
+        this.waiting = [];
     }
     
-    async checkLimit() {
-        const now = Date.now();
-        this.requests = this.requests.filter(time => now - time < this.windowMs);
+    async run(task) {
+        if (this.active < this.limit) {
+            this.active++;
+        } else {
+            // release() hands its slot straight to the next waiter
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+        
+        try {
+            return await task();
+        } finally {
+            const next = this.waiting.shift();
+            if (next) {
+                next();
+            } else {
+                this.active--;
+            }
+        }
+    }
+}
+
+const LOCK_POLL_INTERVAL_MS = 50;
+
+function sleepSync(ms) {
+    Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+// A lockfile next to a data file, so several processes can take turns
+// rewriting it. A lock older than timeoutMs is treated as abandoned.
+class FileLock {
+    constructor(filePath, timeoutMs) {
+        this.lockPath = `${filePath}.lock`;
+        this.timeoutMs = timeoutMs;
+        this.token = null;
+    }
+    
+    // Blocks the event loop while waiting, so only for one-off commands
+    acquire() {
+        const deadline = Date.now() + this.timeoutMs;
         
-        if (this.requests.length >= this.maxRequests) {
-            const oldestRequest = Math.min(...this.requests);
-            const waitTime = this.windowMs - (now - oldestRequest);
-            Logger.warning(`Rate limit reached, waiting ${Math.round(waitTime / 1000)}s`);
-            await this.sleep(waitTime);
+        while (!this.tryAcquire()) {
+            this.checkDeadline(deadline);
+            sleepSync(LOCK_POLL_INTERVAL_MS);
         }
+    }
+    
+    async acquireAsync() {
+        const deadline = Date.now() + this.timeoutMs;
         
-        this.requests.push(now);
+        while (!this.tryAcquire()) {
+            this.checkDeadline(deadline);
+            await new Promise(resolve => setTimeout(resolve, LOCK_POLL_INTERVAL_MS));
+        }
     }
     
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    checkDeadline(deadline) {
+        if (Date.now() > deadline) {
+            throw new Error(`Timed out waiting for lock: ${this.lockPath}`);
+        }
+    }
+    
+    // An abandoned lock is replaced by renaming a fresh one over it, never
+    // deleted, so a waiter can't remove a lock another waiter just took. When
+    // two replace it at once, reading it back shows which of them won.
+    tryAcquire() {
+        const token = `${process.pid}@${os.hostname()}:${crypto.randomBytes(6).toString('hex')}`;
+        
+        try {
+            const fd = fs.openSync(this.lockPath, 'wx');
+            fs.writeSync(fd, token);
+            fs.closeSync(fd);
+            this.token = token;
+            return true;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+        }
+        
+        if (!this.isStale()) {
+            return false;
+        }
+        
+        Logger.warning(`Replacing abandoned lock: ${this.lockPath}`);
+        const tempPath = `${this.lockPath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, token);
+        fs.renameSync(tempPath, this.lockPath);
+        
+        if (this.readToken() !== token) {
+            return false;
+        }
+        
+        this.token = token;
+        return true;
+    }
+    
+    readToken() {
+        try {
+            return fs.readFileSync(this.lockPath, 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    isStale() {
+        try {
+            return Date.now() - fs.statSync(this.lockPath).mtimeMs > this.timeoutMs;
+        } catch (error) {
+            return error.code === 'ENOENT';
+        }
+    }
+    
+    // Leaves the lock alone if another process has taken it over as abandoned
+    release() {
+        if (this.readToken() === this.token) {
+            fs.rmSync(this.lockPath, { force: true });
+        }
+        this.token = null;
+    }
+}
+
+// A versioned JSON file holding one value under `key`. Updates re-read it
+// under a FileLock, so several processes can share the file.
+class LockedJsonFile {
+    constructor(filePath, { key, empty, description, lockTimeoutMs }) {
+        this.filePath = filePath;
+        this.key = key;
+        this.empty = empty;
+        this.description = description;
+        this.lock = new FileLock(filePath, lockTimeoutMs);
+    }
+    
+    read() {
+        if (!fs.existsSync(this.filePath)) {
+            return this.empty();
+        }
+        
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'))[this.key] || this.empty();
+        } catch (error) {
+            throw new Error(`${this.description} ${this.filePath} is unreadable: ${error.message}`);
+        }
+    }
+    
+    write(value) {
+        // Write to a temp file first so a crash never leaves a half-written file
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ version: 1, [this.key]: value }, null, 2));
+        fs.renameSync(tempPath, this.filePath);
+    }
+    
+    // Runs mutator against the stored value while holding the lock and saves
+    // the result. Waiting for the lock blocks, so this is for one-off
+    // commands; code that runs alongside uploads uses updateAsync.
+    update(mutator) {
+        this.lock.acquire();
+        return this.applyLocked(mutator);
+    }
+    
+    async updateAsync(mutator) {
+        await this.lock.acquireAsync();
+        return this.applyLocked(mutator);
+    }
+    
+    applyLocked(mutator) {
+        try {
+            const value = this.read();
+            const result = mutator(value);
+            this.write(value);
+            return result;
+        } finally {
+            this.lock.release();
+        }
+    }
+}
+
+// Renders uploadProgress events. On a terminal it keeps one live line per
+// upload below the log output; otherwise it prints a plain line every 10%.
+// Output written through this.console lands above the live lines.
+class ProgressDisplay {
+    constructor(stream = process.stdout, errorStream = process.stderr) {
+        this.stream = stream;
+        this.interactive = Boolean(stream.isTTY);
+        this.uploads = new Map();
+        this.renderedLines = 0;
+        this.console = new console.Console({
+            stdout: this.createWriter(stream),
+            stderr: this.createWriter(errorStream)
+        });
+    }
+    
+    attach(emitter) {
+        emitter.on('uploadProgress', progress => this.update(progress));
+        emitter.on('uploadSuccess', ({ platform, clip }) => this.remove(platform, clip));
+        emitter.on('uploadFailed', ({ platform, clip }) => this.remove(platform, clip));
+        emitter.on('uploadDeferred', ({ platform, clip }) => this.remove(platform, clip));
+        emitter.on('batchComplete', () => this.stop());
+        return this;
+    }
+    
+    update(progress) {
+        const key = `${progress.platform}:${progress.clip}`;
+        const previous = this.uploads.get(key);
+        this.uploads.set(key, progress);
+        
+        if (!this.interactive) {
+            const step = Math.floor(ProgressDisplay.percent(progress) / 10);
+            if (!previous || step > Math.floor(ProgressDisplay.percent(previous) / 10)) {
+                this.stream.write(`[progress] ${this.formatLine(progress)}\n`);
+            }
+            return;
+        }
+        
+        this.render();
+    }
+    
+    remove(platform, clip) {
+        if (this.uploads.delete(`${platform}:${clip}`) && this.interactive) {
+            this.render();
+        }
+    }
+    
+    stop() {
+        this.uploads.clear();
+        this.clear();
+    }
+    
+    // Log lines would land inside the live block, so erase the block first
+    // and redraw it on the next update
+    createWriter(stream) {
+        return new Writable({
+            write: (chunk, encoding, callback) => {
+                this.clear();
+                stream.write(chunk);
+                callback();
+            }
+        });
+    }
+    
+    clear() {
+        if (this.renderedLines > 0) {
+            this.writeRaw(`\x1b[${this.renderedLines}A\x1b[J`);
+            this.renderedLines = 0;
+        }
+    }
+    
+    render() {
+        this.clear();
+        
+        const width = (this.stream.columns || 80) - 1;
+        const lines = [...this.uploads.values()].map(progress => this.formatLine(progress, true).slice(0, width));
+        
+        if (lines.length > 0) {
+            this.writeRaw(`${lines.join('\n')}\n`);
+        }
+        this.renderedLines = lines.length;
+    }
+    
+    writeRaw(text) {
+        this.stream.write(text);
+    }
+    
+    formatLine(progress, withBar = false) {
+        const percent = ProgressDisplay.percent(progress);
+        const filled = Math.round(percent / 5);
+        const bar = withBar ? `[${'#'.repeat(filled)}${'-'.repeat(20 - filled)}] ` : '';
+        const eta = progress.eta === null ? '--:--' : ProgressDisplay.formatDuration(progress.eta);
+        
+        return `${progress.platform.padEnd(10)} ${bar}${String(percent).padStart(3)}% ` +
+            `${ProgressDisplay.formatBytes(progress.bytesSent)}/${ProgressDisplay.formatBytes(progress.totalBytes)} ` +
+            `${ProgressDisplay.formatBytes(progress.throughput)}/s ETA ${eta}  ${progress.clip}`;
+    }
+    
+    static percent(progress) {
+        return progress.totalBytes > 0 ? Math.floor(progress.bytesSent / progress.totalBytes * 100) : 100;
+    }
+    
+    static formatBytes(bytes) {
+        if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)}GB`;
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+        if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+        return `${Math.round(bytes)}B`;
+    }
+    
+    static formatDuration(seconds) {
+        const total = Math.ceil(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const rest = String(total % 60).padStart(2, '0');
+        
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+    }
+}
+
+// Manifest of one upload batch: the clips, and which clip/platform pairs have
+// finished. Deferred pairs count as finished since the scheduler owns them.
+// Without a directory the manifest is only kept in memory.
+class BatchCheckpoint {
+    constructor(manifest, directory) {
+        this.manifest = manifest;
+        this.filePath = directory ? path.join(directory, `${manifest.id}.json`) : null;
+    }
+    
+    get id() {
+        return this.manifest.id;
+    }
+    
+    static create(clips, config = CONFIG, { persist = true } = {}) {
+        const now = new Date().toISOString();
+        const checkpoint = new BatchCheckpoint({
+            version: 1,
+            id: `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            status: 'running',
+            createdAt: now,
+            updatedAt: now,
+            clips: clips.map(clip => ({ clip: clip.toJSON(), completed: {} }))
+        }, persist ? config.CHECKPOINTS.DIRECTORY : null);
+        
+        checkpoint.save();
+        return checkpoint;
+    }
+    
+    static load(batchId, config = CONFIG) {
+        const directory = config.CHECKPOINTS.DIRECTORY;
+        const filePath = path.join(directory, `${path.basename(batchId)}.json`);
+        
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`No checkpoint for batch ${batchId} in ${directory}`);
+        }
+        
+        try {
+            return new BatchCheckpoint(JSON.parse(fs.readFileSync(filePath, 'utf8')), directory);
+        } catch (error) {
+            throw new Error(`Checkpoint ${filePath} is unreadable: ${error.message}`);
+        }
+    }
+    
+    getClips(config = CONFIG) {
+        return this.manifest.clips.map(entry => VideoClip.fromJSON(entry.clip, config));
+    }
+    
+    getCompleted(index, platform) {
+        return this.manifest.clips[index].completed[platform] || null;
+    }
+    
+    countCompleted() {
+        return this.manifest.clips.reduce((total, entry) => total + Object.keys(entry.completed).length, 0);
+    }
+    
+    markCompleted(index, platform, result) {
+        this.manifest.clips[index].completed[platform] = { ...result, completedAt: new Date().toISOString() };
+        this.save();
+    }
+    
+    finish() {
+        this.manifest.status = 'completed';
+        this.save();
+    }
+    
+    save() {
+        this.manifest.updatedAt = new Date().toISOString();
+        if (!this.filePath) return;
+        
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        
+        // Same temp-file-and-rename as the job store, so a crash can't corrupt it
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(this.manifest, null, 2));
+        fs.renameSync(tempPath, this.filePath);
     }
 }
 
@@ -276,323 +891,4447 @@ class Analytics {
 }
 
 // ==========================================
-// PLATFORM UPLOADERS
+// VIDEO PROBING
 // ==========================================
 
-class PlatformUploader extends EventEmitter {
-    constructor(platformName) {
-        super();
-        this.platformName = platformName;
-        this.rateLimiter = new RateLimiter();
-        this.authenticated = false;
-    }
+// Files picked up from clip and watch folders; all are ISO BMFF, so the probe reads them
+const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mov'];
+const MP4_BOX_HEADER_SIZE = 8;
+const ASPECT_RATIO_TOLERANCE = 0.02;
+
+// Sample entry types from stsd, by the names used in VIDEO specs
+const CODEC_NAMES = {
+    avc1: 'h264',
+    avc3: 'h264',
+    hvc1: 'hevc',
+    hev1: 'hevc',
+    vp09: 'vp9',
+    av01: 'av1',
+    mp4v: 'mpeg4',
+    apcn: 'prores',
+    apch: 'prores',
+    mp4a: 'aac',
+    'ac-3': 'ac3',
+    'ec-3': 'eac3',
+    Opus: 'opus',
+    lpcm: 'pcm',
+    sowt: 'pcm',
+    twos: 'pcm'
+};
+
+function isVideoFile(filePath) {
+    return VIDEO_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+}
+
+// Reads an MP4/MOV file's duration, display resolution, codecs and bitrate
+// from its moov box. Only box headers are read on the way there, so the
+// media data is never loaded. Other containers get the file size only.
+function probeVideo(filePath) {
+    const size = fs.statSync(filePath).size;
+    const info = {
+        container: null,
+        size,
+        duration: null,
+        width: null,
+        height: null,
+        rotation: 0,
+        aspectRatio: null,
+        videoCodec: null,
+        audioCodec: null,
+        bitrate: null
+    };
     
-    async authenticate() {
-        throw new Error('authenticate() must be implemented by subclass');
+    if (!isVideoFile(filePath)) {
+        Logger.warning(`Only MP4/MOV files can be probed - ${filePath} is checked by size alone`);
+        return info;
     }
     
-    async upload(clip) {
-        throw new Error('upload() must be implemented by subclass');
+    let moov;
+    try {
+        ({ moov, brand: info.container } = readMoovBox(filePath, size));
+    } catch (error) {
+        throw new Error(`Cannot read video metadata from ${filePath}: ${error.message}`);
     }
     
-    async uploadWithRetry(clip, maxRetries = CONFIG.MAX_RETRIES) {
-        let lastError = null;
+    const mvhd = findBox(moov, 'mvhd');
+    let duration = mvhd ? readMediaDuration(mvhd) : 0;
+    
+    for (const trak of readBoxes(moov).filter(box => box.type === 'trak')) {
+        const track = readTrack(trak.body);
         
-        for (let attempt = 1; attempt <= maxRetries; attempt++) {
-            try {
-                await this.rateLimiter.checkLimit();
-                Logger.info(`Uploading to ${this.platformName} (attempt ${attempt}/${maxRetries})`);
-                
-                const result = await this.upload(clip);
-                if (result) {
-                    Logger.info(`✅ Successfully uploaded to ${this.platformName}: ${result}`);
-                    return new UploadResult(this.platformName, true, result);
-                }
-            } catch (error) {
-                lastError = error;
-                Logger.error(`Upload to ${this.platformName} failed (attempt ${attempt}): ${error.message}`);
-                
-                if (attempt < maxRetries) {
-                    const delay = Math.pow(2, attempt) * 1000; // Exponential backoff
-                    Logger.info(`Retrying in ${delay/1000}s...`);
-                    await this.sleep(delay);
-                }
-            }
-        }
+        // Fragmented files leave mvhd empty, so fall back to the longest track
+        duration = Math.max(duration, track.duration);
         
-        return new UploadResult(this.platformName, false, null, lastError?.message);
+        if (track.handler === 'vide' && !info.videoCodec) {
+            info.videoCodec = track.codec;
+            info.rotation = track.rotation;
+            
+            const swap = track.rotation % 180 !== 0;
+            info.width = swap ? track.height : track.width;
+            info.height = swap ? track.width : track.height;
+        } else if (track.handler === 'soun' && !info.audioCodec) {
+            info.audioCodec = track.codec;
+        }
     }
     
-    sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    if (duration > 0) {
+        info.duration = duration;
+        info.bitrate = Math.round(size * 8 / duration);
     }
-    
-    generateRandomDelay() {
-        return CONFIG.RANDOM_DELAY ? Math.floor(Math.random() * 60 * 1000) : 0; // 0-60 seconds
+    if (info.width && info.height) {
+        info.aspectRatio = info.width / info.height;
     }
+    
+    return info;
 }
 
-class YouTubeUploader extends PlatformUploader {
-    constructor() {
-        super('YouTube');
-        this.accessToken = null;
-        this.refreshToken = null;
-    }
+function readMoovBox(filePath, fileSize) {
+    const fd = fs.openSync(filePath, 'r');
+    const header = Buffer.alloc(16);
+    let brand = null;
+    let offset = 0;
     
-    async authenticate() {
-        // This is a simplified version - real implementation needs OAuth flow
-        Logger.info('YouTube authentication required - implement OAuth 2.0 flow');
-        
-        // Mock authentication for demonstration
-        if (CONFIG.YOUTUBE.CLIENT_ID !== 'your_youtube_client_id_here') {
-            this.accessToken = 'mock_youtube_token';
-            this.authenticated = true;
-            return true;
+    try {
+        while (offset + MP4_BOX_HEADER_SIZE <= fileSize) {
+            fs.readSync(fd, header, 0, header.length, offset);
+            const { type, size, headerSize } = readBoxHeader(header, 0, fileSize - offset);
+            
+            if (type === 'ftyp') {
+                brand = header.toString('latin1', 8, 12).trim();
+            } else if (type === 'moov') {
+                const moov = Buffer.alloc(size - headerSize);
+                fs.readSync(fd, moov, 0, moov.length, offset + headerSize);
+                return { moov, brand };
+            }
+            
+            offset += size;
         }
-        
-        return false;
+    } finally {
+        fs.closeSync(fd);
     }
     
-    async upload(clip) {
-        if (!this.authenticated && !await this.authenticate()) {
-            throw new Error('YouTube authentication failed');
+    throw new Error('no moov box (not an MP4/MOV file, or an incomplete one)');
+}
+
+// A size of 1 means a 64-bit size follows the type; 0 means "to the end"
+function readBoxHeader(buffer, offset, available) {
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let size = buffer.readUInt32BE(offset);
+    let headerSize = MP4_BOX_HEADER_SIZE;
+    
+    if (size === 1) {
+        size = Number(buffer.readBigUInt64BE(offset + 8));
+        headerSize = 16;
+    } else if (size === 0) {
+        size = available;
+    }
+    
+    if (size < headerSize || size > available) {
+        throw new Error(`corrupt box header (type "${type}")`);
+    }
+    
+    return { type, size, headerSize };
+}
+
+function readBoxes(buffer) {
+    const boxes = [];
+    let offset = 0;
+    
+    while (offset + MP4_BOX_HEADER_SIZE <= buffer.length) {
+        const { type, size, headerSize } = readBoxHeader(buffer, offset, buffer.length - offset);
+        boxes.push({ type, body: buffer.subarray(offset + headerSize, offset + size) });
+        offset += size;
+    }
+    
+    return boxes;
+}
+
+// Follows a path of nested box types, e.g. findBox(trak, 'mdia', 'hdlr')
+function findBox(buffer, ...types) {
+    let current = buffer;
+    
+    for (const type of types) {
+        const box = readBoxes(current).find(child => child.type === type);
+        if (!box) return null;
+        current = box.body;
+    }
+    
+    return current;
+}
+
+// mvhd and mdhd share a layout: version 1 widens the times to 64 bits
+function readMediaDuration(body) {
+    const timescale = body[0] === 1 ? body.readUInt32BE(20) : body.readUInt32BE(12);
+    const duration = body[0] === 1 ? Number(body.readBigUInt64BE(24)) : body.readUInt32BE(16);
+    return timescale > 0 ? duration / timescale : 0;
+}
+
+function readTrack(trak) {
+    const track = { handler: null, codec: null, duration: 0, width: 0, height: 0, rotation: 0 };
+    
+    const hdlr = findBox(trak, 'mdia', 'hdlr');
+    if (hdlr) {
+        track.handler = hdlr.toString('latin1', 8, 12);
+    }
+    
+    const mdhd = findBox(trak, 'mdia', 'mdhd');
+    if (mdhd) {
+        track.duration = readMediaDuration(mdhd);
+    }
+    
+    const stsd = findBox(trak, 'mdia', 'minf', 'stbl', 'stsd');
+    if (stsd && stsd.readUInt32BE(4) > 0) {
+        const entryType = stsd.toString('latin1', 12, 16);
+        track.codec = CODEC_NAMES[entryType] || entryType.trim();
+        
+        // Visual sample entries carry the coded size, used if tkhd has none
+        if (track.handler === 'vide' && stsd.length >= 44) {
+            track.width = stsd.readUInt16BE(40);
+            track.height = stsd.readUInt16BE(42);
         }
+    }
+    
+    // tkhd: 16.16 fixed-point display size after a 3x3 transformation matrix
+    const tkhd = findBox(trak, 'tkhd');
+    if (tkhd) {
+        const matrixOffset = tkhd[0] === 1 ? 52 : 40;
+        const a = tkhd.readInt32BE(matrixOffset);
+        const b = tkhd.readInt32BE(matrixOffset + 4);
+        const width = tkhd.readUInt32BE(matrixOffset + 36) / 65536;
+        const height = tkhd.readUInt32BE(matrixOffset + 40) / 65536;
         
-        // YouTube upload implementation would go here
-        // This is a mock implementation
-        const mockVideoId = `yt_${Date.now()}`;
-        const videoUrl = `https://youtube.com/watch?v=${mockVideoId}`;
+        // The matrix rotates phone videos; the sizes are from before rotation
+        track.rotation = (Math.round(Math.atan2(b, a) * 180 / Math.PI) + 360) % 360;
         
-        Logger.info(`Mock YouTube upload: ${clip.title}`);
-        Logger.info(`Description: ${clip.description.substring(0, 100)}...`);
-        Logger.info(`Tags: ${clip.tags.join(', ')}`);
+        if (width > 0 && height > 0) {
+            track.width = Math.round(width);
+            track.height = Math.round(height);
+        }
+    }
+    
+    return track;
+}
+
+// Reasons a probed file breaks a platform's video spec; empty when it fits.
+// Checks that need metadata the probe couldn't get are skipped.
+function checkVideoSpec(media, spec) {
+    const problems = [];
+    if (!spec) return problems;
+    
+    if (spec.maxSizeMB && media.size > spec.maxSizeMB * 1024 * 1024) {
+        problems.push(`file is ${(media.size / (1024 * 1024)).toFixed(1)}MB (max ${spec.maxSizeMB}MB)`);
+    }
+    
+    if (media.duration !== null) {
+        if (spec.minDuration && media.duration < spec.minDuration) {
+            problems.push(`${media.duration.toFixed(1)}s long (min ${spec.minDuration}s)`);
+        }
+        if (spec.maxDuration && media.duration > spec.maxDuration) {
+            problems.push(`${media.duration.toFixed(1)}s long (max ${spec.maxDuration}s)`);
+        }
+    }
+    
+    if (media.aspectRatio !== null) {
+        const dimensions = `${media.width}x${media.height}`;
         
-        // Simulate upload time
-        await this.sleep(2000);
+        if (spec.orientation === 'vertical' && media.width > media.height) {
+            problems.push(`${dimensions} is not vertical`);
+        }
         
-        return videoUrl;
+        const ratios = spec.aspectRatios || [];
+        const matches = ratios.some(ratio => {
+            const [width, height] = ratio.split(':').map(Number);
+            return Math.abs(media.aspectRatio / (width / height) - 1) <= ASPECT_RATIO_TOLERANCE;
+        });
+        if (ratios.length > 0 && !matches) {
+            problems.push(`${dimensions} is ${describeAspectRatio(media.width, media.height)} (needs ${ratios.join(' or ')})`);
+        }
+    }
+    
+    if (spec.videoCodecs && media.videoCodec && !spec.videoCodecs.includes(media.videoCodec)) {
+        problems.push(`${media.videoCodec} video (needs ${spec.videoCodecs.join(' or ')})`);
+    }
+    if (spec.audioCodecs && media.audioCodec && !spec.audioCodecs.includes(media.audioCodec)) {
+        problems.push(`${media.audioCodec} audio (needs ${spec.audioCodecs.join(' or ')})`);
     }
+    
+    return problems;
 }
 
-class InstagramUploader extends PlatformUploader {
-    constructor() {
-        super('Instagram');
-        this.accessToken = CONFIG.INSTAGRAM.ACCESS_TOKEN;
-        this.accountId = CONFIG.INSTAGRAM.BUSINESS_ACCOUNT_ID;
+// 1080x1920 -> "9:16"; sizes without a small exact ratio -> "1.85:1"
+function describeAspectRatio(width, height) {
+    const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+    const divisor = gcd(width, height);
+    
+    if (width / divisor <= 32 && height / divisor <= 32) {
+        return `${width / divisor}:${height / divisor}`;
     }
     
-    async authenticate() {
-        if (!this.accessToken || this.accessToken === 'your_instagram_long_lived_access_token_here') {
-            return false;
+    return `${(width / height).toFixed(2)}:1`;
+}
+
+// ==========================================
+// TRANSCODING
+// ==========================================
+
+const RENDITION_AUDIO_BITRATE = 128000;
+const RENDITION_MIN_VIDEO_BITRATE = 200000;
+const RENDITION_MAX_VIDEO_BITRATE = 20000000; // Well above what the platforms serve
+const RENDITION_SIZE_HEADROOM = 0.95; // Container overhead on top of the stream bitrates
+
+// Encodes platform-specific renditions with ffmpeg. Renditions are named after
+// the source's SHA-256 and the encoding settings, so a clip is only encoded
+// once per set of settings; partial outputs are removed by cleanup().
+class Transcoder {
+    constructor(config = CONFIG) {
+        this.config = config;
+        this.settings = config.TRANSCODE;
+        this.tempFiles = new Set();
+        this.encoding = new Map();
+    }
+    
+    // Returns a copy of the clip pointing at a rendition that meets the
+    // platform's spec, encoding it unless an earlier run already did
+    async createRendition(clip, platform, fingerprint) {
+        const spec = getPlatformVideoSpec(platform, this.config) || {};
+        const media = clip.getMediaInfo();
+        const args = this.buildArguments(media, spec);
+        
+        const settingsHash = crypto.createHash('sha256').update(JSON.stringify(args)).digest('hex');
+        const outputPath = path.join(
+            this.settings.CACHE_DIRECTORY,
+            `${fingerprint.sha256.slice(0, 16)}_${settingsHash.slice(0, 8)}.mp4`
+        );
+        
+        if (fs.existsSync(outputPath)) {
+            Logger.info(`Using cached ${platform} rendition of ${clip.title}: ${outputPath}`);
+            const now = new Date();
+            fs.utimesSync(outputPath, now, now);
+        } else {
+            // Platforms with the same spec share one encode
+            if (!this.encoding.has(outputPath)) {
+                this.encoding.set(outputPath, this.encode(clip.filePath, outputPath, args)
+                    .finally(() => this.encoding.delete(outputPath)));
+            }
+            
+            Logger.info(`Transcoding ${clip.title} for ${platform}...`);
+            await this.encoding.get(outputPath);
         }
         
-        try {
-            // Verify token validity
-            const response = await axios.get(
-                `https://graph.facebook.com/v18.0/me?access_token=${this.accessToken}`
-            );
+        const problems = checkVideoSpec(probeVideo(outputPath), spec);
+        if (problems.length > 0) {
+            throw new Error(`Rendition for ${platform} still does not fit: ${problems.join(', ')}`);
+        }
+        
+        const rendition = new VideoClip({ ...clip, filePath: outputPath }, this.config);
+        rendition.uploadUrls = clip.uploadUrls;
+        return rendition;
+    }
+    
+    buildArguments(media, spec) {
+        const filters = [];
+        const output = [];
+        
+        // ffmpeg applies the rotation before filtering, so iw/ih are the display size
+        const target = (spec.aspectRatios && spec.aspectRatios[0]) ||
+            (spec.orientation === 'vertical' && media.width > media.height ? '9:16' : null);
+        
+        if (target) {
+            const [width, height] = target.split(':').map(Number);
+            filters.push(this.settings.ADAPT_ASPECT === 'pad'
+                ? `pad='max(iw,ih*${width}/${height})':'max(ih,iw*${height}/${width})':(ow-iw)/2:(oh-ih)/2:black`
+                : `crop='min(iw,ih*${width}/${height})':'min(ih,iw*${height}/${width})'`);
+        }
+        
+        // H.264 with 4:2:0 chroma needs even dimensions
+        filters.push('scale=trunc(iw/2)*2:trunc(ih/2)*2', 'setsar=1');
+        
+        let duration = media.duration;
+        if (spec.maxDuration && duration !== null && duration > spec.maxDuration) {
+            duration = spec.maxDuration;
+            output.push('-t', String(spec.maxDuration));
+        }
+        
+        output.push('-vf', filters.join(','));
+        output.push('-c:v', 'libx264', '-preset', 'medium', '-crf', '23', '-pix_fmt', 'yuv420p');
+        
+        // Cap the bitrate so the whole file lands under the size limit
+        let videoBitrate = RENDITION_MAX_VIDEO_BITRATE;
+        if (spec.maxSizeMB && duration) {
+            const budget = spec.maxSizeMB * 1024 * 1024 * 8 * RENDITION_SIZE_HEADROOM / duration;
+            videoBitrate = Math.min(videoBitrate, Math.floor(budget - RENDITION_AUDIO_BITRATE));
             
-            this.authenticated = true;
-            return true;
-        } catch (error) {
-            Logger.error('Instagram token validation failed', error.message);
-            return false;
+            if (videoBitrate < RENDITION_MIN_VIDEO_BITRATE) {
+                throw new Error(`${duration.toFixed(0)}s of video cannot fit in ${spec.maxSizeMB}MB`);
+            }
         }
+        output.push('-maxrate', String(videoBitrate), '-bufsize', String(videoBitrate * 2));
+        
+        output.push('-c:a', 'aac', '-b:a', String(RENDITION_AUDIO_BITRATE));
+        output.push('-movflags', '+faststart');
+        
+        return output;
     }
     
-    async upload(clip) {
-        if (!this.authenticated && !await this.authenticate()) {
-            throw new Error('Instagram authentication failed');
+    async extractFrame(inputPath, seconds, outputPath) {
+        await this.runFfmpeg([
+            '-y', '-hide_banner', '-loglevel', 'error',
+            '-ss', String(seconds), '-i', inputPath,
+            '-frames:v', '1', '-q:v', '2', outputPath
+        ]);
+        
+        // Seeking past the last frame succeeds without writing anything
+        if (!fs.existsSync(outputPath)) {
+            throw new Error(`No frame at ${seconds}s in ${inputPath}`);
         }
+    }
+    
+    // Encodes to a temp file first so an interrupted encode never looks cached
+    async encode(inputPath, outputPath, args) {
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        
+        const tempPath = `${outputPath}.${process.pid}.tmp.mp4`;
+        this.tempFiles.add(tempPath);
         
         try {
-            // Step 1: Create media container
-            const createUrl = `https://graph.facebook.com/v18.0/${this.accountId}/media`;
-            
-            // Note: In real implementation, you'd need to upload the video file first
-            // and provide the video_url parameter
-            const mockVideoUrl = `https://example.com/uploads/${path.basename(clip.filePath)}`;
+            await this.runFfmpeg(['-y', '-hide_banner', '-loglevel', 'error', '-i', inputPath, ...args, tempPath]);
+            fs.renameSync(tempPath, outputPath);
+        } finally {
+            fs.rmSync(tempPath, { force: true });
+            this.tempFiles.delete(tempPath);
+        }
+    }
+    
+    runFfmpeg(args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(this.settings.FFMPEG_PATH, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+            let stderr = '';
             
-            const createParams = {
-                media_type: 'REELS',
-                video_url: mockVideoUrl,
-                caption: `${clip.title}\n\n${clip.description}`,
-                access_token: this.accessToken
-            };
+            child.stderr.on('data', chunk => {
+                stderr = (stderr + chunk).slice(-2000); // Keep the tail, where the error is
+            });
             
-            Logger.info(`Mock Instagram Reels creation: ${clip.title}`);
+            child.on('error', error => {
+                reject(error.code === 'ENOENT'
+                    ? new Error(`ffmpeg not found at "${this.settings.FFMPEG_PATH}" - install it or set TRANSCODE.FFMPEG_PATH`)
+                    : error);
+            });
             
-            // Mock container creation
-            const containerId = `ig_container_${Date.now()}`;
+            child.on('close', code => {
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(`ffmpeg exited with code ${code}: ${stderr.trim().split('\n').pop() || 'no output'}`));
+                }
+            });
+        });
+    }
+    
+    // Removes partial encodes from this batch and renditions unused for
+    // longer than CACHE_RETENTION_DAYS
+    cleanup() {
+        this.tempFiles.forEach(tempPath => fs.rmSync(tempPath, { force: true }));
+        this.tempFiles.clear();
+        
+        const directory = this.settings.CACHE_DIRECTORY;
+        if (!fs.existsSync(directory)) {
+            return;
+        }
+        
+        const cutoff = Date.now() - this.settings.CACHE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        
+        for (const file of fs.readdirSync(directory)) {
+            const filePath = path.join(directory, file);
             
-            // Step 2: Publish if auto-publish is enabled
-            if (CONFIG.AUTO_PUBLISH) {
-                const publishUrl = `https://graph.facebook.com/v18.0/${this.accountId}/media_publish`;
-                const mediaId = `ig_media_${Date.now()}`;
-                const videoUrl = `https://instagram.com/reel/${mediaId}`;
-                
-                Logger.info(`Mock Instagram publish successful: ${videoUrl}`);
-                return videoUrl;
-            } else {
-                Logger.info(`Instagram media created as draft: ${containerId}`);
-                return `https://instagram.com/draft/${containerId}`;
+            try {
+                if (fs.statSync(filePath).mtimeMs < cutoff) {
+                    fs.rmSync(filePath, { force: true });
+                    Logger.info(`Removed expired rendition: ${filePath}`);
+                }
+            } catch (error) {
+                Logger.warning(`Could not clean up rendition ${filePath}`, error.message);
+            }
+        }
+    }
+}
+
+// ==========================================
+// CAPTIONS
+// ==========================================
+
+const CAPTION_FORMATS = ['srt', 'vtt'];
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/; // BCP 47, e.g. "en", "pt-BR"
+const CUE_TIMING_PATTERN = /^((?:\d+:)?\d{2}:\d{2}[,.]\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}[,.]\d{3})/;
+// WebVTT-only markup: voice, class, language and ruby spans, and karaoke timestamps
+const VTT_ONLY_TAGS = /<\/?(?:v|c|lang|ruby|rt)(?:[ .][^>]*)?>|<\d[^>]*>/g;
+
+// A caption file as { filePath, language, format, name }. Paths may carry the
+// language before the extension ("clip.pt-BR.srt").
+function describeCaptionFile(caption, defaultLanguage = CONFIG.DEFAULT_CAPTION_LANGUAGE) {
+    const { filePath, language = null, format = null, name = '' } = typeof caption === 'string' ? { filePath: caption } : caption;
+    const extension = path.extname(filePath);
+    const suffix = path.extname(path.basename(filePath, extension)).slice(1);
+    
+    return {
+        filePath,
+        language: language || (LANGUAGE_CODE_PATTERN.test(suffix) ? suffix : defaultLanguage),
+        format: format || extension.slice(1).toLowerCase(),
+        name
+    };
+}
+
+// "clips/intro.mp4" -> clips/intro.srt, clips/intro.en.vtt, clips/intro.es.srt...
+function findCaptionFiles(filePath) {
+    const directory = path.dirname(filePath);
+    const base = path.basename(filePath, path.extname(filePath));
+    
+    return fs.readdirSync(directory)
+        .filter(file => {
+            const format = path.extname(file).slice(1).toLowerCase();
+            if (!CAPTION_FORMATS.includes(format) || !file.startsWith(`${base}.`)) {
+                return false;
             }
             
-        } catch (error) {
-            throw new Error(`Instagram upload failed: ${error.message}`);
+            const language = file.slice(base.length + 1, -(format.length + 1));
+            return language === '' || LANGUAGE_CODE_PATTERN.test(language);
+        })
+        .sort()
+        .map(file => describeCaptionFile(path.join(directory, file)));
+}
+
+// The caption file's text in the given format, converted if needed. Throws
+// when the file doesn't parse, so this doubles as validation.
+function readCaptions(caption, format = caption.format) {
+    if (!fs.existsSync(caption.filePath)) {
+        throw new Error(`Caption file not found: ${caption.filePath}`);
+    }
+    if (!CAPTION_FORMATS.includes(caption.format)) {
+        throw new Error(`Captions must be SRT or WebVTT files: ${caption.filePath}`);
+    }
+    if (!LANGUAGE_CODE_PATTERN.test(caption.language)) {
+        throw new Error(`Invalid caption language "${caption.language}" for ${caption.filePath} (use a code like "en" or "pt-BR")`);
+    }
+    
+    const content = fs.readFileSync(caption.filePath, 'utf8');
+    let cues;
+    try {
+        cues = parseCaptions(content, caption.format);
+    } catch (error) {
+        throw new Error(`Invalid caption file ${caption.filePath}: ${error.message}`);
+    }
+    
+    return format === caption.format ? content : formatCaptions(cues, format);
+}
+
+// Cues of an SRT or WebVTT file as { start, end, text }, times in milliseconds
+function parseCaptions(content, format) {
+    const lines = content.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+    const cues = [];
+    let index = 0;
+    
+    if (format === 'vtt') {
+        if (!/^WEBVTT(\s|$)/.test(lines[0])) {
+            throw new Error('line 1: WebVTT files must start with "WEBVTT"');
+        }
+        // The header runs to the first blank line
+        while (index < lines.length && lines[index].trim() !== '') index++;
+    }
+    
+    while (index < lines.length) {
+        if (lines[index].trim() === '') {
+            index++;
+            continue;
         }
+        
+        const firstLine = index;
+        const block = [];
+        while (index < lines.length && lines[index].trim() !== '') {
+            block.push(lines[index++]);
+        }
+        
+        if (format === 'vtt' && /^(NOTE|STYLE|REGION)(\s|$)/.test(block[0])) {
+            continue;
+        }
+        
+        // SRT counters and WebVTT cue ids sit on the line before the timing
+        const timingLine = block[0].includes('-->') ? 0 : 1;
+        const lineNumber = firstLine + timingLine + 1;
+        const timing = CUE_TIMING_PATTERN.exec((block[timingLine] || '').trim());
+        
+        if (!timing) {
+            throw new Error(`line ${lineNumber}: expected a cue timing like "00:00:01,000 --> 00:00:03,500"`);
+        }
+        
+        const cue = {
+            start: parseCueTimestamp(timing[1]),
+            end: parseCueTimestamp(timing[2]),
+            text: block.slice(timingLine + 1).join('\n')
+        };
+        
+        if (cue.end <= cue.start) {
+            throw new Error(`line ${lineNumber}: cue ends before it starts`);
+        }
+        if (cue.text === '') {
+            throw new Error(`line ${lineNumber}: cue has no text`);
+        }
+        
+        cues.push(cue);
+    }
+    
+    if (cues.length === 0) {
+        throw new Error('no cues found');
+    }
+    
+    return cues;
+}
+
+function formatCaptions(cues, format) {
+    if (format === 'vtt') {
+        const blocks = cues.map(cue => `${formatCueTimestamp(cue.start, '.')} --> ${formatCueTimestamp(cue.end, '.')}\n${cue.text}`);
+        return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
     }
+    
+    const blocks = cues.map((cue, index) =>
+        `${index + 1}\n${formatCueTimestamp(cue.start, ',')} --> ${formatCueTimestamp(cue.end, ',')}\n${cue.text.replace(VTT_ONLY_TAGS, '')}`);
+    return `${blocks.join('\n\n')}\n`;
 }
 
-class TikTokUploader extends PlatformUploader {
-    constructor() {
-        super('TikTok');
-        this.accessToken = null;
+// "00:01:02,500" (SRT), "00:01:02.500" or "01:02.500" (WebVTT)
+function parseCueTimestamp(value) {
+    const [clock, millis] = value.split(/[,.]/);
+    const [seconds = 0, minutes = 0, hours = 0] = clock.split(':').map(Number).reverse();
+    return ((hours * 60 + minutes) * 60 + seconds) * 1000 + Number(millis);
+}
+
+function formatCueTimestamp(ms, separator) {
+    const pad = (value, width = 2) => String(value).padStart(width, '0');
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor(ms / 60000) % 60;
+    const seconds = Math.floor(ms / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(ms % 1000, 3)}`;
+}
+
+// ==========================================
+// POST TEXT
+// ==========================================
+
+const TEMPLATE_VARIABLES = ['title', 'description', 'tags', 'filename', 'date'];
+const TEMPLATE_VARIABLE_PATTERN = /\{(\w+)\}/g;
+// A "#" inside a word or URL ("C#", "/#anchor") doesn't start a hashtag
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_\/&])#[\p{L}\p{N}_]+/gu;
+
+// Renders a clip's post text for one platform from CAPTION_TEMPLATES and
+// fits it to the platform's textSpec. measure counts length the way the
+// platform does.
+function renderPostText(clip, platform, { config = CONFIG, measure = text => text.length, now = new Date() } = {}) {
+    const spec = getPlatformTextSpec(platform) || {};
+    const maxLength = spec.maxLength ?? Infinity;
+    const template = config.CAPTION_TEMPLATES.PLATFORMS[platform] ?? config.CAPTION_TEMPLATES.DEFAULT;
+    const today = zonedFields(now, config.TIMEZONE);
+    const values = {
+        title: clip.title,
+        description: clip.description || '',
+        filename: path.basename(clip.filePath),
+        date: `${today.year}-${String(today.month).padStart(2, '0')}-${String(today.day).padStart(2, '0')}`
+    };
+    
+    // Tags the rest of the text already has as hashtags aren't repeated
+    const seen = new Set(findHashtags(fillTemplate(template, { ...values, tags: '' })).map(tag => tag.toLowerCase()));
+    const hashtags = clip.tags.map(toHashtag).filter(hashtag => {
+        if (!hashtag || seen.has(hashtag.toLowerCase())) return false;
+        seen.add(hashtag.toLowerCase());
+        return true;
+    });
+    
+    let tags = [...hashtags];
+    const render = () => limitHashtags(fillTemplate(template, { ...values, tags: tags.join(' ') }), spec.maxHashtags);
+    const fits = text => measure(text) <= maxLength;
+    let text = render();
+    
+    while (!fits(text) && tags.length > 0) {
+        tags.pop();
+        text = render();
+    }
+    
+    if (!fits(text) && template.includes('{description}')) {
+        const description = values.description;
+        values.description = fitText(description, shortened => {
+            values.description = shortened;
+            return fits(render());
+        });
+        text = render();
+    }
+    
+    const shortened = !fits(text) || values.description !== (clip.description || '');
+    if (!fits(text)) {
+        text = fitText(text, fits);
+    }
+    
+    const posted = new Set(findHashtags(text));
+    
+    return {
+        text,
+        length: measure(text),
+        maxLength: spec.maxLength ?? null,
+        hashtags: posted.size,
+        truncated: shortened,
+        droppedHashtags: template.includes('{tags}') ? hashtags.filter(hashtag => !posted.has(hashtag)) : []
+    };
+}
+
+function findUnknownTemplateVariables(template) {
+    const names = Array.from(template.matchAll(TEMPLATE_VARIABLE_PATTERN), match => match[1]);
+    return [...new Set(names)].filter(name => !TEMPLATE_VARIABLES.includes(name));
+}
+
+// Substitutes the variables, then tidies the gaps empty ones leave behind
+function fillTemplate(template, values) {
+    return template
+        .replace(TEMPLATE_VARIABLE_PATTERN, (match, name) => values[name] ?? match)
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// "behind the scenes" -> "#BehindTheScenes", "#shorts" and "shorts" -> "#shorts"
+function toHashtag(tag) {
+    const words = String(tag).split(/[^\p{L}\p{N}_]+/u).filter(Boolean);
+    if (words.length === 0) {
+        return null;
+    }
+    
+    return `#${words.length === 1 ? words[0] : words.map(word => word[0].toUpperCase() + word.slice(1)).join('')}`;
+}
+
+function findHashtags(text) {
+    return text.match(HASHTAG_PATTERN) || [];
+}
+
+// Keeps the first maxHashtags hashtags and removes the rest
+function limitHashtags(text, maxHashtags) {
+    if (maxHashtags === undefined || findHashtags(text).length <= maxHashtags) {
+        return text;
+    }
+    
+    let count = 0;
+    return fillTemplate(text.replace(HASHTAG_PATTERN, hashtag => (++count > maxHashtags ? '' : hashtag)).replace(/[ \t]{2,}/g, ' '), {});
+}
+
+// The longest prefix of text, cut at a word boundary and ending in "…",
+// that passes fits. Empty when nothing does.
+function fitText(text, fits) {
+    const chars = Array.from(text);
+    const cut = length => {
+        if (length >= chars.length) return text;
+        if (length === 0) return '';
+        
+        const prefix = chars.slice(0, length).join('');
+        const boundary = prefix.search(/\s\S*$/);
+        return `${(boundary > 0 ? prefix.slice(0, boundary) : prefix).trimEnd()}…`;
+    };
+    
+    let low = 0;
+    let high = chars.length;
+    while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (fits(cut(middle))) {
+            low = middle;
+        } else {
+            high = middle - 1;
+        }
+    }
+    
+    return cut(low);
+}
+
+// ==========================================
+// AUTHENTICATION
+// ==========================================
+
+const OAUTH_PROVIDERS = {
+    youtube: {
+        configKey: 'YOUTUBE',
+        authUrl: 'https://accounts.google.com/o/oauth2/v2/auth',
+        tokenUrl: 'https://oauth2.googleapis.com/token',
+        scopes: [
+            'https://www.googleapis.com/auth/youtube.upload',
+            'https://www.googleapis.com/auth/youtube'
+        ],
+        scopeSeparator: ' ',
+        clientIdParam: 'client_id',
+        pkce: 'base64url',
+        extraAuthParams: { access_type: 'offline', prompt: 'consent' }
+    },
+    tiktok: {
+        configKey: 'TIKTOK',
+        authUrl: 'https://www.tiktok.com/v2/auth/authorize/',
+        tokenUrl: 'https://open.tiktokapis.com/v2/oauth/token/',
+        scopes: ['user.info.basic', 'video.upload', 'video.publish'],
+        scopeSeparator: ',',
+        clientIdParam: 'client_key',
+        pkce: 'hex' // TikTok expects a hex-encoded SHA-256 challenge
+    },
+    linkedin: {
+        configKey: 'LINKEDIN',
+        authUrl: 'https://www.linkedin.com/oauth/v2/authorization',
+        tokenUrl: 'https://www.linkedin.com/oauth/v2/accessToken',
+        scopes: config => config.LINKEDIN.POST_AS === 'organization'
+            ? ['openid', 'profile', 'w_member_social', 'w_organization_social']
+            : ['openid', 'profile', 'w_member_social'],
+        scopeSeparator: ' ',
+        clientIdParam: 'client_id',
+        pkce: null // Only available to approved native apps
+    },
+    twitter: {
+        configKey: 'TWITTER',
+        authUrl: 'https://twitter.com/i/oauth2/authorize',
+        tokenUrl: 'https://api.twitter.com/2/oauth2/token',
+        scopes: ['tweet.read', 'tweet.write', 'users.read', 'media.write', 'offline.access'],
+        scopeSeparator: ' ',
+        clientIdParam: 'client_id',
+        pkce: 'base64url',
+        basicAuth: true
+    }
+};
+
+class OAuthClient {
+    constructor(platform, config = CONFIG) {
+        this.platform = platform;
+        this.config = config;
+        this.provider = OAUTH_PROVIDERS[platform];
+        
+        if (!this.provider) {
+            throw new Error(`OAuth login is not supported for platform: ${platform}`);
+        }
+        
+        const platformConfig = config[this.provider.configKey];
+        this.clientId = platformConfig.CLIENT_KEY || platformConfig.CLIENT_ID;
+        this.clientSecret = platformConfig.CLIENT_SECRET;
+        this.redirectUri = platformConfig.REDIRECT_URI;
+    }
+    
+    static generatePkcePair(encoding = 'base64url') {
+        const verifier = crypto.randomBytes(48).toString('base64url');
+        const challenge = crypto.createHash('sha256').update(verifier).digest(encoding);
+        return { verifier, challenge };
+    }
+    
+    buildAuthorizationUrl(state, codeChallenge = null) {
+        const url = new URL(this.provider.authUrl);
+        const scopes = typeof this.provider.scopes === 'function'
+            ? this.provider.scopes(this.config)
+            : this.provider.scopes;
+        const params = {
+            [this.provider.clientIdParam]: this.clientId,
+            redirect_uri: this.redirectUri,
+            response_type: 'code',
+            scope: scopes.join(this.provider.scopeSeparator),
+            state,
+            ...(this.provider.extraAuthParams || {})
+        };
+        
+        if (codeChallenge) {
+            params.code_challenge = codeChallenge;
+            params.code_challenge_method = 'S256';
+        }
+        
+        Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+        return url.toString();
+    }
+    
+    async login() {
+        const state = crypto.randomBytes(16).toString('hex');
+        const pkce = this.provider.pkce ? OAuthClient.generatePkcePair(this.provider.pkce) : null;
+        const authUrl = this.buildAuthorizationUrl(state, pkce ? pkce.challenge : null);
+        
+        // Start listening before the user can possibly be redirected back
+        const callback = this.waitForCallback(state);
+        
+        console.log(`\nOpen this URL to authorize ${this.platform}:\n\n${authUrl}\n`);
+        if (this.config.OAUTH.OPEN_BROWSER) {
+            this.openBrowser(authUrl);
+        }
+        
+        const code = await callback;
+        Logger.info(`Received ${this.platform} authorization code`);
+        
+        return await this.exchangeCode(code, pkce ? pkce.verifier : null);
+    }
+    
+    waitForCallback(expectedState) {
+        const redirect = new URL(this.redirectUri);
+        
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            
+            const server = http.createServer((req, res) => {
+                const requestUrl = new URL(req.url, this.redirectUri);
+                if (requestUrl.pathname !== redirect.pathname) {
+                    res.writeHead(404);
+                    res.end();
+                    return;
+                }
+                
+                const params = requestUrl.searchParams;
+                
+                // A stray or forged request must not end the login the user is completing
+                if (params.get('state') !== expectedState) {
+                    Logger.warning('Ignoring OAuth callback with a missing or mismatched state');
+                    res.writeHead(400, { 'Content-Type': 'text/html; charset=utf-8' });
+                    res.end('<h1>Invalid authorization callback</h1><p>The state parameter does not match this login.</p>');
+                    return;
+                }
+                
+                let error = null;
+                
+                if (params.get('error')) {
+                    error = new Error(`Authorization denied: ${params.get('error_description') || params.get('error')}`);
+                } else if (!params.get('code')) {
+                    error = new Error('Authorization callback did not include a code');
+                }
+                
+                res.writeHead(error ? 400 : 200, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(error
+                    ? `<h1>Authorization failed</h1><p>${escapeHtml(error.message)}</p>`
+                    : '<h1>Authorization complete</h1><p>You can close this window.</p>');
+                
+                clearTimeout(timer);
+                server.close();
+                
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(params.get('code'));
+                }
+            });
+            
+            server.on('error', reject);
+            server.listen(parseInt(redirect.port, 10) || 80, redirect.hostname);
+            
+            timer = setTimeout(() => {
+                server.close();
+                reject(new Error(`Timed out waiting for ${this.platform} authorization callback`));
+            }, this.config.OAUTH.CALLBACK_TIMEOUT_MS);
+        });
+    }
+    
+    async exchangeCode(code, codeVerifier = null) {
+        const params = {
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: this.redirectUri
+        };
+        
+        if (codeVerifier) {
+            params.code_verifier = codeVerifier;
+        }
+        
+        return await this.requestToken(params);
+    }
+    
+    async refreshAccessToken(refreshToken) {
+        const tokens = await this.requestToken({
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken
+        });
+        
+        // Some providers only return a new refresh token when rotating it
+        return { ...tokens, refreshToken: tokens.refreshToken || refreshToken };
+    }
+    
+    async requestToken(params) {
+        const body = new URLSearchParams(params);
+        const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+        
+        if (this.provider.basicAuth) {
+            const basic = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+            headers.Authorization = `Basic ${basic}`;
+            body.set(this.provider.clientIdParam, this.clientId);
+        } else {
+            body.set(this.provider.clientIdParam, this.clientId);
+            body.set('client_secret', this.clientSecret);
+        }
+        
+        const response = await axios.post(this.provider.tokenUrl, body.toString(), {
+            headers,
+            validateStatus: () => true
+        });
+        
+        const data = response.data || {};
+        if (response.status !== 200 || !data.access_token) {
+            throw new PlatformApiError(
+                this.platform,
+                `Token request failed: ${data.error_description || data.error || `HTTP ${response.status}`}`,
+                { status: response.status, code: data.error || null, details: data, headers: response.headers }
+            );
+        }
+        
+        return {
+            accessToken: data.access_token,
+            refreshToken: data.refresh_token || null,
+            tokenType: data.token_type || 'Bearer',
+            scope: data.scope || null,
+            expiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000).toISOString() : null,
+            obtainedAt: new Date().toISOString()
+        };
+    }
+    
+    openBrowser(url) {
+        const commands = { darwin: ['open', [url]], win32: ['cmd', ['/c', 'start', '', url]] };
+        const [command, args] = commands[process.platform] || ['xdg-open', [url]];
+        
+        try {
+            const child = spawn(command, args, { stdio: 'ignore', detached: true });
+            child.on('error', () => {}); // No browser available - the URL was printed above
+            child.unref();
+        } catch (err) {
+            // Ignore - the user can open the URL manually
+        }
+    }
+}
+
+class OAuth1Signer {
+    constructor({ consumerKey, consumerSecret, token, tokenSecret }) {
+        this.consumerKey = consumerKey;
+        this.consumerSecret = consumerSecret;
+        this.token = token;
+        this.tokenSecret = tokenSecret;
+    }
+    
+    static percentEncode(value) {
+        // RFC 3986 - encodeURIComponent leaves !'()* unescaped
+        return encodeURIComponent(String(value))
+            .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    }
+    
+    /**
+     * Build an OAuth 1.0a HMAC-SHA1 Authorization header. `params` must contain
+     * any form-encoded body parameters; query parameters are read from the URL.
+     * Multipart and JSON bodies are not part of the signature.
+     */
+    sign(method, url, params = {}, { nonce, timestamp } = {}) {
+        const requestUrl = new URL(url);
+        const oauthParams = {
+            oauth_consumer_key: this.consumerKey,
+            oauth_nonce: nonce || crypto.randomBytes(16).toString('hex'),
+            oauth_signature_method: 'HMAC-SHA1',
+            oauth_timestamp: String(timestamp || Math.floor(Date.now() / 1000)),
+            oauth_token: this.token,
+            oauth_version: '1.0'
+        };
+        
+        const allParams = [
+            ...Object.entries(oauthParams),
+            ...Object.entries(params),
+            ...requestUrl.searchParams.entries()
+        ].map(([key, value]) => [OAuth1Signer.percentEncode(key), OAuth1Signer.percentEncode(value)]);
+        
+        allParams.sort(([keyA, valueA], [keyB, valueB]) => {
+            if (keyA !== keyB) return keyA < keyB ? -1 : 1;
+            return valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+        });
+        
+        const baseUrl = `${requestUrl.protocol}//${requestUrl.host}${requestUrl.pathname}`;
+        const baseString = [
+            method.toUpperCase(),
+            OAuth1Signer.percentEncode(baseUrl),
+            OAuth1Signer.percentEncode(allParams.map(([key, value]) => `${key}=${value}`).join('&'))
+        ].join('&');
+        
+        const signingKey = `${OAuth1Signer.percentEncode(this.consumerSecret)}&${OAuth1Signer.percentEncode(this.tokenSecret || '')}`;
+        oauthParams.oauth_signature = crypto.createHmac('sha1', signingKey).update(baseString).digest('base64');
+        
+        const header = Object.entries(oauthParams)
+            .map(([key, value]) => `${OAuth1Signer.percentEncode(key)}="${OAuth1Signer.percentEncode(value)}"`)
+            .join(', ');
+        
+        return `OAuth ${header}`;
+    }
+}
+
+class TokenVault {
+    constructor(config = CONFIG) {
+        this.settings = config.TOKEN_VAULT;
+        this.filePath = this.settings.FILE;
+        this.lock = new FileLock(this.filePath, config.JOB_STORE.LOCK_TIMEOUT_MS);
+        this.tokens = null;
+        this.loadedMtimeMs = null;
+    }
+    
+    get(platform, account = 'default') {
+        const accounts = this.load()[platform] || {};
+        return accounts[account] || null;
+    }
+    
+    async set(platform, tokens, account = 'default') {
+        await this.update(data => {
+            data[platform] = { ...(data[platform] || {}), [account]: { ...tokens, updatedAt: new Date().toISOString() } };
+        });
+    }
+    
+    async remove(platform, account = 'default') {
+        await this.update(data => {
+            if (data[platform]) {
+                delete data[platform][account];
+            }
+        });
+    }
+    
+    // Re-reads the vault under its lock before every write, so tokens other
+    // processes saved since this one loaded it aren't overwritten
+    async update(mutator) {
+        await this.lock.acquireAsync();
+        
+        try {
+            this.tokens = null;
+            mutator(this.load());
+            this.saveToFile();
+        } finally {
+            this.lock.release();
+        }
+    }
+    
+    listAccounts(platform) {
+        return Object.keys(this.load()[platform] || {});
+    }
+    
+    isUnlockable() {
+        return this.getKeyMaterial() !== null;
+    }
+    
+    getKeyMaterial() {
+        if (this.settings.KEY_FILE) {
+            return fs.readFileSync(this.settings.KEY_FILE);
+        }
+        
+        const passphrase = process.env[this.settings.PASSPHRASE_ENV];
+        return passphrase ? Buffer.from(passphrase, 'utf8') : null;
+    }
+    
+    assertUnlockable() {
+        if (!this.isUnlockable()) {
+            throw new Error(
+                `Token vault is locked - set ${this.settings.PASSPHRASE_ENV} or TOKEN_VAULT.KEY_FILE`
+            );
+        }
+    }
+    
+    deriveKey(salt) {
+        this.assertUnlockable();
+        return crypto.scryptSync(this.getKeyMaterial(), salt, 32);
+    }
+    
+    // Cached until the file changes on disk
+    load() {
+        if (!fs.existsSync(this.filePath)) {
+            this.tokens = {};
+            this.loadedMtimeMs = null;
+            return this.tokens;
+        }
+        
+        const mtimeMs = fs.statSync(this.filePath).mtimeMs;
+        if (this.tokens && mtimeMs === this.loadedMtimeMs) {
+            return this.tokens;
+        }
+        
+        const envelope = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        const key = this.deriveKey(Buffer.from(envelope.salt, 'base64'));
+        
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(envelope.iv, 'base64'));
+            decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+            const plaintext = Buffer.concat([
+                decipher.update(Buffer.from(envelope.data, 'base64')),
+                decipher.final()
+            ]);
+            this.tokens = JSON.parse(plaintext.toString('utf8'));
+            this.loadedMtimeMs = mtimeMs;
+        } catch (err) {
+            throw new Error('Failed to decrypt token vault - wrong passphrase or key file');
+        }
+        
+        return this.tokens;
+    }
+    
+    saveToFile() {
+        const salt = crypto.randomBytes(16);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify(this.tokens), 'utf8'), cipher.final()]);
+        
+        const envelope = {
+            version: 1,
+            cipher: 'aes-256-gcm',
+            kdf: 'scrypt',
+            salt: salt.toString('base64'),
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        };
+        
+        // Write to a temp file first so a crash never leaves a half-written vault
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+        fs.renameSync(tempPath, this.filePath);
+        this.loadedMtimeMs = fs.statSync(this.filePath).mtimeMs;
+    }
+}
+
+// ==========================================
+// PLATFORM UPLOADERS
+// ==========================================
+
+const PROGRESS_INTERVAL_MS = 500;
+
+// Connection-level failures that usually clear up on their own
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH'];
+// Local file problems that no amount of retrying will fix
+const FILE_ERROR_CODES = ['ENOENT', 'EACCES', 'EISDIR', 'EPERM'];
+// Gave up waiting for media processing before anything was posted. TikTok's
+// publish_timeout isn't here: that post may still go live, so a retry could post twice.
+const PROCESSING_TIMEOUT_CODES = ['CONTAINER_TIMEOUT', 'processing_timeout'];
+
+class PlatformUploader extends EventEmitter {
+    constructor(platformName, tokenVault = null, config = CONFIG) {
+        super();
+        this.platformName = platformName;
+        this.platformKey = platformName.toLowerCase();
+        this.config = config;
+        this.account = config.ACCOUNTS[this.platformKey] || 'default';
+        this.tokenVault = tokenVault;
+        this.quota = QuotaLimiter.forPlatform(this.platformKey, this.account, config);
+        this.supportsCaptions = false;
+        this.authenticated = false;
+        this.accessToken = null;
+        this.processingMedia = new Map(); // Uploaded media still processing when an attempt gave up, by file
+        this.refreshToken = null;
+        this.tokenExpiresAt = null;
+        this.pendingRefresh = null;
+    }
+    
+    setTokens(tokens) {
+        this.accessToken = tokens.accessToken;
+        this.refreshToken = tokens.refreshToken || null;
+        this.tokenExpiresAt = tokens.expiresAt ? new Date(tokens.expiresAt) : null;
+        this.authenticated = true;
+    }
+    
+    loadStoredTokens() {
+        if (!this.tokenVault || !this.tokenVault.isUnlockable()) {
+            return false;
+        }
+        
+        const tokens = this.tokenVault.get(this.platformKey, this.account);
+        if (!tokens || !tokens.accessToken) {
+            return false;
+        }
+        
+        this.setTokens(tokens);
+        return true;
+    }
+    
+    async persistTokens(tokens) {
+        this.setTokens(tokens);
+        
+        if (this.tokenVault && this.tokenVault.isUnlockable()) {
+            await this.tokenVault.set(this.platformKey, tokens, this.account);
+        }
+    }
+    
+    canRefresh() {
+        return Boolean(this.refreshToken);
+    }
+    
+    isAuthError(error) {
+        const status = error.status || (error.response && error.response.status);
+        return status === 401;
+    }
+    
+    async refreshTokens() {
+        const client = new OAuthClient(this.platformKey, this.config);
+        const tokens = await client.refreshAccessToken(this.refreshToken);
+        
+        await this.persistTokens(tokens);
+        Logger.info(`Refreshed ${this.platformName} access token (expires ${tokens.expiresAt || 'never'})`);
+    }
+    
+    // Concurrent uploads share one refresh - a second refresh would spend a
+    // rotating refresh token the first one already exchanged
+    refreshTokensOnce() {
+        if (!this.pendingRefresh) {
+            this.pendingRefresh = this.refreshTokens().finally(() => {
+                this.pendingRefresh = null;
+            });
+        }
+        return this.pendingRefresh;
+    }
+    
+    async ensureFreshToken() {
+        if (!this.authenticated && !await this.authenticate()) {
+            return;
+        }
+        
+        if (!this.tokenExpiresAt || !this.canRefresh()) {
+            return;
+        }
+        
+        const marginMs = this.config.TOKEN_VAULT.REFRESH_MARGIN_SECONDS * 1000;
+        if (this.tokenExpiresAt.getTime() - Date.now() <= marginMs) {
+            await this.refreshTokensOnce();
+        }
+    }
+    
+    async uploadWithFreshToken(clip) {
+        await this.ensureFreshToken();
+        const rejectedToken = this.accessToken;
+        
+        try {
+            return await this.upload(clip);
+        } catch (error) {
+            if (!this.isAuthError(error) || !this.canRefresh()) {
+                throw error;
+            }
+            
+            // Another upload may already have replaced the token this one used
+            Logger.warning(`${this.platformName} rejected the access token - refreshing and retrying once`);
+            if (this.accessToken === rejectedToken) {
+                await this.refreshTokensOnce();
+            }
+            return await this.upload(clip);
+        }
+    }
+    
+    async authenticate() {
+        throw new Error('authenticate() must be implemented by subclass');
+    }
+    
+    async upload(clip) {
+        throw new Error('upload() must be implemented by subclass');
+    }
+    
+    async uploadWithRetry(clip, maxRetries = this.config.MAX_RETRIES) {
+        let lastError = null;
+        let classification = null;
+        let attempt = 0;
+        
+        while (attempt < maxRetries) {
+            attempt++;
+            
+            // Each attempt is charged up front and refunded if the platform didn't count it
+            const reservation = this.quota ? await this.quota.reserve() : null;
+            if (reservation && !reservation.allowed) {
+                const uploadResult = new UploadResult(
+                    this.platformName,
+                    false,
+                    null,
+                    `${this.platformName} quota reached (${reservation.used}/${reservation.limit} ${reservation.unit})`
+                );
+                uploadResult.retryCount = attempt - 1;
+                uploadResult.errorCategory = 'quota_exceeded';
+                uploadResult.retryAt = reservation.resetsAt;
+                return uploadResult;
+            }
+            
+            let result = null;
+            let attemptError = null;
+            
+            try {
+                Logger.info(`Uploading to ${this.platformName} (attempt ${attempt}/${maxRetries})`);
+                result = await this.uploadWithFreshToken(clip);
+            } catch (error) {
+                attemptError = error;
+            }
+            
+            if (!result && !attemptError) {
+                attemptError = new PlatformApiError(this.platformName, `${this.platformName} returned no post URL`);
+            }
+            
+            if (reservation && !this.attemptUsedQuota(clip, !attemptError)) {
+                await this.quota.release(reservation.id);
+            }
+            
+            if (!attemptError) {
+                Logger.info(`✅ Successfully uploaded to ${this.platformName}: ${result}`);
+                const uploadResult = new UploadResult(this.platformName, true, result);
+                uploadResult.retryCount = attempt - 1;
+                return uploadResult;
+            }
+            
+            lastError = attemptError;
+            classification = this.classifyError(attemptError);
+            Logger.error(`Upload to ${this.platformName} failed (attempt ${attempt}, ${classification.category}): ${attemptError.message}`);
+            
+            if (classification.category === 'non_retryable' || attempt === maxRetries) {
+                break;
+            }
+            
+            const delay = this.getRetryDelay(attempt, classification);
+            if (delay === null) {
+                Logger.warning(`${this.platformName} rate limit resets in ${Math.round(classification.retryAfterMs / 1000)}s - not retrying`);
+                break;
+            }
+            
+            Logger.info(`Retrying in ${Math.round(delay / 1000)}s...`);
+            await this.sleep(delay);
+        }
+        
+        const uploadResult = new UploadResult(this.platformName, false, null, lastError?.message);
+        uploadResult.retryCount = Math.max(0, attempt - 1);
+        
+        if (classification) {
+            uploadResult.errorCategory = classification.category;
+            if (classification.retryAfterMs !== null) {
+                uploadResult.retryAt = new Date(Date.now() + classification.retryAfterMs);
+            }
+        }
+        
+        return uploadResult;
+    }
+    
+    // Waits for uploaded media to finish processing. On a timeout the media ID
+    // is kept so the retry polls it again instead of uploading the video twice.
+    async awaitProcessing(clip, mediaId, wait) {
+        try {
+            return await wait(mediaId);
+        } catch (error) {
+            if (PROCESSING_TIMEOUT_CODES.includes(error.code)) {
+                this.processingMedia.set(clip.filePath, mediaId);
+            }
+            throw error;
+        }
+    }
+    
+    takeProcessingMedia(clip) {
+        const mediaId = this.processingMedia.get(clip.filePath) || null;
+        this.processingMedia.delete(clip.filePath);
+        
+        if (mediaId) {
+            Logger.info(`Resuming ${this.platformName} processing check for ${mediaId}`);
+        }
+        return mediaId;
+    }
+    
+    // Whether the platform counted an attempt against its limit. Post limits
+    // only count what was published.
+    attemptUsedQuota(clip, succeeded) {
+        return succeeded;
+    }
+    
+    // Sorts a failed attempt into retryable, non_retryable or rate_limited.
+    // retryAfterMs is set when the platform said how long to wait. Subclasses
+    // map their own error codes first and fall back to this.
+    classifyError(error) {
+        const status = error.status || (error.response && error.response.status) || null;
+        const headers = error.headers || (error.response && error.response.headers) || {};
+        const retryAfterMs = this.parseRetryAfter(headers);
+        
+        if (status === 429) {
+            return { category: 'rate_limited', retryAfterMs };
+        }
+        if (status === 408 || status >= 500) {
+            return { category: 'retryable', retryAfterMs };
+        }
+        if (status >= 400) {
+            return { category: 'non_retryable', retryAfterMs: null };
+        }
+        
+        if (TRANSIENT_NETWORK_CODES.includes(error.code) || PROCESSING_TIMEOUT_CODES.includes(error.code)) {
+            return { category: 'retryable', retryAfterMs: null };
+        }
+        
+        // Coded API errors without a status are validation or policy rejections
+        const rejected = error instanceof PlatformApiError && error.code;
+        if (rejected || FILE_ERROR_CODES.includes(error.code) || !this.authenticated) {
+            return { category: 'non_retryable', retryAfterMs: null };
+        }
+        
+        return { category: 'retryable', retryAfterMs: null };
+    }
+    
+    // Retry-After is either a number of seconds or an HTTP date
+    parseRetryAfter(headers) {
+        const value = headers['retry-after'];
+        if (value === undefined || value === null || value === '') {
+            return null;
+        }
+        
+        const seconds = Number(value);
+        const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now();
+        return Number.isFinite(ms) ? Math.max(0, ms) : null;
+    }
+    
+    resetTimeToDelay(epochSeconds) {
+        const seconds = Number(epochSeconds);
+        return epochSeconds && Number.isFinite(seconds) ? Math.max(0, seconds * 1000 - Date.now()) : null;
+    }
+    
+    // Waits for the platform's reset time when it gave one, otherwise backs
+    // off exponentially with jitter so parallel uploads don't retry in step.
+    // Returns null when the reset is further away than RETRY.MAX_WAIT_SECONDS.
+    getRetryDelay(attempt, { retryAfterMs }) {
+        const { BASE_DELAY_SECONDS, MAX_DELAY_SECONDS, MAX_WAIT_SECONDS } = this.config.RETRY;
+        
+        if (retryAfterMs !== null) {
+            return retryAfterMs <= MAX_WAIT_SECONDS * 1000 ? retryAfterMs + Math.random() * 1000 : null;
+        }
+        
+        const backoff = Math.min(MAX_DELAY_SECONDS, BASE_DELAY_SECONDS * Math.pow(2, attempt - 1)) * 1000;
+        return backoff / 2 + Math.random() * backoff / 2;
+    }
+    
+    composeText(clip) {
+        return renderPostText(clip, this.platformKey, { config: this.config, measure: text => this.measureText(text) });
+    }
+    
+    measureText(text) {
+        return text.length;
+    }
+    
+    // The clip's thumbnail as a local file: the one supplied, or the frame at
+    // thumbnailTime. Extracted frames are temporary and the caller removes them.
+    async resolveThumbnail(clip) {
+        if (clip.thumbnailPath && !isRemoteUrl(clip.thumbnailPath)) {
+            return { filePath: clip.thumbnailPath, temporary: false };
+        }
+        
+        if (clip.thumbnailTime === null) {
+            return null;
+        }
+        
+        const filePath = path.join(os.tmpdir(), `smu_thumbnail_${process.pid}_${Date.now()}.jpg`);
+        await new Transcoder(this.config).extractFrame(clip.filePath, clip.thumbnailTime, filePath);
+        return { filePath, temporary: true };
+    }
+    
+    // Returns a callback that takes the number of bytes sent so far and emits
+    // throttled uploadProgress events. Bytes already on the server when a
+    // resumed upload starts don't count towards throughput.
+    trackProgress(clip, totalBytes, initialBytes = 0) {
+        const startedAt = Date.now();
+        let lastEmittedAt = 0;
+        let lastBytesSent = null;
+        
+        return bytesSent => {
+            const now = Date.now();
+            if (bytesSent === lastBytesSent) return;
+            if (bytesSent < totalBytes && now - lastEmittedAt < PROGRESS_INTERVAL_MS) return;
+            lastEmittedAt = now;
+            lastBytesSent = bytesSent;
+            
+            const elapsedSeconds = (now - startedAt) / 1000;
+            const throughput = elapsedSeconds > 0 ? (bytesSent - initialBytes) / elapsedSeconds : 0;
+            
+            this.emit('uploadProgress', {
+                platform: this.platformKey,
+                clip: clip.title,
+                filePath: clip.filePath,
+                bytesSent,
+                totalBytes,
+                throughput,
+                eta: throughput > 0 ? (totalBytes - bytesSent) / throughput : null
+            });
+        };
+    }
+    
+    sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    
+    generateRandomDelay() {
+        return this.config.RANDOM_DELAY ? Math.floor(Math.random() * 60 * 1000) : 0; // 0-60 seconds
+    }
+}
+
+const YOUTUBE_QUOTA_TIMEZONE = 'America/Los_Angeles';
+const YOUTUBE_THUMBNAIL_MAX_BYTES = 2 * 1024 * 1024;
+const YOUTUBE_CAPTION_QUOTA_COST = 400; // captions.insert, per track
+const YOUTUBE_PRIVACY_STATUSES = ['public', 'unlisted', 'private'];
+
+class YouTubeUploader extends PlatformUploader {
+    constructor(tokenVault = null, config = CONFIG) {
+        super('YouTube', tokenVault, config);
+        this.uploadSessions = new Map();
+        this.insertRequests = new Set(); // Files with a videos.insert call in the current attempt
+        this.supportsCaptions = true;
+    }
+    
+    async authenticate() {
+        if (this.loadStoredTokens()) {
+            return true;
+        }
+        
+        Logger.warning('No YouTube tokens found - run with --login youtube');
+        return false;
+    }
+    
+    async upload(clip) {
+        if (!this.authenticated && !await this.authenticate()) {
+            throw new Error('YouTube authentication failed');
+        }
+        
+        const fileSize = fs.statSync(clip.filePath).size;
+        if (fileSize === 0) {
+            throw new Error(`Cannot upload empty file: ${clip.filePath}`);
+        }
+        
+        // YouTube has no followers-only setting - refuse rather than pick a wider audience
+        if (!YOUTUBE_PRIVACY_STATUSES.includes(clip.privacy)) {
+            throw new PlatformApiError(
+                this.platformName,
+                `Unsupported privacy setting "${clip.privacy}" (expected one of: ${YOUTUBE_PRIVACY_STATUSES.join(', ')})`,
+                { code: 'privacy_unsupported' }
+            );
+        }
+        
+        // Reuse the session from a previous interrupted attempt when possible
+        const sessionKey = `${clip.filePath}:${fileSize}`;
+        let sessionUrl = this.uploadSessions.get(sessionKey);
+        let offset = 0;
+        
+        if (sessionUrl) {
+            const status = await this.queryUploadStatus(sessionUrl, fileSize);
+            if (status.expired) {
+                sessionUrl = null;
+            } else if (status.video) {
+                this.uploadSessions.delete(sessionKey);
+                return this.finishUpload(status.video, clip);
+            } else {
+                offset = status.offset;
+                Logger.info(`Resuming YouTube upload at byte ${offset}/${fileSize}`);
+            }
+        }
+        
+        if (!sessionUrl) {
+            this.insertRequests.add(clip.filePath);
+            sessionUrl = await this.createUploadSession(clip, fileSize);
+            this.uploadSessions.set(sessionKey, sessionUrl);
+            Logger.info(`YouTube upload session created: ${clip.title}`);
+        }
+        
+        const progress = this.trackProgress(clip, fileSize, offset);
+        const video = await this.uploadChunks(sessionUrl, clip.filePath, fileSize, offset, progress);
+        this.uploadSessions.delete(sessionKey);
+        
+        return this.finishUpload(video, clip);
+    }
+    
+    // Every videos.insert request is charged, even one that fails, but
+    // resuming an existing session doesn't make a new one
+    attemptUsedQuota(clip) {
+        return this.insertRequests.delete(clip.filePath);
+    }
+    
+    async finishUpload(video, clip) {
+        const url = this.getWatchUrl(video);
+        await this.setThumbnail(video.id, clip);
+        await this.insertCaptions(video.id, clip);
+        return url;
+    }
+    
+    // The video is already up at this point, so a rejected thumbnail (custom
+    // thumbnails need a verified channel) is logged rather than thrown
+    async setThumbnail(videoId, clip) {
+        let thumbnail = null;
+        
+        try {
+            thumbnail = await this.resolveThumbnail(clip);
+            if (!thumbnail) {
+                if (clip.thumbnailPath) {
+                    Logger.warning(`YouTube thumbnails must be local files - ${clip.thumbnailPath} is ignored`);
+                }
+                return;
+            }
+            
+            const image = fs.readFileSync(thumbnail.filePath);
+            if (image.length > YOUTUBE_THUMBNAIL_MAX_BYTES) {
+                throw new Error(`image is ${ProgressDisplay.formatBytes(image.length)} (max 2MB)`);
+            }
+            
+            const response = await axios.post(
+                `${this.config.YOUTUBE.API_BASE_URL}/upload/youtube/v3/thumbnails/set`,
+                image,
+                {
+                    params: { videoId },
+                    headers: {
+                        Authorization: `Bearer ${this.accessToken}`,
+                        'Content-Type': path.extname(thumbnail.filePath).toLowerCase() === '.png' ? 'image/png' : 'image/jpeg'
+                    },
+                    maxBodyLength: Infinity,
+                    validateStatus: () => true
+                }
+            );
+            
+            if (response.status !== 200) {
+                throw this.createApiError(response, 'thumbnails.set failed');
+            }
+            Logger.info(`YouTube thumbnail set for ${videoId}`);
+            
+        } catch (error) {
+            Logger.warning(`Could not set YouTube thumbnail for ${videoId}: ${error.message}`);
+        } finally {
+            if (thumbnail && thumbnail.temporary) {
+                fs.rmSync(thumbnail.filePath, { force: true });
+            }
+        }
+    }
+    
+    // One captions.insert per track. Like thumbnails, a track that fails is
+    // logged without failing the upload.
+    async insertCaptions(videoId, clip) {
+        for (const caption of clip.captions) {
+            try {
+                if (this.quota && !(await this.quota.reserve(YOUTUBE_CAPTION_QUOTA_COST)).allowed) {
+                    throw new Error('not enough quota left today');
+                }
+                
+                const boundary = `smu_${crypto.randomBytes(12).toString('hex')}`;
+                const metadata = {
+                    snippet: { videoId, language: caption.language, name: caption.name, isDraft: false }
+                };
+                const body = Buffer.concat([
+                    Buffer.from(`--${boundary}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n${JSON.stringify(metadata)}\r\n`),
+                    Buffer.from(`--${boundary}\r\nContent-Type: application/octet-stream\r\n\r\n`),
+                    Buffer.from(readCaptions(caption)),
+                    Buffer.from(`\r\n--${boundary}--\r\n`)
+                ]);
+                
+                const response = await axios.post(
+                    `${this.config.YOUTUBE.API_BASE_URL}/upload/youtube/v3/captions`,
+                    body,
+                    {
+                        params: { part: 'snippet', uploadType: 'multipart' },
+                        headers: {
+                            Authorization: `Bearer ${this.accessToken}`,
+                            'Content-Type': `multipart/related; boundary=${boundary}`
+                        },
+                        maxBodyLength: Infinity,
+                        validateStatus: () => true
+                    }
+                );
+                
+                if (response.status !== 200) {
+                    throw this.createApiError(response, 'captions.insert failed');
+                }
+                Logger.info(`YouTube ${caption.language} captions added to ${videoId}`);
+                
+            } catch (error) {
+                Logger.warning(`Could not add ${caption.language} captions to YouTube video ${videoId}: ${error.message}`);
+            }
+        }
+    }
+    
+    async createUploadSession(clip, fileSize) {
+        const metadata = {
+            snippet: {
+                title: clip.title,
+                description: this.composeText(clip).text,
+                tags: clip.tags,
+                categoryId: this.config.YOUTUBE.CATEGORY_ID
+            },
+            status: {
+                privacyStatus: clip.privacy
+            }
+        };
+        
+        const response = await axios.post(
+            `${this.config.YOUTUBE.API_BASE_URL}/upload/youtube/v3/videos`,
+            metadata,
+            {
+                params: { uploadType: 'resumable', part: 'snippet,status' },
+                headers: {
+                    Authorization: `Bearer ${this.accessToken}`,
+                    'Content-Type': 'application/json; charset=UTF-8',
+                    'X-Upload-Content-Length': fileSize,
+                    'X-Upload-Content-Type': 'video/*'
+                },
+                maxRedirects: 0,
+                validateStatus: () => true
+            }
+        );
+        
+        if (response.status !== 200 || !response.headers.location) {
+            throw this.createApiError(response, 'Failed to create upload session');
+        }
+        
+        return response.headers.location;
+    }
+    
+    async uploadChunks(sessionUrl, filePath, fileSize, offset = 0, onProgress = () => {}) {
+        const fd = fs.openSync(filePath, 'r');
+        let interruptions = 0;
+        
+        try {
+            while (true) {
+                const length = Math.min(this.config.YOUTUBE.CHUNK_SIZE, fileSize - offset);
+                const chunk = Buffer.alloc(length);
+                fs.readSync(fd, chunk, 0, length, offset);
+                
+                let response = null;
+                try {
+                    response = await axios.put(sessionUrl, chunk, {
+                        headers: {
+                            Authorization: `Bearer ${this.accessToken}`,
+                            'Content-Length': length,
+                            'Content-Range': `bytes ${offset}-${offset + length - 1}/${fileSize}`
+                        },
+                        maxBodyLength: Infinity,
+                        maxContentLength: Infinity,
+                        maxRedirects: 0,
+                        validateStatus: () => true,
+                        onUploadProgress: event => onProgress(offset + Math.min(event.loaded, length))
+                    });
+                } catch (error) {
+                    Logger.warning(`YouTube chunk upload interrupted: ${error.message}`);
+                }
+                
+                if (response && (response.status === 200 || response.status === 201)) {
+                    onProgress(fileSize);
+                    return response.data;
+                }
+                
+                if (response && response.status === 308) {
+                    offset = this.parseReceivedOffset(response.headers.range);
+                    interruptions = 0;
+                    onProgress(offset);
+                    continue;
+                }
+                
+                if (response && ![500, 502, 503, 504].includes(response.status)) {
+                    throw this.createApiError(response, 'Chunk upload failed');
+                }
+                
+                // Interrupted - ask the server how many bytes it actually received
+                interruptions++;
+                if (interruptions > this.config.YOUTUBE.MAX_RESUME_ATTEMPTS) {
+                    throw new PlatformApiError(this.platformName, 'Upload interrupted too many times', {
+                        status: response ? response.status : null
+                    });
+                }
+                
+                await this.sleep(Math.pow(2, interruptions) * 1000);
+                
+                const status = await this.queryUploadStatus(sessionUrl, fileSize);
+                if (status.expired) {
+                    throw new PlatformApiError(this.platformName, 'Upload session expired', { status: 404 });
+                }
+                if (status.video) {
+                    return status.video;
+                }
+                offset = status.offset;
+                Logger.info(`Resuming YouTube upload at byte ${offset}/${fileSize}`);
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+    
+    async queryUploadStatus(sessionUrl, fileSize) {
+        const response = await axios.put(sessionUrl, null, {
+            headers: {
+                Authorization: `Bearer ${this.accessToken}`,
+                'Content-Length': 0,
+                'Content-Range': `bytes */${fileSize}`
+            },
+            maxRedirects: 0,
+            validateStatus: () => true
+        });
+        
+        if (response.status === 200 || response.status === 201) {
+            return { video: response.data };
+        }
+        
+        if (response.status === 308) {
+            return { offset: this.parseReceivedOffset(response.headers.range) };
+        }
+        
+        if (response.status === 404 || response.status === 410) {
+            return { expired: true };
+        }
+        
+        throw this.createApiError(response, 'Failed to query upload status');
+    }
+    
+    parseReceivedOffset(rangeHeader) {
+        // Range header looks like "bytes=0-524287"; absent means nothing was received
+        const match = /bytes=\d+-(\d+)/.exec(rangeHeader || '');
+        return match ? parseInt(match[1], 10) + 1 : 0;
+    }
+    
+    getWatchUrl(video) {
+        if (!video || !video.id) {
+            throw new PlatformApiError(this.platformName, 'Upload completed without a video id');
+        }
+        return `https://www.youtube.com/watch?v=${video.id}`;
+    }
+    
+    classifyError(error) {
+        if (['quotaExceeded', 'dailyLimitExceeded', 'uploadLimitExceeded'].includes(error.code)) {
+            // Daily quota resets at midnight Pacific time
+            const { date: resetsAt } = nextDailyTime('00:00', YOUTUBE_QUOTA_TIMEZONE);
+            return { category: 'rate_limited', retryAfterMs: resetsAt.getTime() - Date.now() };
+        }
+        if (['rateLimitExceeded', 'userRateLimitExceeded'].includes(error.code)) {
+            return { category: 'rate_limited', retryAfterMs: this.parseRetryAfter(error.headers || {}) };
+        }
+        
+        return super.classifyError(error);
+    }
+    
+    createApiError(response, message) {
+        const error = response.data && response.data.error;
+        const reason = error && error.errors && error.errors[0] ? error.errors[0].reason : null;
+        
+        return new PlatformApiError(
+            this.platformName,
+            `${message}: ${error && error.message ? error.message : `HTTP ${response.status}`}`,
+            { status: response.status, code: reason, details: error || null, headers: response.headers }
+        );
+    }
+}
+
+// Graph API throttling codes (application, user, page and custom limits)
+const GRAPH_RATE_LIMIT_CODES = [4, 17, 32, 613];
+const GRAPH_TRANSIENT_CODES = [1, 2];
+const GRAPH_PUBLISH_LIMIT_SUBCODE = 2207042; // 24-hour content publishing limit
+
+class InstagramUploader extends PlatformUploader {
+    constructor(tokenVault = null, config = CONFIG) {
+        super('Instagram', tokenVault, config);
+        this.accountId = this.config.INSTAGRAM.BUSINESS_ACCOUNT_ID;
+    }
+    
+    async authenticate() {
+        // Prefer the (possibly refreshed) vault token, seeding the vault from the config on first use
+        if (!this.loadStoredTokens()) {
+            const configToken = this.config.INSTAGRAM.ACCESS_TOKEN;
+            if (!configToken || configToken === 'your_instagram_long_lived_access_token_here') {
+                return false;
+            }
+            await this.persistTokens({ accessToken: configToken, expiresAt: await this.lookupTokenExpiry(configToken) });
+        }
+        
+        try {
+            // Verify token validity
+            await this.graphRequest('GET', 'me');
+            
+            this.authenticated = true;
+            return true;
+        } catch (error) {
+            Logger.error('Instagram token validation failed', error.message);
+            this.authenticated = false;
+            return false;
+        }
+    }
+    
+    canRefresh() {
+        return Boolean(this.accessToken && this.config.INSTAGRAM.APP_ID && this.config.INSTAGRAM.APP_SECRET);
+    }
+    
+    // A token from the config comes without an expiry. debug_token reports it
+    // when the app credentials are set, so the token can be refreshed in time.
+    async lookupTokenExpiry(accessToken) {
+        const { APP_ID, APP_SECRET } = this.config.INSTAGRAM;
+        if (!APP_ID || !APP_SECRET) {
+            return null;
+        }
+        
+        try {
+            const { data } = await this.graphRequest('GET', 'debug_token', {
+                input_token: accessToken,
+                access_token: `${APP_ID}|${APP_SECRET}`
+            });
+            return data && data.expires_at ? new Date(data.expires_at * 1000).toISOString() : null;
+        } catch (error) {
+            Logger.warning(`Could not look up the Instagram token's expiry: ${error.message}`);
+            return null;
+        }
+    }
+    
+    isAuthError(error) {
+        // Graph API reports expired/invalid tokens as OAuthException code 190, usually with HTTP 400
+        return super.isAuthError(error) || error.code === 190;
+    }
+    
+    async refreshTokens() {
+        // Long-lived tokens are refreshed by exchanging them for a new long-lived token
+        const data = await this.graphRequest('GET', 'oauth/access_token', {
+            grant_type: 'fb_exchange_token',
+            client_id: this.config.INSTAGRAM.APP_ID,
+            client_secret: this.config.INSTAGRAM.APP_SECRET,
+            fb_exchange_token: this.accessToken
+        });
+        
+        await this.persistTokens({
+            accessToken: data.access_token,
+            tokenType: data.token_type || 'bearer',
+            expiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000).toISOString() : null
+        });
+        Logger.info('Refreshed Instagram long-lived access token');
+    }
+    
+    async upload(clip) {
+        if (!this.authenticated && !await this.authenticate()) {
+            throw new Error('Instagram authentication failed');
+        }
+        
+        let containerId = this.takeProcessingMedia(clip);
+        
+        if (!containerId) {
+            // Step 1: Create a Reels container that accepts a resumable upload
+            const container = await this.graphRequest('POST', `${this.accountId}/media`, {
+                media_type: 'REELS',
+                upload_type: 'resumable',
+                caption: this.composeText(clip).text,
+                ...this.getCoverParams(clip)
+            });
+            containerId = container.id;
+            Logger.info(`Instagram Reels container created: ${containerId}`);
+            
+            // Step 2: Stream the local file to the rupload endpoint
+            await this.uploadVideoFile(container, clip.filePath, this.trackProgress(clip, fs.statSync(clip.filePath).size));
+        }
+        
+        // Step 3: Wait for Instagram to finish processing the video
+        await this.awaitProcessing(clip, containerId, id => this.waitForContainer(id));
+        
+        if (!this.config.AUTO_PUBLISH) {
+            Logger.info(`Instagram container ready but not published (expires in 24h): ${containerId}`);
+            return `instagram:container:${containerId}`;
+        }
+        
+        // Step 4: Publish and look up the public permalink
+        const published = await this.graphRequest('POST', `${this.accountId}/media_publish`, {
+            creation_id: containerId
+        });
+        const media = await this.graphRequest('GET', published.id, { fields: 'permalink' });
+        
+        return media.permalink || `https://www.instagram.com/reel/${published.id}`;
+    }
+    
+    // Reels covers can only be given as a public image URL; otherwise
+    // Instagram picks the frame at thumb_offset
+    getCoverParams(clip) {
+        if (clip.thumbnailPath && isRemoteUrl(clip.thumbnailPath)) {
+            return { cover_url: clip.thumbnailPath };
+        }
+        
+        if (clip.thumbnailPath) {
+            Logger.warning(`Instagram covers must be public image URLs - ${clip.thumbnailPath} is ignored`);
+        }
+        
+        return clip.thumbnailTime !== null ? { thumb_offset: Math.round(clip.thumbnailTime * 1000) } : {};
+    }
+    
+    async uploadVideoFile(container, filePath, onProgress = () => {}) {
+        const fileSize = fs.statSync(filePath).size;
+        const uploadUrl = container.uri ||
+            `${this.config.INSTAGRAM.RUPLOAD_BASE_URL}/ig-api-upload/${this.config.INSTAGRAM.API_VERSION}/${container.id}`;
+        
+        const response = await axios.post(uploadUrl, fs.createReadStream(filePath), {
+            headers: {
+                Authorization: `OAuth ${this.accessToken}`,
+                'Content-Type': 'application/octet-stream',
+                'Content-Length': fileSize,
+                offset: '0',
+                file_size: String(fileSize)
+            },
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            validateStatus: () => true,
+            onUploadProgress: event => onProgress(Math.min(event.loaded, fileSize))
+        });
+        
+        const data = response.data || {};
+        if (response.status >= 400 || !data.success) {
+            const debugInfo = data.debug_info || {};
+            throw new PlatformApiError(
+                this.platformName,
+                `Instagram video upload failed: ${debugInfo.message || `HTTP ${response.status}`}`,
+                { status: response.status, code: debugInfo.type || 'UPLOAD_FAILED', details: data, headers: response.headers }
+            );
+        }
+        
+        onProgress(fileSize);
+    }
+    
+    async waitForContainer(containerId) {
+        const deadline = Date.now() + this.config.INSTAGRAM.STATUS_TIMEOUT_MS;
+        
+        while (Date.now() < deadline) {
+            const container = await this.graphRequest('GET', containerId, { fields: 'status_code,status' });
+            
+            if (container.status_code === 'FINISHED') {
+                return container;
+            }
+            
+            if (container.status_code === 'ERROR' || container.status_code === 'EXPIRED') {
+                throw new PlatformApiError(
+                    this.platformName,
+                    `Instagram container ${container.status_code.toLowerCase()}: ${container.status || 'no details'}`,
+                    { code: `CONTAINER_${container.status_code}`, details: container }
+                );
+            }
+            
+            await this.sleep(this.config.INSTAGRAM.STATUS_POLL_INTERVAL_MS);
+        }
+        
+        throw new PlatformApiError(
+            this.platformName,
+            `Timed out waiting for Instagram container ${containerId} to finish processing`,
+            { code: 'CONTAINER_TIMEOUT' }
+        );
+    }
+    
+    async graphRequest(method, endpoint, params = {}) {
+        const query = { access_token: this.accessToken, ...params };
+        const response = await axios.request({
+            method,
+            url: `${this.config.INSTAGRAM.GRAPH_BASE_URL}/${this.config.INSTAGRAM.API_VERSION}/${endpoint}`,
+            params: method === 'GET' ? query : undefined,
+            data: method === 'GET' ? undefined : new URLSearchParams(query).toString(),
+            headers: method === 'GET' ? {} : { 'Content-Type': 'application/x-www-form-urlencoded' },
+            validateStatus: () => true
+        });
+        
+        const data = response.data || {};
+        if (response.status >= 400 || data.error) {
+            throw this.createGraphError(response);
+        }
+        
+        return data;
+    }
+    
+    classifyError(error) {
+        if (!(error instanceof PlatformApiError) || !error.details) {
+            return super.classifyError(error);
+        }
+        
+        const subcode = error.details.subcode;
+        if (GRAPH_RATE_LIMIT_CODES.includes(error.code) || subcode === GRAPH_PUBLISH_LIMIT_SUBCODE) {
+            return { category: 'rate_limited', retryAfterMs: this.parseRegainAccess(error.headers) };
+        }
+        if (GRAPH_TRANSIENT_CODES.includes(error.code)) {
+            return { category: 'retryable', retryAfterMs: null };
+        }
+        
+        return super.classifyError(error);
+    }
+    
+    // Business use case throttling reports minutes until calls are allowed again
+    parseRegainAccess(headers) {
+        const usage = headers['x-business-use-case-usage'];
+        if (!usage) {
+            return null;
+        }
+        
+        try {
+            const minutes = Object.values(JSON.parse(usage))
+                .flat()
+                .map(entry => entry.estimated_time_to_regain_access || 0);
+            return minutes.length > 0 ? Math.max(...minutes) * 60 * 1000 : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    createGraphError(response) {
+        const error = (response.data && response.data.error) || {};
+        
+        return new PlatformApiError(
+            this.platformName,
+            `Graph API error: ${error.message || `HTTP ${response.status}`}`,
+            {
+                status: response.status,
+                code: error.code || null,
+                headers: response.headers,
+                details: {
+                    type: error.type || null,
+                    subcode: error.error_subcode || null,
+                    userMessage: error.error_user_msg || null,
+                    fbtraceId: error.fbtrace_id || null
+                }
+            }
+        );
+    }
+}
+
+const TIKTOK_RATE_LIMIT_CODES = ['rate_limit_exceeded', 'spam_risk_too_many_posts', 'reached_active_user_cap'];
+
+// Maps VideoClip.privacy onto TikTok's privacy_level values
+const TIKTOK_PRIVACY_LEVELS = {
+    public: 'PUBLIC_TO_EVERYONE',
+    unlisted: 'MUTUAL_FOLLOW_FRIENDS',
+    followers: 'FOLLOWER_OF_CREATOR',
+    private: 'SELF_ONLY'
+};
+
+const TIKTOK_MIN_CHUNK_SIZE = 5 * 1024 * 1024;
+const TIKTOK_MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+
+class TikTokUploader extends PlatformUploader {
+    constructor(tokenVault = null, config = CONFIG) {
+        super('TikTok', tokenVault, config);
+    }
+    
+    async authenticate() {
+        if (this.loadStoredTokens()) {
+            return true;
+        }
+        
+        Logger.warning('No TikTok tokens found - run with --login tiktok');
+        return false;
+    }
+    
+    async upload(clip) {
+        if (!this.authenticated && !await this.authenticate()) {
+            throw new Error('TikTok authentication failed');
+        }
+        
+        // Step 1: Check which privacy levels this creator is allowed to post with
+        const creator = await this.apiRequest('/v2/post/publish/creator_info/query/');
+        const privacyLevel = this.resolvePrivacyLevel(clip.privacy, creator.privacy_level_options || []);
+        
+        // Step 2: Initialize a FILE_UPLOAD post
+        const fileSize = fs.statSync(clip.filePath).size;
+        const { chunkSize, totalChunkCount } = this.computeChunks(fileSize);
+        
+        const init = await this.apiRequest('/v2/post/publish/video/init/', {
+            post_info: {
+                title: this.composeText(clip).text,
+                privacy_level: privacyLevel,
+                disable_comment: Boolean(creator.comment_disabled),
+                disable_duet: Boolean(creator.duet_disabled),
+                disable_stitch: Boolean(creator.stitch_disabled)
+            },
+            source_info: {
+                source: 'FILE_UPLOAD',
+                video_size: fileSize,
+                chunk_size: chunkSize,
+                total_chunk_count: totalChunkCount
+            }
+        });
+        Logger.info(`TikTok upload initialized: ${init.publish_id} (${totalChunkCount} chunks)`);
+        
+        // Step 3: Upload the chunks
+        await this.uploadChunks(init.upload_url, clip.filePath, fileSize, chunkSize, totalChunkCount,
+            this.trackProgress(clip, fileSize));
+        
+        // Step 4: Wait until TikTok has processed and published the post
+        const status = await this.waitForPublish(init.publish_id);
+        const postIds = status.publicaly_available_post_id || [];
+        
+        if (postIds.length > 0 && creator.creator_username) {
+            return `https://www.tiktok.com/@${creator.creator_username}/video/${postIds[0]}`;
+        }
+        
+        // Non-public posts never get a public post id
+        return `tiktok:publish:${init.publish_id}`;
+    }
+    
+    resolvePrivacyLevel(privacy, allowedLevels) {
+        const privacyLevel = TIKTOK_PRIVACY_LEVELS[privacy];
+        
+        if (!privacyLevel) {
+            throw new PlatformApiError(
+                this.platformName,
+                `Unsupported privacy setting "${privacy}" (expected one of: ${Object.keys(TIKTOK_PRIVACY_LEVELS).join(', ')})`,
+                { code: 'privacy_level_unsupported' }
+            );
+        }
+        
+        if (!allowedLevels.includes(privacyLevel)) {
+            throw new PlatformApiError(
+                this.platformName,
+                `Privacy level ${privacyLevel} is not allowed for this TikTok account (allowed: ${allowedLevels.join(', ') || 'none'})`,
+                { code: 'privacy_level_not_allowed', details: { requested: privacyLevel, allowed: allowedLevels } }
+            );
+        }
+        
+        return privacyLevel;
+    }
+    
+    computeChunks(fileSize) {
+        const chunkSize = Math.min(Math.max(this.config.TIKTOK.CHUNK_SIZE, TIKTOK_MIN_CHUNK_SIZE), TIKTOK_MAX_CHUNK_SIZE);
+        
+        // Small files go up as a single chunk
+        if (fileSize <= chunkSize) {
+            return { chunkSize: fileSize, totalChunkCount: 1 };
+        }
+        
+        // Trailing bytes are merged into the final chunk rather than sent as a short extra chunk
+        return { chunkSize, totalChunkCount: Math.floor(fileSize / chunkSize) };
+    }
+    
+    async uploadChunks(uploadUrl, filePath, fileSize, chunkSize, totalChunkCount, onProgress = () => {}) {
+        const fd = fs.openSync(filePath, 'r');
+        
+        try {
+            for (let index = 0; index < totalChunkCount; index++) {
+                const start = index * chunkSize;
+                const end = index === totalChunkCount - 1 ? fileSize - 1 : start + chunkSize - 1;
+                const chunk = Buffer.alloc(end - start + 1);
+                fs.readSync(fd, chunk, 0, chunk.length, start);
+                
+                const response = await axios.put(uploadUrl, chunk, {
+                    headers: {
+                        'Content-Type': 'video/mp4',
+                        'Content-Length': chunk.length,
+                        'Content-Range': `bytes ${start}-${end}/${fileSize}`
+                    },
+                    maxBodyLength: Infinity,
+                    maxContentLength: Infinity,
+                    validateStatus: () => true,
+                    onUploadProgress: event => onProgress(start + Math.min(event.loaded, chunk.length))
+                });
+                
+                if (response.status !== 201 && response.status !== 206) {
+                    throw new PlatformApiError(
+                        this.platformName,
+                        `TikTok chunk ${index + 1}/${totalChunkCount} failed: HTTP ${response.status}`,
+                        { status: response.status, code: 'chunk_upload_failed', headers: response.headers }
+                    );
+                }
+                
+                onProgress(end + 1);
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+    
+    async waitForPublish(publishId) {
+        const deadline = Date.now() + this.config.TIKTOK.STATUS_TIMEOUT_MS;
+        
+        while (Date.now() < deadline) {
+            const status = await this.apiRequest('/v2/post/publish/status/fetch/', { publish_id: publishId });
+            
+            if (status.status === 'PUBLISH_COMPLETE') {
+                return status;
+            }
+            
+            if (status.status === 'FAILED') {
+                throw new PlatformApiError(
+                    this.platformName,
+                    `TikTok publish failed: ${status.fail_reason || 'unknown reason'}`,
+                    { code: status.fail_reason || 'publish_failed', details: status }
+                );
+            }
+            
+            await this.sleep(this.config.TIKTOK.STATUS_POLL_INTERVAL_MS);
+        }
+        
+        throw new PlatformApiError(
+            this.platformName,
+            `Timed out waiting for TikTok to publish ${publishId}`,
+            { code: 'publish_timeout' }
+        );
+    }
+    
+    classifyError(error) {
+        if (TIKTOK_RATE_LIMIT_CODES.includes(error.code)) {
+            return { category: 'rate_limited', retryAfterMs: this.parseRetryAfter(error.headers || {}) };
+        }
+        if (error.code === 'internal_error') {
+            return { category: 'retryable', retryAfterMs: null };
+        }
+        
+        return super.classifyError(error);
+    }
+    
+    async apiRequest(endpoint, body = {}) {
+        const response = await axios.post(`${this.config.TIKTOK.API_BASE_URL}${endpoint}`, body, {
+            headers: {
+                Authorization: `Bearer ${this.accessToken}`,
+                'Content-Type': 'application/json; charset=UTF-8'
+            },
+            validateStatus: () => true
+        });
+        
+        const error = (response.data && response.data.error) || {};
+        if (response.status >= 400 || (error.code && error.code !== 'ok')) {
+            throw new PlatformApiError(
+                this.platformName,
+                `TikTok API error: ${error.message || error.code || `HTTP ${response.status}`}`,
+                { status: response.status, code: error.code || null, details: { logId: error.log_id || null }, headers: response.headers }
+            );
+        }
+        
+        return response.data.data || {};
+    }
+}
+
+class LinkedInUploader extends PlatformUploader {
+    constructor(tokenVault = null, config = CONFIG) {
+        super('LinkedIn', tokenVault, config);
+        this.supportsCaptions = true;
+    }
+    
+    async authenticate() {
+        if (this.loadStoredTokens()) {
+            return true;
+        }
+        
+        Logger.warning('No LinkedIn tokens found - run with --login linkedin');
+        return false;
+    }
+    
+    getAuthorUrn() {
+        if (this.config.LINKEDIN.POST_AS === 'organization') {
+            if (!this.config.LINKEDIN.ORGANIZATION_ID) {
+                throw new Error('LINKEDIN.ORGANIZATION_ID is required when posting as an organization');
+            }
+            return `urn:li:organization:${this.config.LINKEDIN.ORGANIZATION_ID}`;
+        }
+        
+        return `urn:li:person:${this.config.LINKEDIN.PERSON_ID}`;
+    }
+    
+    async upload(clip) {
+        if (!this.authenticated && !await this.authenticate()) {
+            throw new Error('LinkedIn authentication failed');
+        }
+        
+        const owner = this.getAuthorUrn();
+        const visibility = this.resolveVisibility(owner, clip.privacy);
+        let video = this.takeProcessingMedia(clip);
+        
+        if (!video) {
+            video = await this.uploadVideo(owner, clip);
+        }
+        
+        // Wait for LinkedIn to process the video, then create the post
+        await this.awaitProcessing(clip, video, urn => this.waitForVideo(urn));
+        const postUrn = await this.createPost(owner, video, visibility, clip);
+        return `https://www.linkedin.com/feed/update/${postUrn}`;
+    }
+    
+    // Uploads and finalizes the video, returning its URN
+    async uploadVideo(owner, clip) {
+        const fileSize = fs.statSync(clip.filePath).size;
+        const caption = this.selectCaption(clip);
+        
+        // Step 1: Register the upload and get the part URLs
+        const init = await this.apiRequest('POST', '/rest/videos?action=initializeUpload', {
+            initializeUploadRequest: {
+                owner,
+                fileSizeBytes: fileSize,
+                uploadCaptions: Boolean(caption),
+                uploadThumbnail: false
+            }
+        });
+        const { video, uploadInstructions, uploadToken, captionsUploadUrl } = init.value;
+        Logger.info(`LinkedIn video upload initialized: ${video} (${uploadInstructions.length} parts)`);
+        
+        // Step 2: Upload every part and collect the ETags
+        const partIds = await this.uploadParts(clip.filePath, uploadInstructions, this.trackProgress(clip, fileSize));
+        if (caption) {
+            await this.uploadCaptions(captionsUploadUrl, caption);
+        }
+        
+        // Step 3: Finalize so LinkedIn starts processing the video
+        await this.apiRequest('POST', '/rest/videos?action=finalizeUpload', {
+            finalizeUploadRequest: { video, uploadToken: uploadToken || '', uploadedPartIds: partIds }
+        });
+        
+        return video;
+    }
+    
+    async uploadParts(filePath, uploadInstructions, onProgress = () => {}) {
+        const fd = fs.openSync(filePath, 'r');
+        const partIds = [];
+        let bytesSent = 0;
+        
+        try {
+            for (const instruction of uploadInstructions) {
+                const chunk = Buffer.alloc(instruction.lastByte - instruction.firstByte + 1);
+                fs.readSync(fd, chunk, 0, chunk.length, instruction.firstByte);
+                
+                const response = await axios.put(instruction.uploadUrl, chunk, {
+                    headers: {
+                        Authorization: `Bearer ${this.accessToken}`,
+                        'Content-Type': 'application/octet-stream'
+                    },
+                    maxBodyLength: Infinity,
+                    maxContentLength: Infinity,
+                    validateStatus: () => true,
+                    onUploadProgress: event => onProgress(bytesSent + Math.min(event.loaded, chunk.length))
+                });
+                
+                if (response.status >= 300 || !response.headers.etag) {
+                    throw new PlatformApiError(
+                        this.platformName,
+                        `LinkedIn part upload failed for bytes ${instruction.firstByte}-${instruction.lastByte}: HTTP ${response.status}`,
+                        { status: response.status, code: 'part_upload_failed', headers: response.headers }
+                    );
+                }
+                
+                partIds.push(response.headers.etag);
+                bytesSent += chunk.length;
+                onProgress(bytesSent);
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+        
+        return partIds;
+    }
+    
+    // LinkedIn takes a single SRT track per video: the one in the default
+    // caption language, or else the first
+    selectCaption(clip) {
+        if (clip.captions.length === 0) {
+            return null;
+        }
+        
+        const caption = clip.captions.find(entry => entry.language === this.config.DEFAULT_CAPTION_LANGUAGE) || clip.captions[0];
+        if (clip.captions.length > 1) {
+            Logger.warning(`LinkedIn supports one caption track - uploading ${caption.language} only`);
+        }
+        
+        return caption;
+    }
+    
+    // A missing caption track isn't worth failing the post over
+    async uploadCaptions(uploadUrl, caption) {
+        try {
+            if (!uploadUrl) {
+                throw new Error('no captions upload URL was returned');
+            }
+            
+            const response = await axios.put(uploadUrl, readCaptions(caption, 'srt'), {
+                headers: {
+                    Authorization: `Bearer ${this.accessToken}`,
+                    'Content-Type': 'application/octet-stream'
+                },
+                validateStatus: () => true
+            });
+            
+            if (response.status >= 300) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            Logger.info(`LinkedIn ${caption.language} captions uploaded`);
+            
+        } catch (error) {
+            Logger.warning(`Could not upload LinkedIn captions ${caption.filePath}: ${error.message}`);
+        }
+    }
+    
+    async waitForVideo(videoUrn) {
+        const deadline = Date.now() + this.config.LINKEDIN.STATUS_TIMEOUT_MS;
+        
+        while (Date.now() < deadline) {
+            const video = await this.apiRequest('GET', `/rest/videos/${encodeURIComponent(videoUrn)}`);
+            
+            if (video.status === 'AVAILABLE') {
+                return video;
+            }
+            
+            if (video.status === 'PROCESSING_FAILED') {
+                throw new PlatformApiError(
+                    this.platformName,
+                    `LinkedIn video processing failed: ${video.processingFailureReason || 'unknown reason'}`,
+                    { code: 'processing_failed', details: video }
+                );
+            }
+            
+            await this.sleep(this.config.LINKEDIN.STATUS_POLL_INTERVAL_MS);
+        }
+        
+        throw new PlatformApiError(
+            this.platformName,
+            `Timed out waiting for LinkedIn video ${videoUrn} to become available`,
+            { code: 'processing_timeout' }
+        );
+    }
+    
+    resolveVisibility(author, privacy) {
+        const visibility = privacy === 'public' ? 'PUBLIC' : 'CONNECTIONS';
+        
+        // Organization pages can only post publicly - never widen the audience silently
+        if (author.startsWith('urn:li:organization:') && visibility !== 'PUBLIC') {
+            throw new PlatformApiError(
+                this.platformName,
+                `LinkedIn organization posts are always public (requested: ${privacy})`,
+                { code: 'visibility_not_supported' }
+            );
+        }
+        
+        return visibility;
+    }
+    
+    async createPost(author, videoUrn, visibility, clip) {
+        const response = await this.apiRequest('POST', '/rest/posts', {
+            author,
+            commentary: LinkedInUploader.formatCommentary(this.composeText(clip).text),
+            visibility,
+            distribution: {
+                feedDistribution: 'MAIN_FEED',
+                targetEntities: [],
+                thirdPartyDistributionChannels: []
+            },
+            content: {
+                media: { title: clip.title, id: videoUrn }
+            },
+            lifecycleState: 'PUBLISHED',
+            isReshareDisabledByAuthor: false
+        }, true);
+        
+        const postUrn = response.headers['x-restli-id'];
+        if (!postUrn) {
+            throw new PlatformApiError(this.platformName, 'LinkedIn post created without an id', { status: response.status });
+        }
+        
+        return postUrn;
+    }
+    
+    static escapeCommentary(text) {
+        // Posts API commentary uses "little text" format, where these characters are reserved
+        return text.replace(/[|{}@\[\]()<>#\\*_~]/g, char => `\\${char}`);
+    }
+    
+    // Escapes the text, except for hashtags, which little text marks up as
+    // {hashtag|\#|tag} so they link
+    static formatCommentary(text) {
+        let commentary = '';
+        let last = 0;
+        
+        for (const match of text.matchAll(HASHTAG_PATTERN)) {
+            commentary += LinkedInUploader.escapeCommentary(text.slice(last, match.index));
+            commentary += `{hashtag|\\#|${LinkedInUploader.escapeCommentary(match[0].slice(1))}}`;
+            last = match.index + match[0].length;
+        }
+        
+        return commentary + LinkedInUploader.escapeCommentary(text.slice(last));
+    }
+    
+    async apiRequest(method, endpoint, body = undefined, rawResponse = false) {
+        const response = await axios.request({
+            method,
+            url: `${this.config.LINKEDIN.API_BASE_URL}${endpoint}`,
+            data: body,
+            headers: {
+                Authorization: `Bearer ${this.accessToken}`,
+                'LinkedIn-Version': this.config.LINKEDIN.API_VERSION,
+                'X-Restli-Protocol-Version': '2.0.0',
+                'Content-Type': 'application/json'
+            },
+            validateStatus: () => true
+        });
+        
+        if (response.status >= 300) {
+            const data = response.data || {};
+            throw new PlatformApiError(
+                this.platformName,
+                `LinkedIn API error: ${data.message || `HTTP ${response.status}`}`,
+                { status: response.status, code: data.serviceErrorCode || data.code || null, details: data, headers: response.headers }
+            );
+        }
+        
+        return rawResponse ? response : (response.data || {});
+    }
+}
+
+const TWEET_MAX_LENGTH = 280;
+const TWEET_URL_LENGTH = 23;
+
+class TwitterUploader extends PlatformUploader {
+    constructor(tokenVault = null, config = CONFIG) {
+        super('Twitter', tokenVault, config);
+        this.credentials = this.config.TWITTER;
+        this.signer = null;
+    }
+    
+    async authenticate() {
+        // Static OAuth 1.0a keys are preferred and upload through the v1.1 media
+        // endpoint; OAuth 2.0 tokens from --login can only use the v2 one
+        if (this.hasOAuth1Credentials()) {
+            this.signer = new OAuth1Signer({
+                consumerKey: this.credentials.API_KEY,
+                consumerSecret: this.credentials.API_SECRET,
+                token: this.credentials.ACCESS_TOKEN,
+                tokenSecret: this.credentials.ACCESS_TOKEN_SECRET
+            });
+            this.authenticated = true;
+            return true;
+        }
+        
+        if (this.loadStoredTokens()) {
+            return true;
+        }
+        
+        Logger.warning('No Twitter credentials found - configure OAuth 1.0a keys or run with --login twitter');
+        return false;
+    }
+    
+    hasOAuth1Credentials() {
+        return ['API_KEY', 'API_SECRET', 'ACCESS_TOKEN', 'ACCESS_TOKEN_SECRET'].every(key => {
+            const value = this.credentials[key];
+            return value && !value.includes('your_');
+        });
+    }
+    
+    authorize(method, url, formParams = {}) {
+        return this.signer ? this.signer.sign(method, url, formParams) : `Bearer ${this.accessToken}`;
+    }
+    
+    // v1.1 takes every command on one URL; v2 gives each command its own path
+    mediaUrl(command, mediaId = null) {
+        if (this.signer) {
+            return `${this.config.TWITTER.UPLOAD_BASE_URL}/1.1/media/upload.json`;
+        }
+        
+        const base = `${this.config.TWITTER.API_BASE_URL}/2/media/upload`;
+        return {
+            INIT: `${base}/initialize`,
+            APPEND: `${base}/${mediaId}/append`,
+            FINALIZE: `${base}/${mediaId}/finalize`,
+            STATUS: base
+        }[command];
+    }
+    
+    static weightedLength(text) {
+        // Mirrors twitter-text: URLs count as 23, most non-Latin characters count double
+        const urlPattern = /https?:\/\/\S+/g;
+        const urls = text.match(urlPattern) || [];
+        let length = urls.length * TWEET_URL_LENGTH;
+        
+        for (const char of text.replace(urlPattern, '')) {
+            const code = char.codePointAt(0);
+            const light = code <= 4351 || (code >= 8192 && code <= 8205) ||
+                (code >= 8208 && code <= 8223) || (code >= 8242 && code <= 8247);
+            length += light ? 1 : 2;
+        }
+        
+        return length;
+    }
+    
+    measureText(text) {
+        return TwitterUploader.weightedLength(text);
+    }
+    
+    async upload(clip) {
+        if (!this.authenticated && !await this.authenticate()) {
+            throw new Error('Twitter authentication failed');
+        }
+        
+        // Validate the caption before spending time on the media upload
+        const text = this.composeText(clip).text;
+        const length = TwitterUploader.weightedLength(text);
+        if (length > TWEET_MAX_LENGTH) {
+            throw new PlatformApiError(
+                this.platformName,
+                `Tweet text is ${length} characters (max: ${TWEET_MAX_LENGTH})`,
+                { code: 'tweet_too_long' }
+            );
+        }
+        
+        let mediaId = this.takeProcessingMedia(clip);
+        let processingInfo;
+        
+        if (mediaId) {
+            processingInfo = (await this.mediaCommand({ command: 'STATUS', media_id: mediaId }, 'GET')).processing_info;
+        } else {
+            ({ mediaId, processingInfo } = await this.uploadMedia(clip.filePath, this.trackProgress(clip, fs.statSync(clip.filePath).size)));
+        }
+        
+        // STATUS - video needs async processing before it can be attached
+        await this.awaitProcessing(clip, mediaId, id => this.waitForProcessing(id, processingInfo));
+        const tweetId = await this.postTweet(text, mediaId);
+        
+        return `https://twitter.com/i/web/status/${tweetId}`;
+    }
+    
+    async uploadMedia(filePath, onProgress = () => {}) {
+        const fileSize = fs.statSync(filePath).size;
+        const mediaType = path.extname(filePath).toLowerCase() === '.mov' ? 'video/quicktime' : 'video/mp4';
+        
+        // INIT
+        const init = await this.mediaCommand({
+            command: 'INIT',
+            total_bytes: fileSize,
+            media_type: mediaType,
+            media_category: 'tweet_video'
+        });
+        const mediaId = init.media_id_string || init.id;
+        Logger.info(`Twitter media upload initialized: ${mediaId}`);
+        
+        // APPEND
+        await this.appendSegments(mediaId, filePath, fileSize, onProgress);
+        
+        // FINALIZE
+        const finalized = await this.mediaCommand({ command: 'FINALIZE', media_id: mediaId });
+        
+        return { mediaId, processingInfo: finalized.processing_info || null };
+    }
+    
+    async appendSegments(mediaId, filePath, fileSize, onProgress = () => {}) {
+        const url = this.mediaUrl('APPEND', mediaId);
+        const fd = fs.openSync(filePath, 'r');
+        
+        try {
+            for (let index = 0, offset = 0; offset < fileSize; index++, offset += this.config.TWITTER.CHUNK_SIZE) {
+                const chunk = Buffer.alloc(Math.min(this.config.TWITTER.CHUNK_SIZE, fileSize - offset));
+                fs.readSync(fd, chunk, 0, chunk.length, offset);
+                
+                const form = new FormData();
+                if (this.signer) {
+                    form.append('command', 'APPEND');
+                    form.append('media_id', mediaId);
+                }
+                form.append('segment_index', String(index));
+                form.append('media', chunk, { filename: 'blob', contentType: 'application/octet-stream' });
+                
+                const response = await axios.post(url, form, {
+                    headers: { ...form.getHeaders(), Authorization: this.authorize('POST', url) },
+                    maxBodyLength: Infinity,
+                    validateStatus: () => true,
+                    // The multipart envelope counts towards loaded, so cap it at the segment size
+                    onUploadProgress: event => onProgress(offset + Math.min(event.loaded, chunk.length))
+                });
+                
+                if (response.status >= 300) {
+                    throw this.createApiError(response, `APPEND segment ${index} failed`);
+                }
+                
+                onProgress(offset + chunk.length);
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+    
+    async waitForProcessing(mediaId, processingInfo) {
+        const deadline = Date.now() + this.config.TWITTER.STATUS_TIMEOUT_MS;
+        let info = processingInfo;
+        
+        while (info && info.state !== 'succeeded') {
+            if (info.state === 'failed') {
+                const error = info.error || {};
+                throw new PlatformApiError(
+                    this.platformName,
+                    `Twitter media processing failed: ${error.message || error.name || 'unknown error'}`,
+                    { code: error.name || 'processing_failed', details: info }
+                );
+            }
+            
+            if (Date.now() >= deadline) {
+                throw new PlatformApiError(
+                    this.platformName,
+                    `Timed out waiting for Twitter to process media ${mediaId}`,
+                    { code: 'processing_timeout' }
+                );
+            }
+            
+            await this.sleep((info.check_after_secs || 5) * 1000);
+            
+            const status = await this.mediaCommand({ command: 'STATUS', media_id: mediaId }, 'GET');
+            info = status.processing_info;
+        }
+    }
+    
+    async mediaCommand(params, method = 'POST') {
+        if (!this.signer) {
+            return this.mediaCommandV2(params, method);
+        }
+        
+        const url = this.mediaUrl(params.command);
+        const stringParams = Object.fromEntries(Object.entries(params).map(([key, value]) => [key, String(value)]));
+        let response;
+        
+        if (method === 'GET') {
+            const requestUrl = `${url}?${new URLSearchParams(stringParams).toString()}`;
+            response = await axios.get(requestUrl, {
+                headers: { Authorization: this.authorize('GET', requestUrl) },
+                validateStatus: () => true
+            });
+        } else {
+            response = await axios.post(url, new URLSearchParams(stringParams).toString(), {
+                headers: {
+                    Authorization: this.authorize('POST', url, stringParams),
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                validateStatus: () => true
+            });
+        }
+        
+        if (response.status >= 300) {
+            throw this.createApiError(response, `Media ${params.command} failed`);
+        }
+        
+        return response.data || {};
+    }
+    
+    // The v2 endpoint takes JSON instead of form parameters and wraps its
+    // replies in data
+    async mediaCommandV2({ command, media_id: mediaId, ...params }, method = 'POST') {
+        const url = this.mediaUrl(command, mediaId);
+        let response;
+        
+        if (method === 'GET') {
+            response = await axios.get(url, {
+                params: { command, media_id: mediaId },
+                headers: { Authorization: this.authorize('GET', url) },
+                validateStatus: () => true
+            });
+        } else {
+            response = await axios.post(url, params, {
+                headers: {
+                    Authorization: this.authorize('POST', url),
+                    'Content-Type': 'application/json'
+                },
+                validateStatus: () => true
+            });
+        }
+        
+        if (response.status >= 300) {
+            throw this.createApiError(response, `Media ${command} failed`);
+        }
+        
+        return (response.data && response.data.data) || {};
+    }
+    
+    async postTweet(text, mediaId) {
+        const url = `${this.config.TWITTER.API_BASE_URL}/2/tweets`;
+        const response = await axios.post(url, { text, media: { media_ids: [mediaId] } }, {
+            headers: {
+                Authorization: this.authorize('POST', url),
+                'Content-Type': 'application/json'
+            },
+            validateStatus: () => true
+        });
+        
+        if (response.status >= 300 || !response.data || !response.data.data) {
+            throw this.createApiError(response, 'Tweet creation failed');
+        }
+        
+        return response.data.data.id;
+    }
+    
+    classifyError(error) {
+        const classification = super.classifyError(error);
+        if (classification.category !== 'rate_limited' || classification.retryAfterMs !== null) {
+            return classification;
+        }
+        
+        // The 24-hour per-user cap resets later than the 15-minute endpoint window
+        const headers = error.headers || {};
+        const reset = headers['x-user-limit-24hour-remaining'] === '0'
+            ? headers['x-user-limit-24hour-reset']
+            : headers['x-rate-limit-reset'];
+        
+        return { category: 'rate_limited', retryAfterMs: this.resetTimeToDelay(reset) };
+    }
+    
+    createApiError(response, message) {
+        const data = response.data || {};
+        const error = (data.errors && data.errors[0]) || {};
+        
+        return new PlatformApiError(
+            this.platformName,
+            `${message}: ${error.message || data.detail || data.title || `HTTP ${response.status}`}`,
+            { status: response.status, code: error.code || data.type || null, details: data, headers: response.headers }
+        );
+    }
+}
+
+// ==========================================
+// PLATFORM REGISTRY
+// ==========================================
+
+const platformRegistry = new Map();
+const loadedPlugins = new Set();
+
+// Schema rules shared by the built-in platforms and the core configuration schema
+const CREDENTIAL = { type: 'string', required: true };
+const STRING = { type: 'string' };
+const OPTIONAL_STRING = { type: 'string', nullable: true };
+const BOOLEAN = { type: 'boolean' };
+const NUMBER = { type: 'number', min: 0 };
+const POSITIVE_INTEGER = { type: 'number', integer: true, min: 1 };
+const STRING_LIST = { type: 'array', items: 'string' };
+
+function getPlatformConfigKey(name) {
+    return name.toUpperCase().replace(/-/g, '_');
+}
+
+/**
+ * Register an uploader so SocialMediaUploader can route clips to it.
+ * configSchema describes CONFIG[NAME] as { KEY: { type, required, default } };
+ * loadConfig fills in the defaults for settings the user leaves out.
+ * options.oauth registers an OAuth provider so --login <name> works.
+ */
+function registerPlatform(name, UploaderClass, configSchema = {}, options = {}) {
+    if (typeof name !== 'string' || !/^[a-z][a-z0-9_-]*$/.test(name)) {
+        throw new Error(`Invalid platform name "${name}" (use lowercase letters, digits, "-" or "_")`);
+    }
+    
+    if (platformRegistry.has(name)) {
+        throw new Error(`Platform "${name}" is already registered`);
+    }
+    
+    if (typeof UploaderClass !== 'function' || !(UploaderClass.prototype instanceof PlatformUploader)) {
+        throw new Error(`Platform "${name}" must extend PlatformUploader`);
+    }
+    
+    ['authenticate', 'upload'].forEach(method => {
+        if (UploaderClass.prototype[method] === PlatformUploader.prototype[method]) {
+            throw new Error(`Platform "${name}" must implement ${method}()`);
+        }
+    });
+    
+    const configKey = getPlatformConfigKey(name);
+    
+    if (options.oauth) {
+        OAUTH_PROVIDERS[name] = { configKey, ...options.oauth };
+    }
+    
+    platformRegistry.set(name, {
+        name,
+        UploaderClass,
+        configSchema,
+        videoSpec: options.videoSpec || null,
+        textSpec: options.textSpec || null
+    });
+}
+
+function getRegisteredPlatforms() {
+    return Array.from(platformRegistry.keys());
+}
+
+// The settings registered platforms default to, as { NAME: { KEY: value } }
+function getPlatformDefaults() {
+    const defaults = {};
+    
+    for (const { name, configSchema } of platformRegistry.values()) {
+        const section = {};
+        
+        Object.entries(configSchema).forEach(([key, rule]) => {
+            if (rule.default !== undefined) {
+                section[key] = JSON.parse(JSON.stringify(rule.default));
+            }
+        });
+        
+        defaults[getPlatformConfigKey(name)] = section;
+    }
+    
+    return defaults;
+}
+
+// Limits a platform puts on uploaded videos: maxSizeMB, minDuration and
+// maxDuration in seconds, orientation ('vertical'), aspectRatios ("W:H"),
+// videoCodecs and audioCodecs (as named in CODEC_NAMES). A platform may
+// register a function of the config instead, to offer more than one profile.
+function getPlatformVideoSpec(name, config = CONFIG) {
+    const entry = platformRegistry.get(name);
+    if (!entry) {
+        return null;
+    }
+    
+    return typeof entry.videoSpec === 'function' ? entry.videoSpec(config) : entry.videoSpec;
+}
+
+// Limits on a platform's post text: maxLength (as the uploader's measureText
+// counts it) and maxHashtags
+function getPlatformTextSpec(name) {
+    const entry = platformRegistry.get(name);
+    return entry ? entry.textSpec : null;
+}
+
+function loadPlugin(modulePath) {
+    if (loadedPlugins.has(modulePath)) return;
+    loadedPlugins.add(modulePath);
+    
+    try {
+        const plugin = require(modulePath);
+        const api = { registerPlatform, PlatformUploader, PlatformApiError, Logger, CONFIG };
+        
+        // Plugins either export a register(api) function or a { name, Uploader, configSchema } descriptor
+        if (typeof plugin === 'function') {
+            plugin(api);
+        } else if (plugin && typeof plugin.register === 'function') {
+            plugin.register(api);
+        } else if (plugin && plugin.name && plugin.Uploader) {
+            registerPlatform(plugin.name, plugin.Uploader, plugin.configSchema, { oauth: plugin.oauth });
+        } else {
+            throw new Error('plugin must export register(api) or { name, Uploader, configSchema }');
+        }
+        
+        Logger.info(`Loaded platform plugin: ${modulePath}`);
+    } catch (error) {
+        Logger.error(`Failed to load platform plugin ${modulePath}`, error.message);
+    }
+}
+
+function loadPlugins(directory = CONFIG.PLUGINS.DIRECTORY, packages = CONFIG.PLUGINS.PACKAGES) {
+    if (directory && fs.existsSync(directory)) {
+        fs.readdirSync(directory, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() || entry.name.endsWith('.js'))
+            .forEach(entry => loadPlugin(path.resolve(directory, entry.name)));
+    }
+    
+    (packages || []).forEach(packageName => {
+        try {
+            loadPlugin(require.resolve(packageName, { paths: [process.cwd()] }));
+        } catch (error) {
+            Logger.error(`Plugin package not found: ${packageName}`, error.message);
+        }
+    });
+    
+    return getRegisteredPlatforms();
+}
+
+registerPlatform('youtube', YouTubeUploader, {
+    CLIENT_ID: CREDENTIAL,
+    CLIENT_SECRET: CREDENTIAL,
+    REDIRECT_URI: STRING,
+    API_BASE_URL: STRING,
+    CHUNK_SIZE: { type: 'number', integer: true, min: 256 * 1024 },
+    CATEGORY_ID: STRING,
+    MAX_RESUME_ATTEMPTS: NUMBER,
+    SHORTS: BOOLEAN
+}, {
+    videoSpec: config => (config.YOUTUBE.SHORTS
+        ? { maxSizeMB: 256 * 1024, maxDuration: 180, orientation: 'vertical' }
+        : { maxSizeMB: 256 * 1024, maxDuration: 12 * 60 * 60 }),
+    // Description; with more than 15 hashtags YouTube ignores them all
+    textSpec: { maxLength: 5000, maxHashtags: 15 }
+});
+registerPlatform('instagram', InstagramUploader, {
+    ACCESS_TOKEN: CREDENTIAL,
+    BUSINESS_ACCOUNT_ID: CREDENTIAL,
+    APP_ID: OPTIONAL_STRING,
+    APP_SECRET: OPTIONAL_STRING,
+    GRAPH_BASE_URL: STRING,
+    RUPLOAD_BASE_URL: STRING,
+    API_VERSION: STRING,
+    STATUS_POLL_INTERVAL_MS: NUMBER,
+    STATUS_TIMEOUT_MS: NUMBER
+}, {
+    // Reels
+    videoSpec: {
+        maxSizeMB: 1024,
+        minDuration: 3,
+        maxDuration: 90,
+        aspectRatios: ['9:16'],
+        videoCodecs: ['h264', 'hevc'],
+        audioCodecs: ['aac']
+    },
+    textSpec: { maxLength: 2200, maxHashtags: 30 }
+});
+registerPlatform('tiktok', TikTokUploader, {
+    CLIENT_KEY: CREDENTIAL,
+    CLIENT_SECRET: CREDENTIAL,
+    REDIRECT_URI: STRING,
+    API_BASE_URL: STRING,
+    CHUNK_SIZE: POSITIVE_INTEGER,
+    STATUS_POLL_INTERVAL_MS: NUMBER,
+    STATUS_TIMEOUT_MS: NUMBER
+}, {
+    videoSpec: { maxSizeMB: 4096, minDuration: 3, maxDuration: 600, videoCodecs: ['h264', 'hevc'] },
+    textSpec: { maxLength: 2200 }
+});
+registerPlatform('linkedin', LinkedInUploader, {
+    CLIENT_ID: CREDENTIAL,
+    CLIENT_SECRET: CREDENTIAL,
+    REDIRECT_URI: STRING,
+    PERSON_ID: STRING,
+    POST_AS: { type: 'string', enum: ['person', 'organization'] },
+    ORGANIZATION_ID: OPTIONAL_STRING,
+    API_BASE_URL: STRING,
+    API_VERSION: STRING,
+    STATUS_POLL_INTERVAL_MS: NUMBER,
+    STATUS_TIMEOUT_MS: NUMBER
+}, {
+    videoSpec: { maxSizeMB: 500, minDuration: 3, maxDuration: 1800 },
+    textSpec: { maxLength: 3000 }
+});
+registerPlatform('twitter', TwitterUploader, {
+    API_KEY: CREDENTIAL,
+    API_SECRET: CREDENTIAL,
+    ACCESS_TOKEN: STRING,
+    ACCESS_TOKEN_SECRET: STRING,
+    CLIENT_ID: STRING,
+    CLIENT_SECRET: STRING,
+    REDIRECT_URI: STRING,
+    UPLOAD_BASE_URL: STRING,
+    API_BASE_URL: STRING,
+    CHUNK_SIZE: { type: 'number', integer: true, min: 1, max: 5 * 1024 * 1024 },
+    STATUS_TIMEOUT_MS: NUMBER
+}, {
+    videoSpec: {
+        maxSizeMB: 512,
+        minDuration: 0.5,
+        maxDuration: 140,
+        videoCodecs: ['h264'],
+        audioCodecs: ['aac']
+    },
+    textSpec: { maxLength: TWEET_MAX_LENGTH }
+});
+
+// ==========================================
+// CONFIGURATION LOADING
+// ==========================================
+
+const CONFIG_SCHEMA = {
+    PLATFORMS_TO_UPLOAD: STRING_LIST,
+    OAUTH: {
+        type: 'object',
+        properties: {
+            CALLBACK_TIMEOUT_MS: NUMBER,
+            OPEN_BROWSER: BOOLEAN
+        }
+    },
+    TOKEN_VAULT: {
+        type: 'object',
+        properties: {
+            FILE: STRING,
+            KEY_FILE: OPTIONAL_STRING,
+            PASSPHRASE_ENV: STRING,
+            REFRESH_MARGIN_SECONDS: NUMBER
+        }
+    },
+    ACCOUNTS: { type: 'object' },
+    PLUGINS: {
+        type: 'object',
+        properties: {
+            DIRECTORY: OPTIONAL_STRING,
+            PACKAGES: STRING_LIST
+        }
+    },
+    JOB_STORE: {
+        type: 'object',
+        properties: {
+            FILE: STRING,
+            LOCK_TIMEOUT_MS: NUMBER,
+            STALE_JOB_MINUTES: NUMBER,
+            MAX_ATTEMPTS: POSITIVE_INTEGER,
+            RETENTION_HOURS: NUMBER
+        }
+    },
+    QUOTAS: {
+        type: 'object',
+        properties: {
+            FILE: STRING,
+            PLATFORMS: {
+                type: 'object',
+                values: {
+                    type: 'object',
+                    properties: {
+                        UNIT: STRING,
+                        LIMIT: POSITIVE_INTEGER,
+                        COST: POSITIVE_INTEGER,
+                        WINDOW_HOURS: NUMBER, // Rolling window
+                        RESETS_AT: { type: 'string', format: 'daily-time' } // Fixed daily reset
+                    }
+                }
+            }
+        }
+    },
+    UPLOAD_LEDGER: {
+        type: 'object',
+        properties: {
+            FILE: STRING,
+            ON_DUPLICATE: { type: 'string', enum: ['skip', 'warn'] }
+        }
+    },
+    TRANSCODE: {
+        type: 'object',
+        properties: {
+            ENABLED: BOOLEAN,
+            FFMPEG_PATH: STRING,
+            ADAPT_ASPECT: { type: 'string', enum: ['crop', 'pad'] },
+            CACHE_DIRECTORY: STRING,
+            CACHE_RETENTION_DAYS: NUMBER
+        }
+    },
+    CHECKPOINTS: {
+        type: 'object',
+        properties: {
+            DIRECTORY: STRING
+        }
+    },
+    AUTO_PUBLISH: BOOLEAN,
+    STAGGER_UPLOADS: BOOLEAN,
+    STAGGER_MINUTES: NUMBER,
+    MAX_RETRIES: POSITIVE_INTEGER,
+    RETRY: {
+        type: 'object',
+        properties: {
+            BASE_DELAY_SECONDS: NUMBER,
+            MAX_DELAY_SECONDS: NUMBER,
+            MAX_WAIT_SECONDS: NUMBER
+        }
+    },
+    CONCURRENCY: {
+        type: 'object',
+        properties: {
+            MAX_UPLOADS: POSITIVE_INTEGER,
+            PER_PLATFORM: POSITIVE_INTEGER,
+            PLATFORMS: { type: 'object', values: POSITIVE_INTEGER }
+        }
+    },
+    DEFAULT_PRIVACY: { type: 'string', enum: ['public', 'unlisted', 'followers', 'private'] },
+    DEFAULT_TAGS: STRING_LIST,
+    DEFAULT_DESCRIPTION: STRING,
+    THUMBNAIL_AT_SECONDS: { type: 'number', min: 0, nullable: true },
+    DEFAULT_CAPTION_LANGUAGE: STRING,
+    CAPTION_TEMPLATES: {
+        type: 'object',
+        properties: {
+            DEFAULT: { type: 'string', format: 'caption-template' },
+            PLATFORMS: { type: 'object', values: { type: 'string', format: 'caption-template' } }
+        }
+    },
+    SCHEDULED_UPLOAD: BOOLEAN,
+    UPLOAD_SCHEDULE: { type: 'object', values: { type: 'string', format: 'daily-time' } },
+    TIMEZONE: { type: 'string', format: 'timezone' },
+    DELAY_BETWEEN_PLATFORMS: NUMBER,
+    RANDOM_DELAY: BOOLEAN
+};
+
+function getConfigSchema() {
+    const schema = { ...CONFIG_SCHEMA };
+    
+    for (const { name, configSchema } of platformRegistry.values()) {
+        schema[getPlatformConfigKey(name)] = { type: 'object', properties: configSchema };
+    }
+    
+    return schema;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergeConfig(base, override) {
+    const merged = { ...base };
+    
+    Object.entries(override || {}).forEach(([key, value]) => {
+        merged[key] = isPlainObject(value) && isPlainObject(base[key])
+            ? mergeConfig(base[key], value)
+            : value;
+    });
+    
+    return merged;
+}
+
+function describeValue(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value === 'string' ? `string "${value}"` : `${typeof value} ${JSON.stringify(value)}`;
+}
+
+function suggestKey(key, candidates) {
+    const normalize = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return candidates.find(candidate => normalize(candidate) === normalize(key)) || null;
+}
+
+function checkConfigValue(value, rule, keyPath, sources, errors) {
+    const source = sources[keyPath] ? ` (from ${sources[keyPath]})` : '';
+    
+    if (value === undefined) return;
+    
+    if (value === null) {
+        if (!rule.nullable) {
+            errors.push(`${keyPath} must not be null${source}`);
+        }
+        return;
+    }
+    
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (actualType !== rule.type) {
+        errors.push(`${keyPath} must be a${rule.type === 'array' || rule.type === 'object' ? 'n' : ''} ${rule.type}, got ${describeValue(value)}${source}`);
+        return;
+    }
+    
+    if (rule.type === 'number') {
+        if (!Number.isFinite(value) || (rule.integer && !Number.isInteger(value))) {
+            errors.push(`${keyPath} must be a${rule.integer ? 'n integer' : ' finite number'}, got ${value}${source}`);
+        } else if (rule.min !== undefined && value < rule.min) {
+            errors.push(`${keyPath} must be at least ${rule.min}, got ${value}${source}`);
+        } else if (rule.max !== undefined && value > rule.max) {
+            errors.push(`${keyPath} must be at most ${rule.max}, got ${value}${source}`);
+        }
+    }
+    
+    if (rule.enum && !rule.enum.includes(value)) {
+        errors.push(`${keyPath} must be one of ${rule.enum.join(', ')}, got ${describeValue(value)}${source}`);
+    }
+    
+    if (rule.format === 'timezone' && !isValidTimeZone(value)) {
+        errors.push(`${keyPath} must be an IANA timezone such as Europe/London, got ${describeValue(value)}${source}`);
+    }
+    
+    if (rule.format === 'caption-template') {
+        const unknown = findUnknownTemplateVariables(value);
+        if (unknown.length > 0) {
+            errors.push(`${keyPath} uses unknown variable${unknown.length > 1 ? 's' : ''} ${unknown.map(name => `{${name}}`).join(', ')} (available: ${TEMPLATE_VARIABLES.map(name => `{${name}}`).join(', ')})${source}`);
+        }
+    }
+    
+    if (rule.format === 'daily-time') {
+        try {
+            parseDailyTime(value, 'UTC');
+        } catch (error) {
+            errors.push(`${keyPath}: ${error.message}${source}`);
+        }
+    }
+    
+    if (rule.type === 'array' && rule.items) {
+        value.forEach((item, index) => {
+            if (typeof item !== rule.items) {
+                errors.push(`${keyPath}[${index}] must be a ${rule.items}, got ${describeValue(item)}${source}`);
+            }
+        });
+    }
+    
+    if (rule.type === 'object' && rule.values) {
+        Object.entries(value).forEach(([key, nested]) => {
+            checkConfigValue(nested, rule.values, `${keyPath}.${key}`, sources, errors);
+        });
+    }
+    
+    if (rule.type === 'object' && rule.properties) {
+        const known = Object.keys(rule.properties);
+        
+        Object.entries(value).forEach(([key, nested]) => {
+            const nestedPath = `${keyPath}.${key}`;
+            
+            if (!rule.properties[key]) {
+                const suggestion = suggestKey(key, known);
+                errors.push(`Unknown setting ${nestedPath}${suggestion ? ` (did you mean ${keyPath}.${suggestion}?)` : ''}${sources[nestedPath] ? ` (from ${sources[nestedPath]})` : ''}`);
+                return;
+            }
+            
+            checkConfigValue(nested, rule.properties[key], nestedPath, sources, errors);
+        });
+    }
+}
+
+function validateConfig(config, sources = {}) {
+    const schema = getConfigSchema();
+    const errors = [];
+    
+    Object.entries(config).forEach(([key, value]) => {
+        if (!schema[key]) {
+            const suggestion = suggestKey(key, Object.keys(schema));
+            errors.push(`Unknown setting ${key}${suggestion ? ` (did you mean ${suggestion}?)` : ''}${sources[key] ? ` (from ${sources[key]})` : ''}`);
+            return;
+        }
+        
+        checkConfigValue(value, schema[key], key, sources, errors);
+    });
+    
+    (Array.isArray(config.PLATFORMS_TO_UPLOAD) ? config.PLATFORMS_TO_UPLOAD : []).forEach(platform => {
+        if (!platformRegistry.has(platform)) {
+            errors.push(`PLATFORMS_TO_UPLOAD contains unknown platform "${platform}" (available: ${getRegisteredPlatforms().join(', ')})`);
+        }
+    });
+    
+    if (errors.length > 0) {
+        throw new ConfigError(errors);
+    }
+    
+    return config;
+}
+
+function coerceConfigValue(raw, rule) {
+    if (!rule) return raw;
+    
+    const text = String(raw).trim();
+    if (rule.nullable && text === 'null') return null;
+    
+    switch (rule.type) {
+        case 'number':
+            return text !== '' && !isNaN(Number(text)) ? Number(text) : raw;
+        case 'boolean':
+            if (['true', '1', 'yes'].includes(text.toLowerCase())) return true;
+            if (['false', '0', 'no'].includes(text.toLowerCase())) return false;
+            return raw;
+        case 'array':
+            if (text.startsWith('[')) {
+                try { return JSON.parse(text); } catch (err) { return raw; }
+            }
+            return text.split(',').map(item => item.trim()).filter(Boolean);
+        case 'object':
+            try { return JSON.parse(text); } catch (err) { return raw; }
+        default:
+            return raw;
+    }
+}
+
+function recordSources(value, keyPath, source, sources) {
+    sources[keyPath] = source;
+    
+    if (isPlainObject(value)) {
+        Object.entries(value).forEach(([key, nested]) => {
+            recordSources(nested, `${keyPath}.${key}`, source, sources);
+        });
+    }
+}
+
+function readConfigFile(configPath) {
+    if (!fs.existsSync(configPath)) {
+        throw new ConfigError([`Config file not found: ${configPath}`]);
+    }
+    
+    const content = fs.readFileSync(configPath, 'utf8');
+    const extension = path.extname(configPath).toLowerCase();
+    let parsed;
+    
+    try {
+        if (extension === '.yaml' || extension === '.yml') {
+            let yaml;
+            try {
+                yaml = require('js-yaml');
+            } catch (err) {
+                throw new Error('YAML config files need the js-yaml package (npm install js-yaml)');
+            }
+            parsed = yaml.load(content);
+        } else if (extension === '.json') {
+            parsed = JSON.parse(content);
+        } else {
+            throw new Error('expected a .json, .yaml or .yml file');
+        }
+    } catch (error) {
+        throw new ConfigError([`Could not parse ${configPath}: ${error.message}`]);
+    }
+    
+    if (!isPlainObject(parsed)) {
+        throw new ConfigError([`${configPath} must contain an object of settings`]);
+    }
+    
+    return parsed;
+}
+
+function readEnvironmentConfig(env, sources) {
+    const result = {};
+    
+    Object.entries(getConfigSchema()).forEach(([key, rule]) => {
+        if (rule.properties) {
+            Object.entries(rule.properties).forEach(([nestedKey, nestedRule]) => {
+                const name = `SMU_${key}_${nestedKey}`;
+                if (env[name] !== undefined) {
+                    result[key] = { ...(result[key] || {}), [nestedKey]: coerceConfigValue(env[name], nestedRule) };
+                    sources[`${key}.${nestedKey}`] = name;
+                }
+            });
+        } else if (env[`SMU_${key}`] !== undefined) {
+            result[key] = coerceConfigValue(env[`SMU_${key}`], rule);
+            sources[key] = `SMU_${key}`;
+        }
+    });
+    
+    return result;
+}
+
+/**
+ * Parse a "--set SECTION.KEY=value" flag into a config override object.
+ */
+function parseConfigOverride(assignment) {
+    const separator = assignment.indexOf('=');
+    if (separator === -1) {
+        throw new ConfigError([`Invalid --set "${assignment}" (expected KEY=value or SECTION.KEY=value)`]);
+    }
+    
+    const keys = assignment.slice(0, separator).trim().split('.');
+    const raw = assignment.slice(separator + 1);
+    const schema = getConfigSchema();
+    const rule = keys.length === 1
+        ? schema[keys[0]]
+        : schema[keys[0]] && schema[keys[0]].properties && schema[keys[0]].properties[keys[1]];
+    
+    const override = {};
+    let target = override;
+    keys.slice(0, -1).forEach(key => {
+        target[key] = {};
+        target = target[key];
+    });
+    target[keys[keys.length - 1]] = coerceConfigValue(raw, rule);
+    
+    return override;
+}
+
+/**
+ * Build the effective configuration: defaults < config file < SMU_* environment
+ * variables < CLI overrides. Throws a ConfigError listing every problem found.
+ */
+function loadConfig({ configPath = null, env = process.env, overrides = [] } = {}) {
+    const sources = {};
+    const fileConfig = configPath ? readConfigFile(configPath) : {};
+    const overrideList = Array.isArray(overrides) ? overrides : [overrides];
+    
+    // Plugins add settings of their own (SMU_* variables included), so load them first
+    const plugins = [fileConfig, readEnvironmentConfig(env, {}), ...overrideList]
+        .reduce((settings, layer) => mergeConfig(settings, layer.PLUGINS), CONFIG.PLUGINS);
+    loadPlugins(plugins.DIRECTORY, plugins.PACKAGES);
+    
+    Object.entries(fileConfig).forEach(([key, value]) => recordSources(value, key, configPath, sources));
+    
+    let config = mergeConfig(getPlatformDefaults(), JSON.parse(JSON.stringify(CONFIG)));
+    config = mergeConfig(config, fileConfig);
+    config = mergeConfig(config, readEnvironmentConfig(env, sources));
+    
+    overrideList.forEach(override => {
+        Object.entries(override).forEach(([key, value]) => recordSources(value, key, 'command line', sources));
+        config = mergeConfig(config, override);
+    });
+    
+    return validateConfig(config, sources);
+}
+
+// ==========================================
+// SCHEDULING SYSTEM
+// ==========================================
+
+// Recurring schedules are matched against wall-clock fields one day, hour
+// and minute at a time, so cron expressions and RRULEs share one search
+const RECURRENCE_SEARCH_DAYS = 5 * 366;
+const WEEKDAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTH_NAMES },
+    { name: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES }
+];
+
+const CRON_MACROS = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *',
+    '@yearly': '0 0 1 1 *'
+};
+
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = ['MINUTELY', 'HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Schedule inputs are wall-clock times in an IANA timezone (CONFIG.TIMEZONE
+// unless overridden) and are converted to UTC instants with Intl, so results
+// don't depend on the server's own zone
+const zoneFormatters = new Map();
+
+function getZoneFormatter(timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+        try {
+            zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                weekday: 'short',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric',
+                timeZoneName: 'short'
+            }));
+        } catch (error) {
+            throw new Error(`Unknown timezone "${timeZone}" - use an IANA name such as Europe/London`);
+        }
+    }
+    
+    return zoneFormatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        getZoneFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function zonedFields(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of getZoneFormatter(timeZone).formatToParts(date)) {
+        parts[type] = value;
+    }
+    
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        weekday: WEEKDAY_NAMES.indexOf(parts.weekday.toUpperCase()),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        zoneName: parts.timeZoneName
+    };
+}
+
+// Wall-clock fields as a UTC timestamp, used for calendar arithmetic
+function wallClockMs(fields) {
+    return Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour || 0, fields.minute || 0, fields.second || 0);
+}
+
+function wallClockFields(ms) {
+    const date = new Date(ms);
+    return {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        weekday: date.getUTCDay(),
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes(),
+        second: date.getUTCSeconds()
+    };
+}
+
+function zoneOffsetMs(date, timeZone) {
+    return wallClockMs(zonedFields(date, timeZone)) - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Converts a wall-clock time in timeZone to an instant. A time skipped when
+// clocks go forward moves forward by the size of the jump (02:30 -> 03:30);
+// a time that occurs twice when clocks go back resolves to the first one.
+function resolveZonedTime(fields, timeZone) {
+    const wallMs = wallClockMs(fields);
+    const offsets = [...new Set([
+        zoneOffsetMs(new Date(wallMs - 86400000), timeZone),
+        zoneOffsetMs(new Date(wallMs + 86400000), timeZone)
+    ])];
+    
+    const matches = offsets
+        .map(offset => wallMs - offset)
+        .filter(ms => {
+            const actual = zonedFields(new Date(ms), timeZone);
+            return actual.year === fields.year && actual.month === fields.month && actual.day === fields.day &&
+                actual.hour === (fields.hour || 0) && actual.minute === (fields.minute || 0);
+        })
+        .sort((a, b) => a - b);
+    
+    if (matches.length > 0) {
+        return { date: new Date(matches[0]), skipped: false, ambiguous: matches.length > 1 };
+    }
+    
+    return { date: new Date(wallMs - offsets[0]), skipped: true, ambiguous: false };
+}
+
+function warnAboutDstAdjustment(resolved, input, timeZone) {
+    if (resolved.skipped) {
+        Logger.warning(`${input} does not exist in ${timeZone} (clocks go forward) - using ${formatScheduleTime(resolved.date, timeZone)}`);
+    } else if (resolved.ambiguous) {
+        Logger.warning(`${input} occurs twice in ${timeZone} (clocks go back) - using the first, ${formatScheduleTime(resolved.date, timeZone)}`);
+    }
+}
+
+// Accepts "YYYY-MM-DD HH:MM[:SS]" or "YYYY-MM-DD" in timeZone, an ISO 8601
+// timestamp with Z or an explicit offset, or a Date
+function parseScheduleTime(input, timeZone) {
+    if (input instanceof Date) {
+        if (isNaN(input.getTime())) {
+            throw new Error('Invalid schedule time: Invalid Date');
+        }
+        return input;
+    }
+    
+    const text = String(input).trim();
+    
+    if (/^\d{4}-\d{2}-\d{2}[T ]\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+        const date = new Date(text.replace(' ', 'T'));
+        if (!isNaN(date.getTime())) return date;
+    }
+    
+    const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    const fields = match && {
+        year: Number(match[1]),
+        month: Number(match[2]),
+        day: Number(match[3]),
+        hour: Number(match[4] || 0),
+        minute: Number(match[5] || 0),
+        second: Number(match[6] || 0)
+    };
+    
+    // Date.UTC rolls over out-of-range values, so a round trip catches "2025-02-30" and "25:00"
+    const normalized = fields && wallClockFields(wallClockMs(fields));
+    const valid = normalized && ['year', 'month', 'day', 'hour', 'minute', 'second']
+        .every(key => normalized[key] === fields[key]);
+    
+    if (!valid) {
+        throw new Error(`Invalid schedule time "${text}" - use YYYY-MM-DD HH:MM or an ISO 8601 timestamp`);
+    }
+    
+    const resolved = resolveZonedTime(fields, timeZone);
+    warnAboutDstAdjustment(resolved, text, timeZone);
+    return resolved.date;
+}
+
+// Parses a daily "HH:MM" with an optional IANA zone, e.g. "09:00 Asia/Tokyo"
+function parseDailyTime(value, defaultTimeZone) {
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})(?:\s+(\S+))?$/);
+    const hour = match && Number(match[1]);
+    const minute = match && Number(match[2]);
+    
+    if (!match || hour > 23 || minute > 59) {
+        throw new Error(`Invalid daily time "${value}" - use HH:MM or "HH:MM Area/City"`);
+    }
+    
+    const timeZone = match[3] || defaultTimeZone;
+    getZoneFormatter(timeZone);
+    
+    return { hour, minute, timeZone };
+}
+
+// Next occurrence of a daily wall-clock time after the given instant
+function nextDailyTime(value, defaultTimeZone, after = new Date()) {
+    const { hour, minute, timeZone } = parseDailyTime(value, defaultTimeZone);
+    const today = zonedFields(after, timeZone);
+    
+    for (let days = 0; days <= 2; days++) {
+        const day = wallClockFields(Date.UTC(today.year, today.month - 1, today.day + days));
+        const resolved = resolveZonedTime({ ...day, hour, minute, second: 0 }, timeZone);
+        
+        if (resolved.date > after) {
+            warnAboutDstAdjustment(resolved, `${value} on ${day.year}-${String(day.month).padStart(2, '0')}-${String(day.day).padStart(2, '0')}`, timeZone);
+            return { date: resolved.date, timeZone };
+        }
+    }
+    
+    throw new Error(`Could not find the next occurrence of ${value}`);
+}
+
+// "2025-01-15T19:30:00.000Z (2025-01-15 14:30 EST, America/New_York)"
+function formatScheduleTime(date, timeZone) {
+    const fields = zonedFields(date, timeZone);
+    const pad = number => String(number).padStart(2, '0');
+    const local = `${fields.year}-${pad(fields.month)}-${pad(fields.day)} ${pad(fields.hour)}:${pad(fields.minute)}`;
+    
+    return `${date.toISOString()} (${local} ${fields.zoneName}, ${timeZone})`;
+}
+
+// Days since the epoch for a calendar date, independent of any timezone
+function dayNumber(fields) {
+    return Math.floor(Date.UTC(fields.year, fields.month - 1, fields.day) / 86400000);
+}
+
+// Walks wall-clock time in the schedule's zone and converts each match to an
+// instant. Matches inside a DST gap run just after it; a repeated hour fires
+// once because both readings resolve to its first occurrence.
+function findNextOccurrence(schedule, after) {
+    const candidate = new Date(after.getTime() + zoneOffsetMs(after, schedule.timeZone));
+    candidate.setUTCSeconds(0, 0);
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+    
+    const limit = candidate.getTime() + RECURRENCE_SEARCH_DAYS * 86400000;
+    
+    while (candidate.getTime() <= limit) {
+        const fields = wallClockFields(candidate.getTime());
+        
+        if (!schedule.matchesDay(fields)) {
+            candidate.setUTCDate(candidate.getUTCDate() + 1);
+            candidate.setUTCHours(0, 0, 0, 0);
+        } else if (!schedule.matchesHour(fields)) {
+            candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+        } else if (!schedule.matchesMinute(fields)) {
+            candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+        } else {
+            const { date } = resolveZonedTime(fields, schedule.timeZone);
+            if (date > after) return date;
+            candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+        }
+    }
+    
+    return null;
+}
+
+class CronSchedule {
+    constructor(expression, timeZone = CONFIG.TIMEZONE) {
+        this.expression = expression.trim();
+        this.timeZone = timeZone;
+        getZoneFormatter(timeZone);
+        
+        const parts = (CRON_MACROS[this.expression] || this.expression).split(/\s+/);
+        if (parts.length !== 5) {
+            throw new Error(`Invalid cron expression "${expression}" - expected 5 fields`);
+        }
+        
+        [this.minutes, this.hours, this.days, this.months, this.weekdays] =
+            parts.map((part, index) => this.parseField(part, CRON_FIELDS[index]));
+        
+        // Sunday may be written as 0 or 7
+        if (this.weekdays.delete(7)) this.weekdays.add(0);
+        
+        // Standard cron: when both day fields are restricted either may match
+        this.daysRestricted = parts[2] !== '*';
+        this.weekdaysRestricted = parts[4] !== '*';
+    }
+    
+    parseField(text, field) {
+        const values = new Set();
+        
+        const parseValue = value => {
+            const nameIndex = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+            const number = nameIndex !== -1 ? nameIndex + (field.name === 'month' ? 1 : 0) : Number(value);
+            
+            if (!Number.isInteger(number) || number < field.min || number > field.max) {
+                throw new Error(`Invalid cron ${field.name} "${value}" in "${this.expression}"`);
+            }
+            return number;
+        };
+        
+        for (const part of text.split(',')) {
+            const [range, stepText] = part.split('/');
+            const step = stepText === undefined ? 1 : Number(stepText);
+            
+            if (!Number.isInteger(step) || step < 1) {
+                throw new Error(`Invalid cron step "${part}" in "${this.expression}"`);
+            }
+            
+            let start = field.min;
+            let end = field.max;
+            
+            if (range !== '*') {
+                const [low, high] = range.split('-');
+                start = parseValue(low);
+                end = high !== undefined ? parseValue(high) : (stepText !== undefined ? field.max : start);
+            }
+            
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+        
+        return values;
+    }
+    
+    matchesDay(fields) {
+        if (!this.months.has(fields.month)) return false;
+        
+        const dayMatch = this.days.has(fields.day);
+        const weekdayMatch = this.weekdays.has(fields.weekday);
+        
+        if (this.daysRestricted && this.weekdaysRestricted) return dayMatch || weekdayMatch;
+        return dayMatch && weekdayMatch;
+    }
+    
+    matchesHour(fields) {
+        return this.hours.has(fields.hour);
+    }
+    
+    matchesMinute(fields) {
+        return this.minutes.has(fields.minute);
+    }
+    
+    next(after = new Date()) {
+        return findNextOccurrence(this, after);
+    }
+    
+    toString() {
+        return `cron "${this.expression}" (${this.timeZone})`;
+    }
+}
+
+// Supports the RFC 5545 RRULE parts that make sense for publishing cadences:
+// FREQ, INTERVAL, COUNT, UNTIL, BYMONTH, BYMONTHDAY, BYDAY, BYHOUR, BYMINUTE.
+// Parts not given are taken from the start time, as the RFC specifies.
+class RRuleSchedule {
+    constructor(rule, start = new Date(), timeZone = CONFIG.TIMEZONE) {
+        this.rule = rule.trim().replace(/^RRULE:/i, '');
+        this.timeZone = timeZone;
+        this.start = new Date(start);
+        this.start.setSeconds(0, 0);
+        this.anchor = zonedFields(this.start, timeZone);
+        
+        const parts = {};
+        for (const pair of this.rule.split(';').filter(Boolean)) {
+            const [key, value] = pair.split('=');
+            if (!value) {
+                throw new Error(`Invalid RRULE part "${pair}" in "${rule}"`);
+            }
+            parts[key.toUpperCase()] = value.toUpperCase();
+        }
+        
+        this.freq = parts.FREQ;
+        if (!RRULE_FREQUENCIES.includes(this.freq)) {
+            throw new Error(`RRULE FREQ must be one of ${RRULE_FREQUENCIES.join(', ')}`);
+        }
+        
+        this.interval = parts.INTERVAL ? this.parseNumber('INTERVAL', parts.INTERVAL, 1, 1000) : 1;
+        this.count = parts.COUNT ? this.parseNumber('COUNT', parts.COUNT, 1, Infinity) : null;
+        this.until = parts.UNTIL ? this.parseUntil(parts.UNTIL) : null;
+        this.byMonth = this.parseList('BYMONTH', parts.BYMONTH, 1, 12);
+        this.byMonthDay = this.parseList('BYMONTHDAY', parts.BYMONTHDAY, 1, 31);
+        this.byHour = this.parseList('BYHOUR', parts.BYHOUR, 0, 23);
+        this.byMinute = this.parseList('BYMINUTE', parts.BYMINUTE, 0, 59);
+        this.byDay = parts.BYDAY ? parts.BYDAY.split(',').map(day => {
+            const index = RRULE_WEEKDAYS.indexOf(day);
+            if (index === -1) {
+                throw new Error(`Unsupported RRULE BYDAY value "${day}" - use MO, TU, WE, TH, FR, SA or SU`);
+            }
+            return index;
+        }) : null;
+        
+        const supported = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYMONTH', 'BYMONTHDAY', 'BYDAY', 'BYHOUR', 'BYMINUTE', 'WKST'];
+        const unsupported = Object.keys(parts).filter(key => !supported.includes(key));
+        if (unsupported.length > 0) {
+            throw new Error(`Unsupported RRULE parts: ${unsupported.join(', ')}`);
+        }
+    }
+    
+    parseNumber(name, value, min, max) {
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < min || number > max) {
+            throw new Error(`Invalid RRULE ${name} "${value}"`);
+        }
+        return number;
+    }
+    
+    parseList(name, value, min, max) {
+        return value ? value.split(',').map(item => this.parseNumber(name, item, min, max)) : null;
+    }
+    
+    parseUntil(value) {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+        if (!match) {
+            throw new Error(`Invalid RRULE UNTIL "${value}" - expected YYYYMMDD or YYYYMMDDTHHMMSSZ`);
+        }
+        
+        const [, year, month, day, hour = '23', minute = '59', second = '59', utc] = match;
+        const fields = { year, month, day, hour, minute, second };
+        Object.keys(fields).forEach(key => { fields[key] = Number(fields[key]); });
+        
+        return utc ? new Date(wallClockMs(fields)) : resolveZonedTime(fields, this.timeZone).date;
+    }
+    
+    isCoarserThan(freq) {
+        return RRULE_FREQUENCIES.indexOf(this.freq) > RRULE_FREQUENCIES.indexOf(freq);
+    }
+    
+    matchesDay(fields) {
+        const days = dayNumber(fields) - dayNumber(this.anchor);
+        if (days < 0) return false;
+        
+        if (this.byMonth) {
+            if (!this.byMonth.includes(fields.month)) return false;
+        } else if (this.freq === 'YEARLY' && fields.month !== this.anchor.month) {
+            return false;
+        }
+        
+        if (this.byMonthDay && !this.byMonthDay.includes(fields.day)) return false;
+        if (this.byDay && !this.byDay.includes(fields.weekday)) return false;
+        
+        if (!this.byMonthDay && !this.byDay) {
+            if (this.freq === 'WEEKLY' && fields.weekday !== this.anchor.weekday) return false;
+            if ((this.freq === 'MONTHLY' || this.freq === 'YEARLY') && fields.day !== this.anchor.day) return false;
+        }
+        
+        switch (this.freq) {
+            case 'DAILY':
+                return days % this.interval === 0;
+            case 'WEEKLY': {
+                // Weeks start on Monday
+                const anchorOffset = (this.anchor.weekday + 6) % 7;
+                return Math.floor((days + anchorOffset) / 7) % this.interval === 0;
+            }
+            case 'MONTHLY':
+                return ((fields.year - this.anchor.year) * 12 + fields.month - this.anchor.month) % this.interval === 0;
+            case 'YEARLY':
+                return (fields.year - this.anchor.year) % this.interval === 0;
+            default:
+                return true;
+        }
+    }
+    
+    matchesHour(fields) {
+        if (this.byHour) {
+            if (!this.byHour.includes(fields.hour)) return false;
+        } else if (this.isCoarserThan('HOURLY')) {
+            return fields.hour === this.anchor.hour;
+        }
+        
+        if (this.freq === 'HOURLY') {
+            const hours = (dayNumber(fields) - dayNumber(this.anchor)) * 24 + fields.hour - this.anchor.hour;
+            return hours % this.interval === 0;
+        }
+        return true;
+    }
+    
+    matchesMinute(fields) {
+        if (this.byMinute) {
+            if (!this.byMinute.includes(fields.minute)) return false;
+        } else if (this.isCoarserThan('MINUTELY')) {
+            return fields.minute === this.anchor.minute;
+        }
+        
+        if (this.freq === 'MINUTELY') {
+            const minutes = ((dayNumber(fields) - dayNumber(this.anchor)) * 24 + fields.hour - this.anchor.hour) * 60 +
+                fields.minute - this.anchor.minute;
+            return minutes % this.interval === 0;
+        }
+        return true;
+    }
+    
+    next(after = new Date(), occurrences = 0) {
+        if (this.count !== null && occurrences >= this.count) return null;
+        
+        // The start time itself is the first occurrence when it matches
+        const from = after < this.start ? new Date(this.start.getTime() - 60000) : after;
+        const next = findNextOccurrence(this, from);
+        
+        return next && this.until && next > this.until ? null : next;
+    }
+    
+    toString() {
+        return `RRULE ${this.rule} (${this.timeZone})`;
+    }
+}
+
+function createRecurrence({ cron, rrule, start, timeZone = CONFIG.TIMEZONE }) {
+    if (cron && rrule) {
+        throw new Error('Give either a cron expression or an RRULE, not both');
+    }
+    if (cron) return new CronSchedule(cron, timeZone);
+    if (rrule) return new RRuleSchedule(rrule, start, timeZone);
+    throw new Error('A recurring schedule needs a cron expression or an RRULE');
+}
+
+const JOB_HEARTBEAT_INTERVAL_MS = 60 * 1000;
+const JOB_RETRY_DELAY_MS = 5 * 60 * 1000;
+const FINISHED_JOB_STATUSES = ['completed', 'partial', 'failed', 'cancelled'];
+const RETRYABLE_ERROR_CATEGORIES = ['retryable', 'rate_limited'];
+
+// Statuses each control action may be applied to. Executing and finished
+// jobs can't be changed.
+const JOB_TRANSITIONS = {
+    cancel: ['scheduled', 'paused'],
+    pause: ['scheduled'],
+    resume: ['paused'],
+    reschedule: ['scheduled', 'paused'],
+    run: ['scheduled', 'paused']
+};
+
+// Scheduled jobs, shared by every scheduler process using the file
+class JobStore extends LockedJsonFile {
+    constructor(settings = CONFIG.JOB_STORE) {
+        super(settings.FILE, {
+            key: 'jobs',
+            empty: () => [],
+            description: 'Job store',
+            lockTimeoutMs: settings.LOCK_TIMEOUT_MS
+        });
+    }
+    
+    // True when the process that claimed a job is known to be gone. Owners on
+    // other hosts can't be checked and are left to the heartbeat timeout.
+    static isOwnerGone(owner) {
+        if (!owner) return true;
+        if (owner.host !== os.hostname()) return false;
+        if (owner.pid === process.pid) return false;
+        
+        try {
+            process.kill(owner.pid, 0);
+            return false;
+        } catch (error) {
+            return error.code === 'ESRCH';
+        }
+    }
+}
+
+// Quota usage per "platform:account", shared by every process using the file
+class QuotaStore extends LockedJsonFile {
+    constructor(config = CONFIG) {
+        super(config.QUOTAS.FILE, {
+            key: 'accounts',
+            empty: () => ({}),
+            description: 'Quota state',
+            lockTimeoutMs: config.JOB_STORE.LOCK_TIMEOUT_MS
+        });
+    }
+}
+
+// Every clip published per platform, keyed by the SHA-256 of its contents so
+// renamed or copied files are still recognised
+class UploadLedger extends LockedJsonFile {
+    constructor(config = CONFIG) {
+        super(config.UPLOAD_LEDGER.FILE, {
+            key: 'entries',
+            empty: () => ({}),
+            description: 'Upload ledger',
+            lockTimeoutMs: config.JOB_STORE.LOCK_TIMEOUT_MS
+        });
     }
     
-    async authenticate() {
-        Logger.warning('TikTok authentication requires OAuth flow - using mock for now');
-        this.accessToken = 'mock_tiktok_token';
-        this.authenticated = true;
-        return true;
+    find(fingerprint, platform) {
+        const entry = this.read()[fingerprint.sha256];
+        return (entry && entry.platforms[platform]) || null;
     }
     
-    async upload(clip) {
-        if (!this.authenticated && !await this.authenticate()) {
-            throw new Error('TikTok authentication failed');
-        }
-        
-        // Mock TikTok upload
-        const mockVideoId = `tt_${Date.now()}`;
-        const videoUrl = `https://tiktok.com/@user/video/${mockVideoId}`;
-        
-        Logger.info(`Mock TikTok upload: ${clip.title}`);
-        Logger.info(`Description: ${clip.description.substring(0, 100)}...`);
-        
-        // Simulate upload time
-        await this.sleep(1500);
-        
-        return videoUrl;
+    async record(fingerprint, platform, upload) {
+        await this.updateAsync(entries => {
+            const entry = entries[fingerprint.sha256] ||
+                (entries[fingerprint.sha256] = { size: fingerprint.size, platforms: {} });
+            entry.platforms[platform] = { ...upload, uploadedAt: new Date().toISOString() };
+        });
     }
 }
 
-class LinkedInUploader extends PlatformUploader {
-    constructor() {
-        super('LinkedIn');
-        this.accessToken = null;
-    }
-    
-    async authenticate() {
-        Logger.warning('LinkedIn authentication requires OAuth flow - using mock for now');
-        this.accessToken = 'mock_linkedin_token';
-        this.authenticated = true;
-        return true;
+// Tracks one account's usage against a QUOTAS profile. Every use expires with
+// its window: WINDOW_HOURS later for rolling limits, or at the next RESETS_AT
+// for daily quotas.
+class QuotaLimiter {
+    constructor(key, profile, store, timeZone = CONFIG.TIMEZONE) {
+        this.key = key;
+        this.profile = profile;
+        this.store = store;
+        this.timeZone = timeZone;
     }
     
-    async upload(clip) {
-        if (!this.authenticated && !await this.authenticate()) {
-            throw new Error('LinkedIn authentication failed');
+    static forPlatform(platformKey, account, config = CONFIG) {
+        const profile = config.QUOTAS.PLATFORMS[platformKey];
+        if (!profile) {
+            return null;
         }
         
-        // Mock LinkedIn upload
-        const mockPostId = `li_${Date.now()}`;
-        const postUrl = `https://linkedin.com/posts/${mockPostId}`;
-        
-        Logger.info(`Mock LinkedIn upload: ${clip.title}`);
+        return new QuotaLimiter(`${platformKey}:${account}`, profile, new QuotaStore(config), config.TIMEZONE);
+    }
+    
+    // Records the cost of an upload when it fits in the current window, and
+    // returns its id for release(). Otherwise nothing is recorded and
+    // resetsAt says when it will fit.
+    async reserve(cost = this.profile.COST) {
+        const now = new Date();
         
-        await this.sleep(1800);
-        return postUrl;
+        return this.store.updateAsync(accounts => {
+            const state = this.getState(accounts, now);
+            const status = this.evaluate(state, cost, now);
+            
+            if (status.allowed) {
+                status.id = crypto.randomBytes(8).toString('hex');
+                state.usage.push({
+                    id: status.id,
+                    at: now.toISOString(),
+                    cost,
+                    expiresAt: this.windowEnd(now).toISOString()
+                });
+                status.used += cost;
+            }
+            
+            return status;
+        });
     }
-}
-
-class TwitterUploader extends PlatformUploader {
-    constructor() {
-        super('Twitter');
-        this.credentials = CONFIG.TWITTER;
+    
+    // Gives back a reservation for an attempt the platform didn't count
+    async release(id) {
+        await this.store.updateAsync(accounts => {
+            const state = this.getState(accounts, new Date());
+            state.usage = state.usage.filter(entry => entry.id !== id);
+        });
     }
     
-    async authenticate() {
-        if (!this.credentials.API_KEY || this.credentials.API_KEY === 'your_twitter_api_key_here') {
-            return false;
+    check(cost = this.profile.COST) {
+        const now = new Date();
+        return this.evaluate(this.getState(this.store.read(), now), cost, now);
+    }
+    
+    // The platform reported the limit as reached, whatever our own count says
+    async block(until) {
+        await this.store.updateAsync(accounts => {
+            const state = this.getState(accounts, new Date());
+            if (!state.blockedUntil || Date.parse(state.blockedUntil) < until.getTime()) {
+                state.blockedUntil = until.toISOString();
+            }
+        });
+    }
+    
+    getState(accounts, now) {
+        const state = accounts[this.key] || (accounts[this.key] = { usage: [], blockedUntil: null });
+        state.usage = state.usage.filter(entry => Date.parse(entry.expiresAt) > now.getTime());
+        
+        if (state.blockedUntil && Date.parse(state.blockedUntil) <= now.getTime()) {
+            state.blockedUntil = null;
         }
         
-        Logger.warning('Twitter authentication requires OAuth implementation');
-        this.authenticated = true;
-        return true;
+        return state;
     }
     
-    async upload(clip) {
-        if (!this.authenticated && !await this.authenticate()) {
-            throw new Error('Twitter authentication failed');
+    evaluate(state, cost, now) {
+        const { LIMIT, UNIT } = this.profile;
+        const used = state.usage.reduce((total, entry) => total + entry.cost, 0);
+        const status = { allowed: false, used, limit: LIMIT, unit: UNIT, resetsAt: null };
+        
+        if (cost > LIMIT) {
+            throw new Error(`An upload to ${this.key} costs ${cost} ${UNIT}, more than the limit of ${LIMIT}`);
+        }
+        
+        if (state.blockedUntil) {
+            status.resetsAt = new Date(state.blockedUntil);
+            return status;
         }
         
-        // Mock Twitter upload
-        const mockTweetId = `tw_${Date.now()}`;
-        const tweetUrl = `https://twitter.com/user/status/${mockTweetId}`;
+        if (used + cost <= LIMIT) {
+            status.allowed = true;
+            return status;
+        }
+        
+        // Walk the uses in expiry order until enough has been freed
+        let remaining = used;
+        const byExpiry = [...state.usage].sort((a, b) => Date.parse(a.expiresAt) - Date.parse(b.expiresAt));
+        
+        for (const entry of byExpiry) {
+            remaining -= entry.cost;
+            if (remaining + cost <= LIMIT) {
+                status.resetsAt = new Date(entry.expiresAt);
+                break;
+            }
+        }
         
-        Logger.info(`Mock Twitter upload: ${clip.title}`);
+        return status;
+    }
+    
+    windowEnd(from) {
+        if (this.profile.RESETS_AT) {
+            return nextDailyTime(this.profile.RESETS_AT, this.timeZone, from).date;
+        }
         
-        await this.sleep(1200);
-        return tweetUrl;
+        return new Date(from.getTime() + (this.profile.WINDOW_HOURS || 24) * 60 * 60 * 1000);
     }
 }
 
-// ==========================================
-// SCHEDULING SYSTEM
-// ==========================================
-
 class UploadScheduler extends EventEmitter {
-    constructor() {
+    // Jobs run on the given uploader so its listeners see their progress;
+    // a standalone scheduler builds its own for each job
+    constructor(config = CONFIG, uploader = null) {
         super();
-        this.scheduledJobs = new Map();
+        this.config = config;
+        this.uploader = uploader;
+        this.store = new JobStore(config.JOB_STORE);
         this.isRunning = false;
+        this.isChecking = false;
+    }
+    
+    scheduleUpload(clip, scheduleTime, timeZone = this.config.TIMEZONE) {
+        const time = parseScheduleTime(scheduleTime, timeZone);
+        const job = this.createJobRecord(clip, time, { timeZone });
+        this.store.update(jobs => {
+            jobs.push(job);
+        });
+        
+        Logger.info(`Scheduled upload: ${clip.title} for ${formatScheduleTime(time, timeZone)}`);
+        return job.id;
+    }
+    
+    createJobRecord(clip, scheduleTime, fields = {}) {
+        return {
+            id: `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type: 'once',
+            clip: clip.toJSON(),
+            scheduleTime: scheduleTime.toISOString(),
+            timeZone: this.config.TIMEZONE,
+            status: 'scheduled',
+            createdAt: new Date().toISOString(),
+            attempts: 0,
+            owner: null,
+            startedAt: null,
+            heartbeatAt: null,
+            finishedAt: null,
+            result: null,
+            error: null,
+            ...fields
+        };
     }
     
-    scheduleUpload(clip, scheduleTime) {
-        const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    // Registers a cadence that takes the next clip from a watch folder or a
+    // queue of clips each time it fires
+    scheduleRecurring({ cron = null, rrule = null, folder = null, queue = null, options = {}, timeZone = this.config.TIMEZONE }) {
+        if (Boolean(folder) === Boolean(queue)) {
+            throw new Error('A recurring schedule needs either a watch folder or a clip queue');
+        }
+        if (folder && !fs.existsSync(folder)) {
+            throw new Error(`Folder not found: ${folder}`);
+        }
         
-        this.scheduledJobs.set(jobId, {
-            id: jobId,
-            clip,
-            scheduleTime: new Date(scheduleTime),
+        const createdAt = new Date();
+        const recurrence = createRecurrence({ cron, rrule, start: createdAt, timeZone });
+        const nextRunAt = recurrence.next(createdAt);
+        
+        if (!nextRunAt) {
+            throw new Error(`${recurrence} never fires`);
+        }
+        
+        const schedule = {
+            id: `recurring_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            type: 'recurring',
+            recurrence: cron ? { cron, timeZone } : { rrule, start: createdAt.toISOString(), timeZone },
+            source: folder
+                ? { folder, consumed: [] }
+                : { queue: queue.map(clip => (clip instanceof VideoClip ? clip : new VideoClip(clip, this.config)).toJSON()) },
+            options,
             status: 'scheduled',
-            createdAt: new Date()
+            createdAt: createdAt.toISOString(),
+            nextRunAt: nextRunAt.toISOString(),
+            lastRunAt: null,
+            occurrences: 0,
+            finishedAt: null
+        };
+        
+        this.store.update(jobs => {
+            jobs.push(schedule);
         });
         
-        Logger.info(`Scheduled upload: ${clip.title} for ${scheduleTime}`);
-        return jobId;
+        Logger.info(`Scheduled recurring uploads (${recurrence}), next run ${formatScheduleTime(nextRunAt, timeZone)}`);
+        return schedule.id;
     }
     
-    schedulePlatformUploads(clip, platformSchedule) {
+    // Schedules each platform at its next daily "HH:MM" (optionally followed by
+    // an IANA zone). Without an explicit schedule, UPLOAD_SCHEDULE is used for
+    // the clip's platforms.
+    schedulePlatformUploads(clip, platformSchedule = null) {
         const jobIds = [];
+        const schedule = platformSchedule || this.getConfiguredSchedule(clip.platforms);
         
-        for (const [platform, time] of Object.entries(platformSchedule)) {
-            const scheduleTime = new Date();
-            const [hours, minutes] = time.split(':');
-            scheduleTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-            
-            // If time has passed today, schedule for tomorrow
-            if (scheduleTime < new Date()) {
-                scheduleTime.setDate(scheduleTime.getDate() + 1);
-            }
+        for (const [platform, time] of Object.entries(schedule)) {
+            const { date: scheduleTime, timeZone } = nextDailyTime(time, this.config.TIMEZONE);
             
             const platformClip = new VideoClip({
                 ...clip,
                 platforms: [platform]
-            });
+            }, this.config);
             
-            const jobId = this.scheduleUpload(platformClip, scheduleTime);
+            const jobId = this.scheduleUpload(platformClip, scheduleTime, timeZone);
             jobIds.push(jobId);
         }
         
         return jobIds;
     }
     
+    // Queues one platform of a clip for when its quota window reopens
+    async deferUpload(clip, platform, resumeAt) {
+        const platformClip = new VideoClip({
+            ...clip,
+            platforms: [platform]
+        }, this.config);
+        const job = this.createJobRecord(platformClip, resumeAt, { timeZone: this.config.TIMEZONE });
+        
+        await this.store.updateAsync(jobs => {
+            jobs.push(job);
+        });
+        
+        Logger.warning(`${platform} quota reached - deferring ${clip.title} until ${formatScheduleTime(resumeAt, this.config.TIMEZONE)}`);
+        return job.id;
+    }
+    
+    getConfiguredSchedule(platforms) {
+        const missing = platforms.filter(platform => !this.config.UPLOAD_SCHEDULE[platform]);
+        if (missing.length > 0) {
+            throw new Error(`UPLOAD_SCHEDULE has no time for: ${missing.join(', ')}`);
+        }
+        
+        return Object.fromEntries(platforms.map(platform => [platform, this.config.UPLOAD_SCHEDULE[platform]]));
+    }
+    
     startScheduler() {
         if (this.isRunning) return;
         
         this.isRunning = true;
-        Logger.info('Upload scheduler started');
+        Logger.info(`Upload scheduler started (job store: ${this.store.filePath})`);
+        
+        // Pick up jobs that came due or were interrupted while nothing was running
+        this.checkScheduledJobs();
         
         // Check for scheduled jobs every minute
         this.schedulerInterval = setInterval(() => {
@@ -609,38 +5348,424 @@ class UploadScheduler extends EventEmitter {
     }
     
     async checkScheduledJobs() {
+        // A long upload can outlast the check interval
+        if (this.isChecking) return;
+        this.isChecking = true;
+        
+        try {
+            await this.recoverStaleJobs();
+            await this.fireRecurringSchedules();
+            
+            for (const job of await this.claimDueJobs()) {
+                await this.executeJob(job);
+            }
+            
+            await this.pruneFinishedJobs();
+        } catch (error) {
+            Logger.error('Scheduler check failed', error.message);
+        } finally {
+            this.isChecking = false;
+        }
+    }
+    
+    async claimDueJobs() {
+        const now = new Date();
+        
+        const claimed = await this.store.updateAsync(jobs => jobs
+            .filter(job => job.type !== 'recurring' && job.status === 'scheduled' && new Date(job.scheduleTime) <= now)
+            .map(job => ({ ...this.claimJob(job, now) })));
+        
+        return claimed.map(job => this.hydrateJob(job));
+    }
+    
+    claimJob(job, now) {
+        job.status = 'executing';
+        job.attempts = (job.attempts || 0) + 1;
+        job.owner = { pid: process.pid, host: os.hostname() };
+        job.startedAt = now.toISOString();
+        job.heartbeatAt = now.toISOString();
+        return job;
+    }
+    
+    // Due recurring schedules queue a one-off job for their next clip and move
+    // on to the following occurrence. Occurrences missed while no scheduler
+    // was running are skipped rather than fired in a burst.
+    async fireRecurringSchedules() {
         const now = new Date();
         
-        for (const [jobId, job] of this.scheduledJobs.entries()) {
-            if (job.status === 'scheduled' && job.scheduleTime <= now) {
-                Logger.info(`Executing scheduled job: ${jobId}`);
-                job.status = 'executing';
+        return this.store.updateAsync(jobs => {
+            const fired = [];
+            
+            for (const schedule of jobs.filter(job => job.type === 'recurring')) {
+                if (schedule.status !== 'scheduled' || new Date(schedule.nextRunAt) > now) continue;
                 
-                try {
-                    const uploader = new SocialMediaUploader();
-                    const result = await uploader.uploadClips([job.clip]);
-                    
-                    job.status = 'completed';
-                    job.result = result;
-                    this.emit('jobCompleted', job);
-                    
-                } catch (error) {
+                const job = this.queueRecurringRun(jobs, schedule, now);
+                
+                if (job) {
+                    fired.push(job.id);
+                } else {
+                    Logger.warning(`No clips waiting for recurring schedule ${schedule.id} - skipping this run`);
+                }
+                
+                this.advanceRecurring(schedule, now);
+            }
+            
+            return fired;
+        });
+    }
+    
+    // Adds a one-off job for the schedule's next clip, or returns null when
+    // its source is empty
+    queueRecurringRun(jobs, schedule, now) {
+        const clip = this.takeNextClip(schedule);
+        if (!clip) return null;
+        
+        const job = this.createJobRecord(clip, now, {
+            recurringId: schedule.id,
+            timeZone: schedule.recurrence.timeZone || this.config.TIMEZONE
+        });
+        
+        jobs.push(job);
+        schedule.occurrences += 1;
+        schedule.lastRunAt = now.toISOString();
+        Logger.info(`Recurring schedule ${schedule.id} queued ${clip.title}`);
+        
+        return job;
+    }
+    
+    advanceRecurring(schedule, now) {
+        const nextRunAt = this.getRecurrence(schedule).next(now, schedule.occurrences);
+        
+        if (nextRunAt) {
+            schedule.nextRunAt = nextRunAt.toISOString();
+        } else {
+            schedule.status = 'completed';
+            schedule.nextRunAt = null;
+            schedule.finishedAt = now.toISOString();
+            Logger.info(`Recurring schedule ${schedule.id} has no further occurrences`);
+        }
+    }
+    
+    takeNextClip(schedule) {
+        if (schedule.source.queue) {
+            const next = schedule.source.queue.shift();
+            return next ? VideoClip.fromJSON(next, this.config) : null;
+        }
+        
+        const { folder, consumed } = schedule.source;
+        
+        if (!fs.existsSync(folder)) {
+            Logger.warning(`Watch folder not found: ${folder}`);
+            return null;
+        }
+        
+        const file = fs.readdirSync(folder)
+            .filter(name => isVideoFile(name) && !consumed.includes(name))
+            .sort()[0];
+        
+        if (!file) return null;
+        
+        consumed.push(file);
+        const filePath = path.join(folder, file);
+        
+        return new VideoClip({
+            ...schedule.options,
+            filePath,
+            title: titleFromFilename(filePath)
+        }, this.config);
+    }
+    
+    getRecurrence(schedule) {
+        return createRecurrence({ timeZone: this.config.TIMEZONE, ...schedule.recurrence });
+    }
+    
+    getUpcomingRuns(schedule, count = 3) {
+        const runs = [];
+        const recurrence = this.getRecurrence(schedule);
+        let next = schedule.nextRunAt ? new Date(schedule.nextRunAt) : null;
+        
+        while (next && runs.length < count) {
+            runs.push(next);
+            next = recurrence.next(next, schedule.occurrences + runs.length);
+        }
+        
+        return runs;
+    }
+    
+    async executeJob(job) {
+        Logger.info(`Executing scheduled job: ${job.id} (attempt ${job.attempts})`);
+        
+        // Keep the claim fresh so other schedulers don't treat the job as
+        // abandoned. updateJob logs a missed beat rather than throwing.
+        const heartbeat = setInterval(() => {
+            this.updateJob(job.id, stored => {
+                stored.heartbeatAt = new Date().toISOString();
+            });
+        }, JOB_HEARTBEAT_INTERVAL_MS);
+        
+        try {
+            const uploader = this.uploader || new SocialMediaUploader(this.config);
+            // The job store already records what a run finished
+            const result = await uploader.uploadClips([job.clip], { saveCheckpoint: false });
+            
+            await this.settleJob(job, result);
+            
+        } catch (error) {
+            await this.finishJob(job, 'failed', { error: error.message });
+            this.emit('jobFailed', job);
+            Logger.error(`Scheduled job failed: ${job.id}`, error.message);
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+    
+    // A job is completed only when every platform was published, skipped as
+    // a duplicate or deferred to a job of its own. Platforms that failed with
+    // a retryable error are queued again while attempts remain.
+    async settleJob(job, result) {
+        const platforms = (result.results[job.clip.filePath] || { platforms: {} }).platforms;
+        const failed = Object.keys(platforms).filter(platform => {
+            const outcome = platforms[platform];
+            return !outcome.success && !outcome.deferred && !outcome.skipped;
+        });
+        // Platforms done by earlier attempts aren't part of this run
+        const published = [...(job.published || []), ...Object.keys(platforms).filter(platform => !failed.includes(platform))];
+        const fields = { published, result: { status: result.status, results: result.results, failed: result.failed } };
+        
+        if (failed.length === 0 && result.failed.length === 0) {
+            await this.finishJob(job, 'completed', fields);
+            this.emit('jobCompleted', job);
+            return;
+        }
+        
+        const error = result.failed.join('; ') || `Upload failed on ${failed.join(', ')}`;
+        const retryable = failed.filter(platform => RETRYABLE_ERROR_CATEGORIES.includes(platforms[platform].errorCategory));
+        
+        if (retryable.length > 0 && job.attempts < this.config.JOB_STORE.MAX_ATTEMPTS) {
+            await this.retryJob(job, retryable, { ...fields, error });
+            return;
+        }
+        
+        const partial = published.length > 0;
+        await this.finishJob(job, partial ? 'partial' : 'failed', { ...fields, error });
+        this.emit(partial ? 'jobPartial' : 'jobFailed', job);
+        Logger.error(`Scheduled job ${partial ? 'partly failed' : 'failed'}: ${job.id}`, error);
+    }
+    
+    // Queues the job again for just the given platforms, no sooner than any
+    // rate limit they reported allows
+    async retryJob(job, platforms, fields) {
+        const outcomes = fields.result.results[job.clip.filePath].platforms;
+        const retryAt = Math.max(Date.now() + JOB_RETRY_DELAY_MS, ...platforms.map(platform => new Date(outcomes[platform].retryAt).getTime()));
+        const scheduleTime = new Date(retryAt);
+        
+        job.clip.platforms = platforms;
+        Object.assign(job, fields, { status: 'scheduled', scheduleTime });
+        
+        await this.updateJob(job.id, stored => {
+            Object.assign(stored, fields, { status: 'scheduled', owner: null, scheduleTime: scheduleTime.toISOString() });
+            stored.clip.platforms = platforms;
+        });
+        
+        Logger.warning(`Scheduled job ${job.id} will retry ${platforms.join(', ')} at ${formatScheduleTime(scheduleTime, job.timeZone || this.config.TIMEZONE)}`);
+        this.emit('jobRetrying', job);
+    }
+    
+    async finishJob(job, status, fields) {
+        Object.assign(job, fields, { status, finishedAt: new Date() });
+        
+        await this.updateJob(job.id, stored => {
+            Object.assign(stored, fields, {
+                status,
+                owner: null,
+                finishedAt: job.finishedAt.toISOString()
+            });
+        });
+    }
+    
+    async updateJob(jobId, mutator) {
+        try {
+            await this.store.updateAsync(jobs => {
+                const stored = jobs.find(job => job.id === jobId);
+                if (stored) mutator(stored);
+            });
+        } catch (error) {
+            Logger.error(`Could not update scheduled job ${jobId}`, error.message);
+        }
+    }
+    
+    // Jobs left in "executing" by a crashed or killed scheduler go back in the
+    // queue, or fail once they have used up their attempts
+    async recoverStaleJobs() {
+        const { STALE_JOB_MINUTES, MAX_ATTEMPTS } = this.config.JOB_STORE;
+        const now = Date.now();
+        
+        const recovered = await this.store.updateAsync(jobs => jobs
+            .filter(job => {
+                if (job.status !== 'executing') return false;
+                
+                const lastSeen = Date.parse(job.heartbeatAt || job.startedAt);
+                return JobStore.isOwnerGone(job.owner) || now - lastSeen > STALE_JOB_MINUTES * 60 * 1000;
+            })
+            .map(job => {
+                job.owner = null;
+                
+                if (job.attempts >= MAX_ATTEMPTS) {
                     job.status = 'failed';
-                    job.error = error.message;
-                    this.emit('jobFailed', job);
-                    Logger.error(`Scheduled job failed: ${jobId}`, error.message);
+                    job.error = `Interrupted ${job.attempts} times - giving up`;
+                    job.finishedAt = new Date(now).toISOString();
+                } else {
+                    job.status = 'scheduled';
                 }
                 
-                // Remove completed/failed jobs after 24 hours
-                setTimeout(() => {
-                    this.scheduledJobs.delete(jobId);
-                }, 24 * 60 * 60 * 1000);
+                return { ...job };
+            }));
+        
+        for (const job of recovered) {
+            Logger.warning(`Recovered interrupted job ${job.id} (${job.status} after ${job.attempts} attempts)`);
+        }
+        
+        return recovered;
+    }
+    
+    async pruneFinishedJobs() {
+        const cutoff = Date.now() - this.config.JOB_STORE.RETENTION_HOURS * 60 * 60 * 1000;
+        
+        return this.store.updateAsync(jobs => {
+            const before = jobs.length;
+            const kept = jobs.filter(job => !FINISHED_JOB_STATUSES.includes(job.status) ||
+                Date.parse(job.finishedAt) > cutoff);
+            
+            jobs.splice(0, jobs.length, ...kept);
+            return before - kept.length;
+        });
+    }
+    
+    // Applies a control action to a stored job while holding the store lock,
+    // so a running scheduler can't claim the job halfway through the change
+    transitionJob(jobId, action, mutator) {
+        const job = this.store.update(jobs => {
+            const stored = jobs.find(candidate => candidate.id === jobId);
+            
+            if (!stored) {
+                throw new Error(`Job not found: ${jobId}`);
+            }
+            if (!JOB_TRANSITIONS[action].includes(stored.status)) {
+                throw new JobStateError(jobId, action, stored.status);
+            }
+            
+            mutator(stored, jobs);
+            return { ...stored };
+        });
+        
+        return this.hydrateJob(job);
+    }
+    
+    cancelJob(jobId) {
+        const job = this.transitionJob(jobId, 'cancel', stored => {
+            stored.status = 'cancelled';
+            stored.finishedAt = new Date().toISOString();
+            if (stored.type === 'recurring') stored.nextRunAt = null;
+        });
+        
+        Logger.info(`Cancelled job ${jobId}`);
+        this.emit('jobCancelled', job);
+        return job;
+    }
+    
+    pauseJob(jobId) {
+        const job = this.transitionJob(jobId, 'pause', stored => {
+            stored.status = 'paused';
+        });
+        
+        Logger.info(`Paused job ${jobId}`);
+        this.emit('jobPaused', job);
+        return job;
+    }
+    
+    // A resumed one-off job whose time has passed runs on the next check; a
+    // resumed recurring schedule picks up at its next occurrence from now
+    resumeJob(jobId) {
+        const job = this.transitionJob(jobId, 'resume', stored => {
+            stored.status = 'scheduled';
+            if (stored.type === 'recurring') this.advanceRecurring(stored, new Date());
+        });
+        
+        Logger.info(`Resumed job ${jobId}`);
+        this.emit('jobResumed', job);
+        return job;
+    }
+    
+    rescheduleJob(jobId, scheduleTime) {
+        let previousTime = null;
+        
+        const job = this.transitionJob(jobId, 'reschedule', stored => {
+            if (stored.type === 'recurring') {
+                throw new Error(`${jobId} is a recurring schedule - cancel it and create a new one to change its cadence`);
+            }
+            
+            const timeZone = stored.timeZone || this.config.TIMEZONE;
+            const time = parseScheduleTime(scheduleTime, timeZone);
+            
+            if (time <= new Date()) {
+                throw new Error(`${formatScheduleTime(time, timeZone)} is in the past - use run-now to upload immediately`);
+            }
+            
+            previousTime = new Date(stored.scheduleTime);
+            stored.scheduleTime = time.toISOString();
+        });
+        
+        Logger.info(`Rescheduled job ${jobId} to ${formatScheduleTime(job.scheduleTime, job.timeZone || this.config.TIMEZONE)}`);
+        this.emit('jobRescheduled', job, previousTime);
+        return job;
+    }
+    
+    // Claims the job (or, for a recurring schedule, a new job for its next
+    // clip) and uploads it in this process. A recurring schedule keeps its
+    // next occurrence.
+    async runJobNow(jobId) {
+        const now = new Date();
+        let queued = null;
+        
+        const job = this.transitionJob(jobId, 'run', (stored, jobs) => {
+            if (stored.type === 'recurring') {
+                queued = this.queueRecurringRun(jobs, stored, now);
+                if (!queued) {
+                    throw new Error(`No clips waiting for recurring schedule ${jobId}`);
+                }
+                this.claimJob(queued, now);
+            } else {
+                this.claimJob(stored, now);
             }
+        });
+        
+        const runJob = queued ? this.hydrateJob({ ...queued }) : job;
+        
+        this.emit('jobTriggered', runJob);
+        await this.executeJob(runJob);
+        return runJob;
+    }
+    
+    hydrateJob(job) {
+        if (job.type === 'recurring') {
+            return {
+                ...job,
+                nextRunAt: job.nextRunAt ? new Date(job.nextRunAt) : null,
+                createdAt: new Date(job.createdAt),
+                upcomingRuns: this.getUpcomingRuns(job)
+            };
         }
+        
+        return {
+            ...job,
+            clip: VideoClip.fromJSON(job.clip, this.config),
+            scheduleTime: new Date(job.scheduleTime),
+            createdAt: new Date(job.createdAt)
+        };
     }
     
     getScheduledJobs() {
-        return Array.from(this.scheduledJobs.values());
+        return this.store.read().map(job => this.hydrateJob(job));
     }
 }
 
@@ -649,19 +5774,36 @@ class UploadScheduler extends EventEmitter {
 // ==========================================
 
 class SocialMediaUploader extends EventEmitter {
-    constructor() {
+    constructor(config = loadConfig()) {
         super();
         
-        this.uploaders = {
-            youtube: new YouTubeUploader(),
-            instagram: new InstagramUploader(),
-            tiktok: new TikTokUploader(),
-            linkedin: new LinkedInUploader(),
-            twitter: new TwitterUploader()
-        };
+        loadPlugins(config.PLUGINS.DIRECTORY, config.PLUGINS.PACKAGES);
+        
+        // Configs not built by loadConfig may predate a plugin's settings
+        Object.entries(getPlatformDefaults()).forEach(([key, defaults]) => {
+            if (Object.keys(defaults).length > 0) {
+                config[key] = mergeConfig(defaults, config[key]);
+            }
+        });
+        this.config = config;
+        this.tokenVault = new TokenVault(config);
+        
+        this.uploaders = {};
+        for (const { name, UploaderClass } of platformRegistry.values()) {
+            const uploader = new UploaderClass(this.tokenVault, config);
+            
+            // Plugin names need not match the display name the uploader was built with
+            uploader.platformKey = name;
+            uploader.account = config.ACCOUNTS[name] || 'default';
+            uploader.quota = QuotaLimiter.forPlatform(name, uploader.account, config);
+            uploader.on('uploadProgress', progress => this.emit('uploadProgress', progress));
+            this.uploaders[name] = uploader;
+        }
         
         this.analytics = new Analytics();
-        this.scheduler = new UploadScheduler();
+        this.ledger = new UploadLedger(config);
+        this.transcoder = new Transcoder(config);
+        this.scheduler = new UploadScheduler(config, this);
         
         Logger.info('Social Media Uploader initialized');
     }
@@ -671,19 +5813,22 @@ class SocialMediaUploader extends EventEmitter {
             const clip = new VideoClip({
                 filePath,
                 title,
-                description: options.description || CONFIG.DEFAULT_DESCRIPTION,
-                tags: options.tags || [...CONFIG.DEFAULT_TAGS],
-                privacy: options.privacy || CONFIG.DEFAULT_PRIVACY,
-                platforms: options.platforms || [...CONFIG.PLATFORMS_TO_UPLOAD]
-            });
+                description: options.description || this.config.DEFAULT_DESCRIPTION,
+                tags: options.tags || [...this.config.DEFAULT_TAGS],
+                privacy: options.privacy || this.config.DEFAULT_PRIVACY,
+                platforms: options.platforms || [...this.config.PLATFORMS_TO_UPLOAD],
+                thumbnailPath: options.thumbnailPath || null,
+                thumbnailTime: options.thumbnailTime,
+                captions: options.captions || []
+            }, this.config);
             
-            clip.validate();
+            clip.validate({ transcoding: this.config.TRANSCODE.ENABLED, config: this.config });
             
             if (options.scheduleTime) {
                 return this.scheduleUpload(clip, options.scheduleTime);
             }
             
-            return await this.uploadClips([clip]);
+            return await this.uploadClips([clip], { force: options.force });
             
         } catch (error) {
             Logger.error('Single clip upload failed', error.message);
@@ -696,34 +5841,10 @@ class SocialMediaUploader extends EventEmitter {
         }
     }
     
-    async uploadFromFolder(folderPath, filePattern = '*.mp4') {
+    async uploadFromFolder(folderPath, options = {}) {
         try {
-            if (!fs.existsSync(folderPath)) {
-                throw new Error(`Folder not found: ${folderPath}`);
-            }
-            
-            const files = fs.readdirSync(folderPath)
-                .filter(file => file.endsWith('.mp4'))
-                .map(file => path.join(folderPath, file));
-            
-            if (files.length === 0) {
-                throw new Error(`No video files found in ${folderPath}`);
-            }
-            
-            const clips = files.map(filePath => {
-                const filename = path.basename(filePath, '.mp4');
-                const title = filename.replace(/_/g, ' ')
-                    .replace(/\b\w/g, l => l.toUpperCase());
-                
-                return new VideoClip({
-                    filePath,
-                    title,
-                    description: CONFIG.DEFAULT_DESCRIPTION,
-                    tags: [...CONFIG.DEFAULT_TAGS]
-                });
-            });
-            
-            return await this.uploadClips(clips);
+            const clips = this.getFolderClips(folderPath, options);
+            return await this.uploadClips(clips, { force: options.force });
             
         } catch (error) {
             Logger.error('Folder upload failed', error.message);
@@ -736,114 +5857,364 @@ class SocialMediaUploader extends EventEmitter {
         }
     }
     
-    async uploadClips(clips) {
-        Logger.info(`Starting upload of ${clips.length} clips to platforms: ${CONFIG.PLATFORMS_TO_UPLOAD.join(', ')}`);
+    getFolderClips(folderPath, options = {}) {
+        if (!fs.existsSync(folderPath)) {
+            throw new Error(`Folder not found: ${folderPath}`);
+        }
+        
+        const files = fs.readdirSync(folderPath)
+            .filter(file => isVideoFile(file))
+            .map(file => path.join(folderPath, file));
+        
+        if (files.length === 0) {
+            throw new Error(`No video files found in ${folderPath}`);
+        }
+        
+        return files.map(filePath => {
+            return new VideoClip({
+                filePath,
+                title: titleFromFilename(filePath),
+                description: this.config.DEFAULT_DESCRIPTION,
+                tags: [...this.config.DEFAULT_TAGS],
+                thumbnailPath: findSidecarFile(filePath, THUMBNAIL_EXTENSIONS),
+                thumbnailTime: options.thumbnailTime,
+                captions: findCaptionFiles(filePath)
+            }, this.config);
+        });
+    }
+    
+    // The post text each of the clip's platforms would get, without uploading
+    previewPostText(clip) {
+        this.assertKnownPlatforms(clip.platforms);
+        
+        const preview = {};
+        for (const platform of clip.platforms) {
+            preview[platform] = this.uploaders[platform].composeText(clip);
+        }
+        
+        return preview;
+    }
+    
+    // Pass the checkpoint of an interrupted batch to skip the uploads it
+    // finished, force to upload clips the ledger has seen before, and
+    // saveCheckpoint: false when the caller tracks progress itself
+    async uploadClips(clips, { checkpoint = null, force = false, saveCheckpoint = true } = {}) {
+        // Reject unknown platforms before anything is uploaded
+        const batchPlatforms = [...new Set(clips.flatMap(clip => clip.platforms))];
+        this.assertKnownPlatforms(batchPlatforms);
+        
+        checkpoint = checkpoint || BatchCheckpoint.create(clips, this.config, { persist: saveCheckpoint });
+        Logger.info(`Starting upload batch ${checkpoint.id} of ${clips.length} clips to platforms: ${batchPlatforms.join(', ')}`);
+        this.emit('batchStarted', { batchId: checkpoint.id, clips: clips.length });
         
         const results = {};
         const failed = [];
-        
-        // Initialize results object
-        CONFIG.PLATFORMS_TO_UPLOAD.forEach(platform => {
-            results[platform] = [];
-        });
+        const tasks = [];
+        const { MAX_UPLOADS, PER_PLATFORM, PLATFORMS } = this.config.CONCURRENCY;
+        const globalLimiter = new ConcurrencyLimiter(MAX_UPLOADS);
+        const platformLimiters = {};
+        const platformQueued = {};
+        const batchUploads = new Map();
+        const batchStart = Date.now();
         
         for (let i = 0; i < clips.length; i++) {
             const clip = clips[i];
-            Logger.info(`Processing clip ${i + 1}/${clips.length}: ${clip.title}`);
+            
+            const clipResults = { title: clip.title, platforms: {} };
+            results[clip.filePath] = clipResults;
+            
+            const pending = clip.platforms.filter(platform => {
+                const completed = checkpoint.getCompleted(i, platform);
+                if (!completed) return true;
+                
+                clipResults.platforms[platform] = { ...completed, resumed: true };
+                if (completed.url) {
+                    clip.uploadUrls[platform] = completed.url;
+                }
+                return false;
+            });
+            
+            if (pending.length === 0) {
+                continue;
+            }
             
             // Validate clip
+            let fingerprint;
+            let specReport;
             try {
-                clip.validate();
+                specReport = clip.validate({ transcoding: this.config.TRANSCODE.ENABLED, config: this.config });
+                fingerprint = await contentFingerprint(clip.filePath);
             } catch (error) {
                 failed.push(`${clip.title}: ${error.message}`);
                 continue;
             }
             
-            // Upload to each platform
-            for (const platform of CONFIG.PLATFORMS_TO_UPLOAD) {
-                if (!this.uploaders[platform]) {
-                    Logger.error(`Unknown platform: ${platform}`);
+            this.reportEligibility(clip, specReport, clipResults, failed);
+            
+            const transcode = this.config.TRANSCODE.ENABLED ? Object.keys(specReport.ineligible) : [];
+            const uploadable = pending.filter(platform => specReport.eligible.includes(platform) || transcode.includes(platform));
+            
+            const uncaptioned = clip.captions.length > 0 ? uploadable.filter(platform => !this.uploaders[platform].supportsCaptions) : [];
+            if (uncaptioned.length > 0) {
+                Logger.warning(`${clip.title}: captions can't be uploaded to ${uncaptioned.join(', ')} - posting without them`);
+            }
+            
+            for (const platform of uploadable) {
+                const ledgerDuplicate = force ? null : this.ledger.find(fingerprint, platform);
+                if (ledgerDuplicate && this.skipDuplicate(clip, platform, ledgerDuplicate, clipResults)) {
                     continue;
                 }
                 
-                const uploader = this.uploaders[platform];
+                // Another copy of the file in this batch only counts as a duplicate
+                // once it has uploaded, so later copies wait for its result
+                const key = `${fingerprint.sha256}:${platform}`;
+                const firstCopy = force || ledgerDuplicate ? null : batchUploads.get(key);
+                let settle = () => {};
+                if (!batchUploads.has(key)) {
+                    batchUploads.set(key, new Promise(resolve => { settle = resolve; }));
+                }
                 
-                try {
-                    // Add random delay if enabled
-                    if (CONFIG.RANDOM_DELAY) {
-                        const delay = Math.floor(Math.random() * 60000); // 0-60 seconds
-                        await this.sleep(delay);
-                    }
-                    
-                    const result = await uploader.uploadWithRetry(clip);
-                    
-                    if (result.success) {
-                        clip.uploadUrls[platform] = result.url;
-                        results[platform].push(result.url);
-                        this.analytics.recordUpload(platform, true);
+                platformLimiters[platform] = platformLimiters[platform] ||
+                    new ConcurrencyLimiter(PLATFORMS[platform] || PER_PLATFORM);
+                
+                // The nth clip for a platform starts n stagger periods into the batch
+                const position = platformQueued[platform] || 0;
+                platformQueued[platform] = position + 1;
+                let startAt = batchStart;
+                
+                if (this.config.STAGGER_UPLOADS) {
+                    startAt += position * this.config.STAGGER_MINUTES * 60 * 1000;
+                }
+                if (this.config.RANDOM_DELAY) {
+                    startAt += Math.floor(Math.random() * 60000); // 0-60 seconds
+                }
+                
+                tasks.push((async () => {
+                    try {
+                        await this.sleep(Math.max(0, startAt - Date.now()));
                         
-                        this.emit('uploadSuccess', {
-                            platform,
-                            clip: clip.title,
-                            url: result.url
-                        });
+                        if (firstCopy) {
+                            const duplicate = await firstCopy;
+                            if (duplicate && this.skipDuplicate(clip, platform, duplicate, clipResults)) {
+                                return;
+                            }
+                        }
                         
-                    } else {
-                        failed.push(`${clip.title} -> ${platform}: ${result.error}`);
-                        this.analytics.recordUpload(platform, false, result.error);
+                        // Take the platform slot first so waiting for it doesn't hold a
+                        // global slot, and only take the global slot once any encode is done
+                        await platformLimiters[platform].run(() => this.uploadToPlatform(clip, platform, clipResults, failed, {
+                            fingerprint: transcode.includes(platform) ? fingerprint : null,
+                            slot: upload => globalLimiter.run(() => {
+                                Logger.info(`Uploading clip ${i + 1}/${clips.length}: ${clip.title} -> ${platform}`);
+                                return upload();
+                            })
+                        }));
                         
-                        this.emit('uploadFailed', {
-                            platform,
-                            clip: clip.title,
-                            error: result.error
-                        });
+                        const platformResult = clipResults.platforms[platform];
+                        if (platformResult && (platformResult.success || platformResult.deferred)) {
+                            checkpoint.markCompleted(i, platform, platformResult);
+                        }
+                        if (platformResult && platformResult.success) {
+                            const upload = { title: clip.title, filePath: clip.filePath, url: platformResult.url };
+                            await this.ledger.record(fingerprint, platform, upload);
+                            settle(upload);
+                        }
+                    } finally {
+                        // A failed first copy leaves the later ones free to upload
+                        settle(null);
                     }
-                    
-                } catch (error) {
-                    const errorMsg = `${clip.title} -> ${platform}: ${error.message}`;
-                    failed.push(errorMsg);
-                    this.analytics.recordUpload(platform, false, error.message);
-                    Logger.error(`Upload exception: ${errorMsg}`);
-                }
-            }
-            
-            // Stagger uploads if enabled and not the last clip
-            if (CONFIG.STAGGER_UPLOADS && i < clips.length - 1) {
-                const staggerMs = CONFIG.STAGGER_MINUTES * 60 * 1000;
-                Logger.info(`Waiting ${CONFIG.STAGGER_MINUTES} minutes before next clip...`);
-                await this.sleep(staggerMs);
+                })());
             }
         }
         
+        await Promise.all(tasks);
+        checkpoint.finish();
+        this.transcoder.cleanup();
+        
         // Record batch analytics
         this.analytics.addUploadBatch({
             clipsCount: clips.length,
-            platforms: [...CONFIG.PLATFORMS_TO_UPLOAD],
+            platforms: batchPlatforms,
             results,
             failed
         });
         
-        const successCount = Object.values(results).flat().length;
+        const successCount = SocialMediaUploader.countSuccesses(results);
         Logger.info(`Upload batch completed! Successful: ${successCount}, Failed: ${failed.length}`);
         
-        this.emit('batchComplete', { results, failed });
+        this.emit('batchComplete', { batchId: checkpoint.id, results, failed });
         
         return {
             status: 'completed',
+            batchId: checkpoint.id,
             results,
             failed,
             analytics: this.analytics.getStats()
         };
     }
     
+    // Uploads the pairs an earlier run of the batch didn't finish. Failed
+    // pairs aren't recorded, so a completed batch can be resumed to retry them.
+    async resumeBatch(batchId, options = {}) {
+        const checkpoint = BatchCheckpoint.load(batchId, this.config);
+        const clips = checkpoint.getClips(this.config);
+        
+        Logger.info(`Resuming batch ${batchId}: ${checkpoint.countCompleted()} uploads already done`);
+        return this.uploadClips(clips, { checkpoint, force: options.force });
+    }
+    
+    // Logs what the probe found and fails the platforms whose specs the clip
+    // breaks, unless those are going to be transcoded
+    reportEligibility(clip, report, clipResults, failed) {
+        const media = clip.getMediaInfo();
+        if (media.duration !== null) {
+            const codecs = [media.videoCodec, media.audioCodec].filter(Boolean).join('/');
+            Logger.info(`${clip.title}: ${media.duration.toFixed(1)}s ${media.width}x${media.height} ${codecs}`);
+        }
+        
+        if (report.eligible.length > 0) {
+            Logger.info(`${clip.title} is eligible for: ${report.eligible.join(', ')}`);
+        }
+        
+        for (const [platform, problems] of Object.entries(report.ineligible)) {
+            if (this.config.TRANSCODE.ENABLED) {
+                Logger.info(`${clip.title} will be transcoded for ${platform}: ${problems.join(', ')}`);
+                continue;
+            }
+            
+            const error = `does not meet ${platform} requirements: ${problems.join(', ')}`;
+            Logger.warning(`${clip.title} ${error}`);
+            
+            failed.push(`${clip.title} -> ${platform}: ${error}`);
+            clipResults.platforms[platform] = { success: false, ineligible: true, error };
+        }
+        
+        this.emit('clipEligibility', { clip: clip.title, eligible: report.eligible, ineligible: report.ineligible });
+    }
+    
+    // Handles a clip whose content was already uploaded to the platform.
+    // Returns true when it is skipped, false when it should upload again.
+    skipDuplicate(clip, platform, duplicate, clipResults) {
+        const earlier = `${duplicate.title}${duplicate.url ? ` (${duplicate.url})` : ''}`;
+        
+        if (this.config.UPLOAD_LEDGER.ON_DUPLICATE === 'skip') {
+            Logger.warning(`Skipping ${clip.title} -> ${platform}: same file already uploaded as ${earlier} - use --force to upload again`);
+            clipResults.platforms[platform] = { success: false, skipped: true, duplicateOf: duplicate };
+            this.emit('uploadSkipped', { platform, clip: clip.title, duplicateOf: duplicate });
+            return true;
+        }
+        
+        Logger.warning(`${clip.title} -> ${platform}: same file already uploaded as ${earlier} - uploading again`);
+        return false;
+    }
+    
+    // With a fingerprint, the clip is first transcoded to fit the platform
+    // Renditions are encoded before the upload takes its slot, and before
+    // any quota is reserved, so a failed encode costs neither
+    async uploadToPlatform(clip, platform, clipResults, failed, { fingerprint = null, slot = upload => upload() } = {}) {
+        const uploader = this.uploaders[platform];
+        
+        try {
+            const source = fingerprint ? await this.transcoder.createRendition(clip, platform, fingerprint) : clip;
+            const result = await slot(() => uploader.uploadWithRetry(source));
+            
+            if (result.success) {
+                clip.uploadUrls[platform] = result.url;
+                clipResults.platforms[platform] = { success: true, url: result.url, retryCount: result.retryCount };
+                this.analytics.recordUpload(platform, true);
+                
+                this.emit('uploadSuccess', {
+                    platform,
+                    clip: clip.title,
+                    url: result.url
+                });
+                
+            } else if (result.errorCategory === 'quota_exceeded') {
+                // Hand the upload to the scheduler rather than waiting out the window here
+                await this.deferUpload(clip, platform, result.retryAt, clipResults);
+                
+            } else if (result.errorCategory === 'rate_limited' && result.retryAt) {
+                // The platform's limit resets later than uploadWithRetry will wait
+                if (uploader.quota) {
+                    await uploader.quota.block(result.retryAt);
+                }
+                await this.deferUpload(clip, platform, result.retryAt, clipResults);
+                
+            } else {
+                failed.push(`${clip.title} -> ${platform}: ${result.error}`);
+                clipResults.platforms[platform] = {
+                    success: false,
+                    error: result.error,
+                    errorCategory: result.errorCategory,
+                    retryCount: result.retryCount,
+                    retryAt: result.retryAt
+                };
+                this.analytics.recordUpload(platform, false, result.error);
+                
+                this.emit('uploadFailed', {
+                    platform,
+                    clip: clip.title,
+                    error: result.error,
+                    errorCategory: result.errorCategory,
+                    retryAt: result.retryAt
+                });
+            }
+            
+        } catch (error) {
+            const errorMsg = `${clip.title} -> ${platform}: ${error.message}`;
+            failed.push(errorMsg);
+            clipResults.platforms[platform] = { success: false, error: error.message };
+            this.analytics.recordUpload(platform, false, error.message);
+            Logger.error(`Upload exception: ${errorMsg}`);
+        }
+    }
+    
+    async deferUpload(clip, platform, resumeAt, clipResults) {
+        const jobId = await this.scheduler.deferUpload(clip, platform, resumeAt);
+        clipResults.platforms[platform] = { success: false, deferred: true, jobId, scheduledFor: resumeAt };
+        
+        this.emit('uploadDeferred', {
+            platform,
+            clip: clip.title,
+            jobId,
+            scheduledFor: resumeAt
+        });
+    }
+    
+    static countSuccesses(results) {
+        return Object.values(results)
+            .flatMap(clipResults => Object.values(clipResults.platforms))
+            .filter(result => result.success)
+            .length;
+    }
+    
+    assertKnownPlatforms(platforms) {
+        const unknown = platforms.filter(platform => !this.uploaders[platform]);
+        if (unknown.length > 0) {
+            throw new Error(
+                `Unknown platform(s): ${unknown.join(', ')} (available: ${Object.keys(this.uploaders).join(', ')})`
+            );
+        }
+    }
+    
     scheduleUpload(clip, scheduleTime, platformSchedule = null) {
-        if (platformSchedule) {
+        this.assertKnownPlatforms(platformSchedule ? Object.keys(platformSchedule) : clip.platforms);
+        
+        // Without an explicit time, each platform goes out at its UPLOAD_SCHEDULE slot
+        if (platformSchedule || !scheduleTime) {
             return this.scheduler.schedulePlatformUploads(clip, platformSchedule);
         } else {
             return this.scheduler.scheduleUpload(clip, scheduleTime);
         }
     }
     
+    scheduleRecurring(spec) {
+        const queued = (spec.queue || []).flatMap(clip => clip.platforms || []);
+        this.assertKnownPlatforms([...(spec.options?.platforms || []), ...queued]);
+        
+        return this.scheduler.scheduleRecurring(spec);
+    }
+    
     startScheduler() {
         this.scheduler.startScheduler();
     }
@@ -852,6 +6223,27 @@ class SocialMediaUploader extends EventEmitter {
         this.scheduler.stopScheduler();
     }
     
+    async login(platform, account = null) {
+        if (!this.uploaders[platform]) {
+            throw new Error(`Unknown platform: ${platform}`);
+        }
+        
+        // Fail before the browser round-trip if the tokens could not be stored
+        this.tokenVault.assertUnlockable();
+        
+        const client = new OAuthClient(platform, this.config);
+        const tokens = await client.login();
+        const uploader = this.uploaders[platform];
+        
+        if (account) {
+            uploader.account = account;
+        }
+        await uploader.persistTokens(tokens);
+        
+        Logger.info(`Logged in to ${platform} (account: ${uploader.account})`);
+        return tokens;
+    }
+    
     getAnalytics() {
         return this.analytics.getStats();
     }
@@ -860,21 +6252,54 @@ class SocialMediaUploader extends EventEmitter {
         return this.scheduler.getScheduledJobs();
     }
     
+    cancelJob(jobId) {
+        return this.scheduler.cancelJob(jobId);
+    }
+    
+    pauseJob(jobId) {
+        return this.scheduler.pauseJob(jobId);
+    }
+    
+    resumeJob(jobId) {
+        return this.scheduler.resumeJob(jobId);
+    }
+    
+    rescheduleJob(jobId, scheduleTime) {
+        return this.scheduler.rescheduleJob(jobId, scheduleTime);
+    }
+    
+    async runJobNow(jobId) {
+        return await this.scheduler.runJobNow(jobId);
+    }
+    
     validateCredentials() {
         const missing = [];
         
-        CONFIG.PLATFORMS_TO_UPLOAD.forEach(platform => {
-            const platformConfig = CONFIG[platform.toUpperCase()];
+        this.config.PLATFORMS_TO_UPLOAD.forEach(platform => {
+            const configKey = getPlatformConfigKey(platform);
+            const platformConfig = this.config[configKey];
             if (!platformConfig) return;
             
+            const registration = platformRegistry.get(platform);
+            const schema = registration ? registration.configSchema : {};
+            
+            Object.entries(schema).forEach(([key, rule]) => {
+                const value = platformConfig[key];
+                if (rule.required && (value === undefined || value === null || value === '')) {
+                    missing.push(`${configKey} ${key}`);
+                }
+            });
+            
             Object.entries(platformConfig).forEach(([key, value]) => {
+                if (typeof value !== 'string') return;
+                
                 if (!value || value.includes('your_') || value.includes('_here')) {
-                    missing.push(`${platform.toUpperCase()} ${key}`);
+                    missing.push(`${configKey} ${key}`);
                 }
             });
         });
         
-        return missing;
+        return [...new Set(missing)];
     }
     
     sleep(ms) {
@@ -887,17 +6312,61 @@ class SocialMediaUploader extends EventEmitter {
 // ==========================================
 
 async function uploadSingleFile(filePath, title, options = {}) {
-    const uploader = new SocialMediaUploader();
+    const uploader = new SocialMediaUploader(options.config);
     return await uploader.uploadSingleClip(filePath, title, options);
 }
 
 async function uploadFromFolder(folderPath, options = {}) {
-    const uploader = new SocialMediaUploader();
-    return await uploader.uploadFromFolder(folderPath);
+    const uploader = new SocialMediaUploader(options.config);
+    return await uploader.uploadFromFolder(folderPath, options);
+}
+
+const THUMBNAIL_EXTENSIONS = ['.jpg', '.jpeg', '.png'];
+
+function isRemoteUrl(value) {
+    return /^https?:\/\//i.test(value);
+}
+
+// "clips/intro.mp4" -> "clips/intro.jpg", if that exists
+function findSidecarFile(filePath, extensions) {
+    const base = path.join(path.dirname(filePath), path.basename(filePath, path.extname(filePath)));
+    const match = extensions.map(extension => base + extension).find(candidate => fs.existsSync(candidate));
+    return match || null;
+}
+
+function escapeHtml(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text).replace(/[&<>"']/g, char => entities[char]);
+}
+
+// "my_best_clip.mp4" -> "My Best Clip"
+function titleFromFilename(filePath) {
+    return path.basename(filePath, path.extname(filePath))
+        .replace(/_/g, ' ')
+        .replace(/\b\w/g, l => l.toUpperCase());
+}
+
+const FINGERPRINT_CHUNK_SIZE = 1024 * 1024;
+
+// SHA-256 of the file, streamed so large videos aren't loaded whole and
+// uploads already running keep going while it is hashed
+function contentFingerprint(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        const stream = fs.createReadStream(filePath, { highWaterMark: FINGERPRINT_CHUNK_SIZE });
+        let size = 0;
+        
+        stream.on('data', chunk => {
+            hash.update(chunk);
+            size += chunk.length;
+        });
+        stream.on('error', reject);
+        stream.on('end', () => resolve({ sha256: hash.digest('hex'), size }));
+    });
 }
 
-function validateConfiguration() {
-    const uploader = new SocialMediaUploader();
+function validateConfiguration(config = undefined) {
+    const uploader = new SocialMediaUploader(config);
     const missing = uploader.validateCredentials();
     
     if (missing.length > 0) {
@@ -919,11 +6388,37 @@ module.exports = {
     VideoClip,
     UploadResult,
     UploadScheduler,
+    PlatformUploader,
+    PlatformApiError,
+    ConfigError,
+    JobStateError,
+    OAuthClient,
+    OAuth1Signer,
+    TokenVault,
+    FileLock,
     Logger,
+    ProgressDisplay,
     Analytics,
     uploadSingleFile,
     uploadFromFolder,
     validateConfiguration,
+    registerPlatform,
+    getRegisteredPlatforms,
+    loadPlugins,
+    loadConfig,
+    parseConfigOverride,
+    validateConfig,
+    probeVideo,
+    readTrack,
+    parseCaptions,
+    formatCaptions,
+    renderPostText,
+    fitText,
+    parseScheduleTime,
+    nextDailyTime,
+    formatScheduleTime,
+    CronSchedule,
+    RRuleSchedule,
     CONFIG
 };
 
@@ -944,52 +6439,135 @@ Usage:
   node uploader.js --folder clips
   node uploader.js --schedule --file video.mp4 --time "2025-01-15 14:30"
   node uploader.js --check-credentials
+  node uploader.js --probe video.mp4
+  node uploader.js --login youtube --account brand
   node uploader.js --analytics
   node uploader.js --start-scheduler
+  node uploader.js --config uploader.yaml --folder clips
 
 Options:
+  --config <path>         Load settings from a JSON or YAML file
+  --set <KEY=value>       Override a setting, e.g. --set YOUTUBE.CHUNK_SIZE=16777216
   --file <path>           Upload single video file
   --folder <path>         Upload all videos from folder (default: clips)
   --title <title>         Video title for single file upload
   --description <desc>    Video description
   --tags <tag1,tag2>      Comma-separated tags
-  --privacy <level>       public, unlisted, or private
+  --privacy <level>       public, unlisted, followers, or private
+  --thumbnail <path|url>  Thumbnail image (folder uploads pick up clip.jpg/.png beside clip.mp4)
+  --thumbnail-at <secs>   Use the frame at this time when there is no thumbnail image
+  --captions <list>       Comma-separated SRT/WebVTT files, e.g. clip.en.srt,clip.es.vtt
+                          (folder uploads pick up clip.srt and clip.<lang>.srt/.vtt)
+  --preview               Show each platform's post text (CAPTION_TEMPLATES) without uploading
   --platforms <list>      Comma-separated platform list
-  --schedule              Enable scheduled upload
-  --time <datetime>       Schedule time (YYYY-MM-DD HH:MM)
-  --youtube-time <time>   Schedule YouTube upload (HH:MM)
-  --instagram-time <time> Schedule Instagram upload (HH:MM)
-  --tiktok-time <time>    Schedule TikTok upload (HH:MM)
+  --schedule              Schedule instead of uploading now (default times: UPLOAD_SCHEDULE)
+  --time <datetime>       Schedule time (YYYY-MM-DD HH:MM in TIMEZONE, or ISO 8601 with an offset)
+  --youtube-time <time>   Schedule YouTube upload (HH:MM, optionally followed by a zone)
+  --instagram-time <time> Schedule Instagram upload (HH:MM, optionally followed by a zone)
+  --tiktok-time <time>    Schedule TikTok upload (HH:MM, optionally followed by a zone)
+  --cron <expr>           Upload the next clip on a cron schedule, e.g. "0 9 * * 1,3,5"
+  --rrule <rule>          Upload the next clip on an RRULE, e.g. "FREQ=HOURLY;INTERVAL=4"
+  --queue <path>          JSON array of clips to feed a recurring schedule (instead of --folder)
   --delay <seconds>       Delay between platform uploads
   --check-credentials     Validate API credentials
+  --list-platforms        Show registered platforms (including plugins)
+  --probe <path>          Show a video's duration, size and codecs, and which platforms accept it
+  --login <platform>      Authorize a platform via OAuth (youtube, tiktok, linkedin, twitter)
+  --account <name>        Vault account to store tokens under (default: default)
   --analytics             Show upload statistics
-  --start-scheduler       Start background scheduler
-  --list-jobs             Show scheduled jobs
+  --start-scheduler       Run the scheduler for jobs saved in the job store
+  --list-jobs             Show jobs saved in the job store
+  --cancel-job <id>       Cancel a scheduled or paused job
+  --pause-job <id>        Hold a scheduled job until it is resumed
+  --resume-job <id>       Resume a paused job
+  --reschedule <id>       Move a job to the time given with --time
+  --run-now <id>          Upload a scheduled or paused job immediately
+  --resume <batchId>      Continue an interrupted batch, skipping finished uploads
+  --force                 Upload files even if they were already published to a platform
   --help                  Show this help message
 
+Environment:
+  SMU_<KEY>, SMU_<SECTION>_<KEY>  Override settings, e.g. SMU_MAX_RETRIES=5, SMU_YOUTUBE_CLIENT_ID=...
+
 Examples:
   node uploader.js --file "my_video.mp4" --title "Amazing Content"
+  node uploader.js --file "my_video.mp4" --thumbnail "cover.jpg"
+  node uploader.js --file "my_video.mp4" --captions "my_video.en.srt,my_video.de.vtt"
+  node uploader.js --folder "clips" --preview
   node uploader.js --folder "clips" --delay 300
-  node uploader.js --file "video.mp4" --youtube-time "09:00" --instagram-time "12:00"
+  node uploader.js --folder "clips" --set TRANSCODE.ENABLED=true
+  node uploader.js --schedule --file "video.mp4" --youtube-time "09:00" --instagram-time "12:00 Asia/Tokyo"
+  node uploader.js --schedule --file "video.mp4" --time "2025-03-30 01:30" --set TIMEZONE=Europe/Berlin
   node uploader.js --schedule --file "video.mp4" --time "2025-01-15 14:30"
+  node uploader.js --cron "0 9 * * MON,WED,FRI" --folder "clips"
+  node uploader.js --rrule "FREQ=HOURLY;INTERVAL=4" --queue "queue.json"
+  node uploader.js --resume batch_1736950000000_k2j4h5g6f
             `);
             return;
         }
         
-        const uploader = new SocialMediaUploader();
+        // Configuration: defaults < --config file < SMU_* environment variables < CLI flags
+        const configIndex = args.indexOf('--config');
+        const delayIndex = args.indexOf('--delay');
+        const overrides = [];
+        let config;
+        
+        try {
+            args.forEach((arg, index) => {
+                if (arg === '--set' && index + 1 < args.length) {
+                    overrides.push(parseConfigOverride(args[index + 1]));
+                }
+            });
+            
+            if (delayIndex !== -1 && delayIndex + 1 < args.length) {
+                overrides.push({ DELAY_BETWEEN_PLATFORMS: parseInt(args[delayIndex + 1]) });
+            }
+            
+            config = loadConfig({
+                configPath: configIndex !== -1 ? args[configIndex + 1] : null,
+                overrides
+            });
+        } catch (error) {
+            if (error instanceof ConfigError) {
+                console.error(error.message);
+                process.exit(1);
+            }
+            throw error;
+        }
+        
+        const uploader = new SocialMediaUploader(config);
+        
+        // Commands that upload show live progress, with output printed above it
+        const uploading = ['--file', '--folder', '--resume', '--start-scheduler', '--run-now'].some(flag => args.includes(flag)) &&
+            !['--schedule', '--preview'].some(flag => args.includes(flag));
+        const output = uploading ? new ProgressDisplay().attach(uploader).console : console;
+        Logger.setOutput(output);
         
         // Event listeners for real-time feedback
         uploader.on('uploadSuccess', (data) => {
-            console.log(`✅ ${data.platform}: ${data.url}`);
+            output.log(`✅ ${data.platform}: ${data.url}`);
         });
         
         uploader.on('uploadFailed', (data) => {
-            console.log(`❌ ${data.platform}: ${data.error}`);
+            output.log(`❌ ${data.platform}: ${data.error}`);
+        });
+        
+        uploader.on('uploadSkipped', (data) => {
+            const earlier = data.duplicateOf.url || data.duplicateOf.title;
+            output.log(`⏭️  ${data.platform}: already uploaded (${earlier}) - skipped, use --force to upload again`);
+        });
+        
+        uploader.on('uploadDeferred', (data) => {
+            output.log(`⏳ ${data.platform}: quota reached, deferred to ${formatScheduleTime(data.scheduledFor, config.TIMEZONE)} (job ${data.jobId})`);
+        });
+        
+        uploader.on('batchStarted', (data) => {
+            output.log(`📦 Batch ${data.batchId} - if interrupted, continue with --resume ${data.batchId}`);
         });
         
         uploader.on('batchComplete', (data) => {
-            const totalSuccess = Object.values(data.results).flat().length;
-            console.log(`\n📊 Batch completed - Success: ${totalSuccess}, Failed: ${data.failed.length}`);
+            const totalSuccess = SocialMediaUploader.countSuccesses(data.results);
+            output.log(`\n📊 Batch completed - Success: ${totalSuccess}, Failed: ${data.failed.length}`);
         });
         
         // Parse command line arguments
@@ -998,7 +6576,9 @@ Examples:
         const titleIndex = args.indexOf('--title');
         const scheduleIndex = args.indexOf('--schedule');
         const timeIndex = args.indexOf('--time');
-        const delayIndex = args.indexOf('--delay');
+        const cronIndex = args.indexOf('--cron');
+        const rruleIndex = args.indexOf('--rrule');
+        const resumeIndex = args.indexOf('--resume');
         
         // Check credentials
         if (args.includes('--check-credentials')) {
@@ -1013,6 +6593,71 @@ Examples:
             }
         }
         
+        // List registered platforms
+        if (args.includes('--list-platforms')) {
+            console.log('\n🔌 Registered platforms:');
+            getRegisteredPlatforms().forEach(platform => {
+                const enabled = config.PLATFORMS_TO_UPLOAD.includes(platform) ? ' (enabled)' : '';
+                console.log(`  ${platform}${enabled}`);
+            });
+            return;
+        }
+        
+        // Check a video against every platform's requirements
+        if (args.includes('--probe')) {
+            const probePath = args[args.indexOf('--probe') + 1];
+            if (!probePath || !fs.existsSync(probePath)) {
+                console.error(`Error: --probe needs an existing video file`);
+                process.exit(1);
+            }
+            
+            const clip = new VideoClip({
+                filePath: probePath,
+                title: titleFromFilename(probePath),
+                platforms: getRegisteredPlatforms()
+            }, config);
+            const report = clip.checkPlatformSpecs(config);
+            const media = clip.getMediaInfo();
+            
+            console.log(`\n🎞️  ${probePath}`);
+            console.log(`  Size:     ${ProgressDisplay.formatBytes(media.size)}`);
+            if (media.duration !== null) {
+                console.log(`  Duration: ${media.duration.toFixed(2)}s`);
+                console.log(`  Bitrate:  ${(media.bitrate / 1000000).toFixed(2)} Mbps`);
+            }
+            if (media.aspectRatio !== null) {
+                const rotated = media.rotation ? `, rotated ${media.rotation}°` : '';
+                console.log(`  Video:    ${media.width}x${media.height} (${describeAspectRatio(media.width, media.height)}${rotated}) ${media.videoCodec}`);
+            }
+            if (media.audioCodec) {
+                console.log(`  Audio:    ${media.audioCodec}`);
+            }
+            
+            console.log('\nPlatforms:');
+            report.eligible.forEach(platform => console.log(`  ✅ ${platform}`));
+            Object.entries(report.ineligible).forEach(([platform, problems]) => {
+                console.log(`  ❌ ${platform}: ${problems.join(', ')}`);
+            });
+            return;
+        }
+        
+        // OAuth login
+        if (args.includes('--login')) {
+            const loginIndex = args.indexOf('--login');
+            const platform = args[loginIndex + 1];
+            if (!platform) {
+                console.error('Usage: --login <platform>');
+                process.exit(1);
+            }
+            
+            const accountIndex = args.indexOf('--account');
+            const account = accountIndex !== -1 ? args[accountIndex + 1] : null;
+            
+            await uploader.login(platform, account);
+            console.log(`✅ Logged in to ${platform} - tokens saved to ${config.TOKEN_VAULT.FILE}`);
+            return;
+        }
+        
         // Show analytics
         if (args.includes('--analytics')) {
             const analytics = uploader.getAnalytics();
@@ -1038,11 +6683,19 @@ Examples:
             uploader.startScheduler();
             
             uploader.scheduler.on('jobCompleted', (job) => {
-                console.log(`✅ Scheduled job completed: ${job.clip.title}`);
+                output.log(`✅ Scheduled job completed: ${job.clip.title}`);
             });
             
             uploader.scheduler.on('jobFailed', (job) => {
-                console.log(`❌ Scheduled job failed: ${job.clip.title} - ${job.error}`);
+                output.log(`❌ Scheduled job failed: ${job.clip.title} - ${job.error}`);
+            });
+            
+            uploader.scheduler.on('jobPartial', (job) => {
+                output.log(`⚠️  Scheduled job partly failed: ${job.clip.title} - ${job.error}`);
+            });
+            
+            uploader.scheduler.on('jobRetrying', (job) => {
+                output.log(`🔁 Scheduled job will retry ${job.clip.platforms.join(', ')}: ${job.clip.title}`);
             });
             
             console.log('Scheduler running. Press Ctrl+C to stop.');
@@ -1059,6 +6712,52 @@ Examples:
             return;
         }
         
+        // Job control
+        const jobCommands = {
+            '--cancel-job': jobId => uploader.cancelJob(jobId),
+            '--pause-job': jobId => uploader.pauseJob(jobId),
+            '--resume-job': jobId => uploader.resumeJob(jobId),
+            '--reschedule': jobId => {
+                if (timeIndex === -1 || timeIndex + 1 >= args.length) {
+                    throw new Error('--reschedule needs --time <datetime>');
+                }
+                return uploader.rescheduleJob(jobId, args[timeIndex + 1]);
+            },
+            '--run-now': jobId => uploader.runJobNow(jobId)
+        };
+        
+        const jobCommand = Object.keys(jobCommands).find(flag => args.includes(flag));
+        
+        if (jobCommand) {
+            const jobId = args[args.indexOf(jobCommand) + 1];
+            
+            uploader.scheduler.on('jobCancelled', job => output.log(`🚫 Cancelled ${job.id}`));
+            uploader.scheduler.on('jobPaused', job => output.log(`⏸️  Paused ${job.id}`));
+            uploader.scheduler.on('jobResumed', job => output.log(`▶️  Resumed ${job.id}`));
+            uploader.scheduler.on('jobRescheduled', (job, previousTime) => {
+                const timeZone = job.timeZone || config.TIMEZONE;
+                output.log(`🕐 Rescheduled ${job.id}`);
+                output.log(`  from: ${formatScheduleTime(previousTime, timeZone)}`);
+                output.log(`  to:   ${formatScheduleTime(job.scheduleTime, timeZone)}`);
+            });
+            uploader.scheduler.on('jobTriggered', job => output.log(`🚀 Running ${job.id}: ${job.clip.title}`));
+            uploader.scheduler.on('jobCompleted', job => output.log(`✅ Job completed: ${job.clip.title}`));
+            uploader.scheduler.on('jobFailed', job => output.log(`❌ Job failed: ${job.clip.title} - ${job.error}`));
+            uploader.scheduler.on('jobPartial', job => output.log(`⚠️  Job partly failed: ${job.clip.title} - ${job.error}`));
+            uploader.scheduler.on('jobRetrying', job => output.log(`🔁 Job will retry ${job.clip.platforms.join(', ')}: ${job.clip.title}`));
+            
+            try {
+                if (!jobId || jobId.startsWith('--')) {
+                    throw new Error(`${jobCommand} needs a job ID (see --list-jobs)`);
+                }
+                await jobCommands[jobCommand](jobId);
+            } catch (error) {
+                console.error(`Error: ${error.message}`);
+                process.exit(1);
+            }
+            return;
+        }
+        
         // List scheduled jobs
         if (args.includes('--list-jobs')) {
             const jobs = uploader.getScheduledJobs();
@@ -1067,14 +6766,31 @@ Examples:
             } else {
                 console.log('\n📅 Scheduled Jobs:');
                 jobs.forEach(job => {
-                    console.log(`  ${job.id}: ${job.clip.title} - ${job.scheduleTime} (${job.status})`);
+                    if (job.type === 'recurring') {
+                        const recurrence = job.recurrence.cron ? `cron "${job.recurrence.cron}"` : `RRULE ${job.recurrence.rrule}`;
+                        const source = job.source.folder ? `folder ${job.source.folder}` : `queue (${job.source.queue.length} left)`;
+                        console.log(`  ${job.id}: ${recurrence} from ${source} (${job.status}, ${job.occurrences} runs)`);
+                        job.upcomingRuns.forEach(run => {
+                            console.log(`      next: ${formatScheduleTime(run, job.recurrence.timeZone || config.TIMEZONE)}`);
+                        });
+                        return;
+                    }
+                    
+                    const attempts = job.attempts > 1 ? `, attempt ${job.attempts}` : '';
+                    console.log(`  ${job.id}: ${job.clip.title} (${job.status}${attempts})`);
+                    console.log(`      at: ${formatScheduleTime(job.scheduleTime, job.timeZone || config.TIMEZONE)}`);
+                    if (job.error) {
+                        console.log(`      ${job.error}`);
+                    }
                 });
             }
             return;
         }
         
         // Parse upload options
-        const options = {};
+        const options = {
+            force: args.includes('--force')
+        };
         
         if (titleIndex !== -1 && titleIndex + 1 < args.length) {
             options.title = args[titleIndex + 1];
@@ -1094,6 +6810,29 @@ Examples:
             }
         }
         
+        if (args.includes('--thumbnail')) {
+            const thumbnailIndex = args.indexOf('--thumbnail');
+            if (thumbnailIndex + 1 < args.length) {
+                options.thumbnailPath = args[thumbnailIndex + 1];
+            }
+        }
+        
+        if (args.includes('--thumbnail-at')) {
+            const thumbnailTime = Number(args[args.indexOf('--thumbnail-at') + 1]);
+            if (!Number.isFinite(thumbnailTime) || thumbnailTime < 0) {
+                console.error('Error: --thumbnail-at needs a number of seconds');
+                process.exit(1);
+            }
+            options.thumbnailTime = thumbnailTime;
+        }
+        
+        if (args.includes('--captions')) {
+            const captionsIndex = args.indexOf('--captions');
+            if (captionsIndex + 1 < args.length) {
+                options.captions = args[captionsIndex + 1].split(',').map(file => file.trim());
+            }
+        }
+        
         if (args.includes('--privacy')) {
             const privacyIndex = args.indexOf('--privacy');
             if (privacyIndex + 1 < args.length) {
@@ -1111,7 +6850,7 @@ Examples:
         // Handle scheduling
         if (scheduleIndex !== -1) {
             if (timeIndex !== -1 && timeIndex + 1 < args.length) {
-                options.scheduleTime = new Date(args[timeIndex + 1]);
+                options.scheduleTime = args[timeIndex + 1];
             }
             
             // Platform-specific scheduling
@@ -1143,39 +6882,80 @@ Examples:
             }
         }
         
-        // Handle delay setting
-        if (delayIndex !== -1 && delayIndex + 1 < args.length) {
-            CONFIG.DELAY_BETWEEN_PLATFORMS = parseInt(args[delayIndex + 1]);
-        }
-        
         let result;
         
         try {
-            if (fileIndex !== -1 && fileIndex + 1 < args.length) {
+            if (args.includes('--preview')) {
+                const clips = fileIndex !== -1
+                    ? [new VideoClip({ filePath: args[fileIndex + 1], title: titleFromFilename(args[fileIndex + 1]), ...options }, config)]
+                    : uploader.getFolderClips(folderIndex !== -1 ? args[folderIndex + 1] : 'clips', options);
+                
+                clips.forEach(clip => {
+                    console.log(`\n📝 ${clip.title}`);
+                    Object.entries(uploader.previewPostText(clip)).forEach(([platform, preview]) => {
+                        const notes = [`${preview.length}${preview.maxLength ? `/${preview.maxLength}` : ''} chars`];
+                        if (preview.truncated) notes.push('shortened');
+                        if (preview.droppedHashtags.length > 0) notes.push(`dropped ${preview.droppedHashtags.join(' ')}`);
+                        
+                        console.log(`\n  ${platform} (${notes.join(', ')}):`);
+                        console.log(preview.text.split('\n').map(line => `    ${line}`).join('\n'));
+                    });
+                });
+                
+            } else if (resumeIndex !== -1) {
+                const batchId = args[resumeIndex + 1];
+                if (!batchId || batchId.startsWith('--')) {
+                    throw new Error(`--resume needs a batch ID (see ${config.CHECKPOINTS.DIRECTORY}/)`);
+                }
+                result = await uploader.resumeBatch(batchId, options);
+                
+            } else if (cronIndex !== -1 || rruleIndex !== -1) {
+                // Recurring schedule fed from a watch folder or a queue file
+                const queueIndex = args.indexOf('--queue');
+                // Titles come from each clip's file name
+                const clipOptions = { ...options };
+                delete clipOptions.title;
+                
+                const scheduleId = uploader.scheduleRecurring({
+                    cron: cronIndex !== -1 ? args[cronIndex + 1] : null,
+                    rrule: rruleIndex !== -1 ? args[rruleIndex + 1] : null,
+                    folder: folderIndex !== -1 ? args[folderIndex + 1] : null,
+                    queue: queueIndex !== -1 ? JSON.parse(fs.readFileSync(args[queueIndex + 1], 'utf8')) : null,
+                    options: clipOptions
+                });
+                
+                const schedule = uploader.getScheduledJobs().find(job => job.id === scheduleId);
+                console.log(`🔁 Recurring schedule ID: ${scheduleId}`);
+                console.log('Next runs:');
+                schedule.upcomingRuns.forEach(run => console.log(`  ${formatScheduleTime(run, schedule.recurrence.timeZone)}`));
+                console.log(`Saved to ${config.JOB_STORE.FILE} - run --start-scheduler to process due jobs`);
+                
+            } else if (fileIndex !== -1 && fileIndex + 1 < args.length) {
                 // Single file upload
                 const filePath = args[fileIndex + 1];
-                const title = options.title || path.basename(filePath, path.extname(filePath))
-                    .replace(/_/g, ' ')
-                    .replace(/\b\w/g, l => l.toUpperCase());
+                const title = options.title || titleFromFilename(filePath);
                 
                 if (options.scheduleTime) {
-                    console.log(`🕐 Scheduling upload: ${title} for ${options.scheduleTime}`);
-                    uploader.startScheduler();
+                    const scheduleTime = parseScheduleTime(options.scheduleTime, config.TIMEZONE);
+                    console.log(`🕐 Scheduling upload: ${title} for ${formatScheduleTime(scheduleTime, config.TIMEZONE)}`);
                     result = uploader.scheduleUpload(
-                        new VideoClip({ filePath, title, ...options }),
-                        options.scheduleTime
+                        new VideoClip({ filePath, title, ...options, scheduleTime }, config),
+                        scheduleTime
                     );
                     console.log(`Scheduled job ID: ${result}`);
-                } else if (options.platformSchedule) {
+                } else if (options.platformSchedule || scheduleIndex !== -1) {
                     console.log(`🕐 Scheduling platform-specific uploads for: ${title}`);
-                    uploader.startScheduler();
-                    const clip = new VideoClip({ filePath, title, ...options });
+                    const clip = new VideoClip({ filePath, title, ...options }, config);
                     result = uploader.scheduleUpload(clip, null, options.platformSchedule);
                     console.log(`Scheduled job IDs: ${result.join(', ')}`);
                 } else {
                     result = await uploader.uploadSingleClip(filePath, title, options);
                 }
                 
+                if (scheduleIndex !== -1) {
+                    console.log(`Saved to ${config.JOB_STORE.FILE} - run --start-scheduler to process due jobs`);
+                }
+                
             } else if (folderIndex !== -1 && folderIndex + 1 < args.length) {
                 // Folder upload
                 const folderPath = args[folderIndex + 1];
@@ -1196,10 +6976,15 @@ Examples:
                 
                 if (result.results) {
                     console.log('\n✅ Successful uploads:');
-                    Object.entries(result.results).forEach(([platform, urls]) => {
-                        if (urls.length > 0) {
-                            console.log(`  ${platform}:`);
-                            urls.forEach(url => console.log(`    - ${url}`));
+                    Object.values(result.results).forEach(clipResults => {
+                        const uploaded = Object.entries(clipResults.platforms)
+                            .filter(([, platformResult]) => platformResult.success);
+                        
+                        if (uploaded.length > 0) {
+                            console.log(`  ${clipResults.title}:`);
+                            uploaded.forEach(([platform, platformResult]) => {
+                                console.log(`    - ${platform}: ${platformResult.url}`);
+                            });
                         }
                     });
                 }
@@ -1240,7 +7025,7 @@ const result2 = await uploader.uploadSingleClip('video.mp4', 'Custom Title', {
 
 // 3. Schedule upload for specific time
 const result3 = await uploader.uploadSingleClip('video.mp4', 'Scheduled Content', {
-    scheduleTime: new Date('2025-01-15T14:30:00')
+    scheduleTime: '2025-01-15 14:30' // Read in CONFIG.TIMEZONE
 });
 
 // 4. Platform-specific scheduling
@@ -1278,4 +7063,8 @@ uploader.on('batchComplete', (data) => {
     console.log('Batch upload completed');
 });
 
+uploader.on('uploadProgress', (progress) => {
+    console.log(`${progress.platform}: ${progress.bytesSent}/${progress.totalBytes} bytes, ETA ${progress.eta}s`);
+});
+
 */
\ No newline at end of file
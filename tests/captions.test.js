@@ -0,0 +1,40 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseCaptions, formatCaptions } = require('../social_media_uploader_js');
+
+describe('parseCaptions / formatCaptions', () => {
+    const srt = '1\r\n00:00:01,000 --> 00:00:03,500\r\nHello there\r\n\r\n2\r\n00:00:04,000 --> 00:01:02,250\r\nSecond line\r\nwraps\r\n';
+
+    test('parses SRT cues into milliseconds', () => {
+        assert.deepEqual(parseCaptions(srt, 'srt'), [
+            { start: 1000, end: 3500, text: 'Hello there' },
+            { start: 4000, end: 62250, text: 'Second line\nwraps' }
+        ]);
+    });
+
+    test('parses WebVTT with a header, notes, cue ids and short timestamps', () => {
+        const vtt = 'WEBVTT - demo\nKind: captions\n\nNOTE written by hand\n\nintro\n00:01.000 --> 00:02.000 align:start\n<v Sam>Hi</v>\n';
+
+        assert.deepEqual(parseCaptions(vtt, 'vtt'), [{ start: 1000, end: 2000, text: '<v Sam>Hi</v>' }]);
+    });
+
+    test('reports the line of a broken cue', () => {
+        assert.throws(() => parseCaptions('1\n00:00:05,000 --> 00:00:01,000\nBackwards\n', 'srt'), /line 2: cue ends before it starts/);
+        assert.throws(() => parseCaptions('1\n00:00:01,000 -> 00:00:02,000\nTypo\n', 'srt'), /line 2: expected a cue timing/);
+        assert.throws(() => parseCaptions('1\n00:00:01,000 --> 00:00:02,000\nNo header\n', 'vtt'), /must start with "WEBVTT"/);
+        assert.throws(() => parseCaptions('\n\n', 'srt'), /no cues found/);
+    });
+
+    test('formats cues as WebVTT and as SRT without WebVTT-only tags', () => {
+        const cues = [{ start: 3723004, end: 3724500, text: '<v Sam>Hi</v> <c.loud>there</c>' }];
+
+        assert.equal(formatCaptions(cues, 'vtt'), 'WEBVTT\n\n01:02:03.004 --> 01:02:04.500\n<v Sam>Hi</v> <c.loud>there</c>\n');
+        assert.equal(formatCaptions(cues, 'srt'), '1\n01:02:03,004 --> 01:02:04,500\nHi there\n');
+    });
+
+    test('round-trips SRT through WebVTT', () => {
+        const cues = parseCaptions(srt, 'srt');
+        assert.deepEqual(parseCaptions(formatCaptions(cues, 'vtt'), 'vtt'), cues);
+    });
+});
@@ -0,0 +1,91 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { VideoClip } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, createUploader, writeMp4 } = require('./helpers');
+
+describe('Resumable batches', () => {
+    const directory = useTempDir();
+    silenceLogger();
+
+    let seconds = 50;
+    const createClips = (config, count, platforms) => Array.from({ length: count }, (_, index) => {
+        const filePath = path.join(directory, `batch${seconds}.mp4`);
+        writeMp4(filePath, { seconds: seconds++, width: 1080, height: 1920 });
+        return new VideoClip({ filePath, title: `Clip ${index + 1}`, platforms }, config);
+    });
+
+    const readManifest = (config, batchId) =>
+        JSON.parse(fs.readFileSync(path.join(config.CHECKPOINTS.DIRECTORY, `${batchId}.json`), 'utf8'));
+
+    test('records finished uploads and leaves failed ones out', async () => {
+        const config = testConfig();
+        const uploader = createUploader(config, (platform, clip) => {
+            if (platform === 'tiktok' && clip.title === 'Clip 2') {
+                throw Object.assign(new Error('bad request'), { status: 400 });
+            }
+            return `https://${platform}.example/${clip.title}`;
+        });
+        const clips = createClips(config, 2, ['youtube', 'tiktok']);
+
+        const result = await uploader.uploadClips(clips);
+
+        const manifest = readManifest(config, result.batchId);
+        assert.equal(manifest.status, 'completed');
+        assert.deepEqual(manifest.clips.map(entry => Object.keys(entry.completed).sort()), [['tiktok', 'youtube'], ['youtube']]);
+        assert.equal(manifest.clips[0].completed.youtube.url, 'https://youtube.example/Clip 1');
+        assert.equal(manifest.clips[1].clip.title, 'Clip 2');
+    });
+
+    test('resumes a batch with only the uploads that had not finished', async () => {
+        const config = testConfig();
+        let failTikTok = true;
+        const uploads = [];
+        const uploader = createUploader(config, (platform, clip) => {
+            if (platform === 'tiktok' && failTikTok) {
+                throw Object.assign(new Error('bad request'), { status: 400 });
+            }
+            uploads.push(`${clip.title} -> ${platform}`);
+            return `https://${platform}.example/${clip.title}`;
+        });
+        const clips = createClips(config, 2, ['youtube', 'tiktok']);
+        const { batchId } = await uploader.uploadClips(clips);
+
+        failTikTok = false;
+        uploads.length = 0;
+        const result = await uploader.resumeBatch(batchId);
+
+        assert.equal(result.batchId, batchId);
+        assert.deepEqual(uploads.sort(), ['Clip 1 -> tiktok', 'Clip 2 -> tiktok']);
+        const platforms = result.results[clips[0].filePath].platforms;
+        assert.equal(platforms.youtube.resumed, true);
+        assert.equal(platforms.youtube.url, 'https://youtube.example/Clip 1');
+        assert.equal(platforms.tiktok.success, true);
+        assert.deepEqual(result.failed, []);
+        assert.equal(Object.keys(readManifest(config, batchId).clips[1].completed).length, 2);
+    });
+
+    test('keeps the checkpoint in memory when saving is turned off', async () => {
+        const config = testConfig();
+        config.CHECKPOINTS.DIRECTORY = 'unsaved-batches';
+        const uploader = createUploader(config);
+
+        const result = await uploader.uploadClips(createClips(config, 1, ['youtube']), { saveCheckpoint: false });
+
+        assert.equal(result.status, 'completed');
+        assert.match(result.batchId, /^batch_/);
+        assert.equal(fs.existsSync('unsaved-batches'), false);
+    });
+
+    test('reports a batch it has no checkpoint for', async () => {
+        const uploader = createUploader(testConfig());
+
+        await assert.rejects(uploader.resumeBatch('batch_missing'), /No checkpoint for batch batch_missing in batches/);
+
+        // Batch IDs can't reach outside the checkpoint directory
+        fs.writeFileSync('outside.json', JSON.stringify({ id: 'outside', clips: [] }));
+        await assert.rejects(uploader.resumeBatch('../outside'), /No checkpoint for batch \.\.\/outside/);
+    });
+});
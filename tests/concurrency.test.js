@@ -0,0 +1,95 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { SocialMediaUploader, VideoClip } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, createUploader, writeMp4 } = require('./helpers');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Concurrent uploads', () => {
+    const directory = useTempDir();
+    silenceLogger();
+
+    test('keeps within the global and per-platform limits', async () => {
+        const config = testConfig();
+        config.CONCURRENCY = { MAX_UPLOADS: 3, PER_PLATFORM: 1, PLATFORMS: { youtube: 2 } };
+
+        const active = { total: 0 };
+        const peak = { total: 0 };
+        const uploader = createUploader(config, async platform => {
+            active.total++;
+            active[platform] = (active[platform] || 0) + 1;
+            peak.total = Math.max(peak.total, active.total);
+            peak[platform] = Math.max(peak[platform] || 0, active[platform]);
+
+            await delay(20);
+
+            active.total--;
+            active[platform]--;
+            return `https://${platform}.example/post`;
+        });
+
+        const clips = [1, 2, 3, 4].map(index => {
+            const filePath = path.join(directory, `clip${index}.mp4`);
+            writeMp4(filePath, { seconds: 20 + index, width: 1080, height: 1920 });
+            return new VideoClip({ filePath, title: `Clip ${index}`, platforms: ['youtube', 'tiktok', 'instagram'] }, config);
+        });
+
+        const result = await uploader.uploadClips(clips, { saveCheckpoint: false });
+
+        assert.deepEqual(result.failed, []);
+        assert.deepEqual(peak, { total: 3, youtube: 2, tiktok: 1, instagram: 1 });
+    });
+
+    test('shares one token refresh between uploads rejected at the same time', async () => {
+        const youtube = new SocialMediaUploader(testConfig()).uploaders.youtube;
+        youtube.setTokens({ accessToken: 'expired', refreshToken: 'refresh' });
+
+        let refreshes = 0;
+        youtube.refreshTokens = async () => {
+            refreshes++;
+            await delay(20);
+            youtube.setTokens({ accessToken: `fresh-${refreshes}`, refreshToken: 'rotated' });
+        };
+        youtube.upload = async clip => {
+            const token = youtube.accessToken;
+            await delay(5);
+            if (token === 'expired') {
+                throw Object.assign(new Error('Invalid Credentials'), { status: 401 });
+            }
+            return `https://youtu.be/${clip.title}?token=${token}`;
+        };
+
+        const urls = await Promise.all(['a', 'b', 'c'].map(title => youtube.uploadWithFreshToken({ title })));
+
+        assert.equal(refreshes, 1);
+        assert.deepEqual(urls, ['a', 'b', 'c'].map(title => `https://youtu.be/${title}?token=fresh-1`));
+    });
+
+    test('refreshes a token about to expire once for concurrent uploads', async () => {
+        const config = testConfig();
+        const tiktok = new SocialMediaUploader(config).uploaders.tiktok;
+        tiktok.setTokens({
+            accessToken: 'old',
+            refreshToken: 'refresh',
+            expiresAt: new Date(Date.now() + 1000).toISOString()
+        });
+
+        let refreshes = 0;
+        tiktok.refreshTokens = async () => {
+            refreshes++;
+            await delay(20);
+            tiktok.setTokens({
+                accessToken: 'new',
+                refreshToken: 'refresh',
+                expiresAt: new Date(Date.now() + 3600 * 1000).toISOString()
+            });
+        };
+
+        await Promise.all([tiktok.ensureFreshToken(), tiktok.ensureFreshToken()]);
+
+        assert.equal(refreshes, 1);
+        assert.equal(tiktok.accessToken, 'new');
+    });
+});
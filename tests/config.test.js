@@ -0,0 +1,76 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { CONFIG, ConfigError, loadConfig, parseConfigOverride } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger } = require('./helpers');
+
+describe('loadConfig', () => {
+    useTempDir();
+    silenceLogger();
+
+    fs.writeFileSync('config.json', JSON.stringify({
+        DEFAULT_PRIVACY: 'unlisted',
+        JOB_STORE: { MAX_ATTEMPTS: 5, RETENTION_HOURS: 12 },
+        YOUTUBE: { CLIENT_ID: 'from-file' }
+    }));
+
+    test('layers the config file, SMU_* variables and --set overrides over the defaults', () => {
+        const config = loadConfig({
+            configPath: 'config.json',
+            env: { SMU_JOB_STORE_MAX_ATTEMPTS: '7', SMU_PLATFORMS_TO_UPLOAD: 'youtube, tiktok', SMU_DEFAULT_PRIVACY: 'private' },
+            overrides: [parseConfigOverride('DEFAULT_PRIVACY=followers')]
+        });
+
+        assert.equal(config.DEFAULT_PRIVACY, 'followers');
+        assert.equal(config.JOB_STORE.MAX_ATTEMPTS, 7);
+        assert.equal(config.JOB_STORE.RETENTION_HOURS, 12);
+        assert.equal(config.JOB_STORE.FILE, CONFIG.JOB_STORE.FILE);
+        assert.deepEqual(config.PLATFORMS_TO_UPLOAD, ['youtube', 'tiktok']);
+        assert.equal(config.YOUTUBE.CLIENT_ID, 'from-file');
+        assert.equal(config.YOUTUBE.CLIENT_SECRET, CONFIG.YOUTUBE.CLIENT_SECRET);
+    });
+
+    test('reads YAML config files', () => {
+        fs.writeFileSync('config.yaml', 'TIMEZONE: Asia/Tokyo\nTIKTOK:\n  CHUNK_SIZE: 20000000\n');
+
+        const config = loadConfig({ configPath: 'config.yaml', env: {} });
+
+        assert.equal(config.TIMEZONE, 'Asia/Tokyo');
+        assert.equal(config.TIKTOK.CHUNK_SIZE, 20000000);
+    });
+
+    test('coerces --set values with the schema type', () => {
+        assert.deepEqual(parseConfigOverride('JOB_STORE.MAX_ATTEMPTS=4'), { JOB_STORE: { MAX_ATTEMPTS: 4 } });
+        assert.deepEqual(parseConfigOverride('STAGGER_UPLOADS=no'), { STAGGER_UPLOADS: false });
+        assert.deepEqual(parseConfigOverride('PLUGINS.DIRECTORY=null'), { PLUGINS: { DIRECTORY: null } });
+        assert.throws(() => parseConfigOverride('TIMEZONE'), /Invalid --set "TIMEZONE"/);
+    });
+
+    test('lists every problem with the source of each value', () => {
+        fs.writeFileSync('bad.json', JSON.stringify({ DEFAULT_PRIVACY: 'secret', Timezone: 'UTC' }));
+
+        const error = (() => {
+            try {
+                loadConfig({ configPath: 'bad.json', env: { SMU_JOB_STORE_MAX_ATTEMPTS: 'many' } });
+            } catch (err) {
+                return err;
+            }
+        })();
+
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.errors, [
+            'JOB_STORE.MAX_ATTEMPTS must be a number, got string "many" (from SMU_JOB_STORE_MAX_ATTEMPTS)',
+            'DEFAULT_PRIVACY must be one of public, unlisted, followers, private, got string "secret" (from bad.json)',
+            'Unknown setting Timezone (did you mean TIMEZONE?) (from bad.json)'
+        ]);
+    });
+
+    test('reports unreadable config files', () => {
+        fs.writeFileSync('broken.json', '{ "TIMEZONE": ');
+
+        assert.throws(() => loadConfig({ configPath: 'missing.json', env: {} }), /Config file not found: missing\.json/);
+        assert.throws(() => loadConfig({ configPath: 'broken.json', env: {} }), /Could not parse broken\.json/);
+        assert.throws(() => loadConfig({ configPath: 'config.ini', env: {} }), ConfigError);
+    });
+});
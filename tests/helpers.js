@@ -0,0 +1,158 @@
+// Shared fixtures for the node:test suites in this directory
+const { after } = require('node:test');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { CONFIG, Logger, SocialMediaUploader } = require('../social_media_uploader_js');
+
+// Runs the rest of the file in a fresh temporary directory, so the state
+// files the uploader keeps next to itself don't land in the repo
+function useTempDir(prefix = 'smu-test-') {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), prefix));
+    const previous = process.cwd();
+    process.chdir(directory);
+
+    after(() => {
+        process.chdir(previous);
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    return directory;
+}
+
+// Keeps log lines out of the test report and uploader.log
+function silenceLogger() {
+    Logger.info = () => {};
+    Logger.warning = () => {};
+    Logger.error = () => {};
+}
+
+// A copy of the default configuration the test can change freely
+function testConfig() {
+    return JSON.parse(JSON.stringify(CONFIG));
+}
+
+// An uploader whose platforms "upload" by calling upload(platform, clip),
+// which returns the post URL or throws. Batches run without delays.
+function createUploader(config = testConfig(), upload = platform => `https://${platform}.example/post`) {
+    config.STAGGER_UPLOADS = false;
+    config.RANDOM_DELAY = false;
+    config.RETRY.BASE_DELAY_SECONDS = 0;
+    config.RETRY.MAX_DELAY_SECONDS = 0;
+
+    const uploader = new SocialMediaUploader(config);
+    for (const [platform, platformUploader] of Object.entries(uploader.uploaders)) {
+        platformUploader.authenticated = true;
+        platformUploader.uploadWithFreshToken = async clip => upload(platform, clip);
+    }
+
+    return uploader;
+}
+
+// ==========================================
+// HTTP STAND-INS
+// ==========================================
+
+// Serves a platform API locally until the calling suite ends. The handler
+// gets the request with its body read into req.body. Resolves to the base URL.
+async function startServer(handler) {
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            req.body = Buffer.concat(chunks);
+            handler(req, res);
+        });
+    });
+
+    // Registered before the first await, so the server lives as long as the
+    // suite that started it
+    after(() => {
+        server.closeAllConnections();
+        server.close();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+function sendJson(res, status, data, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(data));
+}
+
+// ==========================================
+// MP4 FIXTURES
+// ==========================================
+
+function box(type, ...parts) {
+    const body = Buffer.concat(parts);
+    const header = Buffer.alloc(8);
+    header.writeUInt32BE(8 + body.length);
+    header.write(type, 4, 'latin1');
+    return Buffer.concat([header, body]);
+}
+
+function uint32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32BE(value >>> 0);
+    return buffer;
+}
+
+function int32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32BE(value);
+    return buffer;
+}
+
+const zeros = length => Buffer.alloc(length);
+
+// mvhd and mdhd (version 0): flags, creation/modification times, timescale, duration
+function durationBox(type, timescale, duration) {
+    return box(type, zeros(4), zeros(8), uint32(timescale), uint32(duration), zeros(type === 'mvhd' ? 80 : 4));
+}
+
+function tkhd(width, height, rotation = 0) {
+    const [a, b, c, d] = rotation === 90 ? [0, 1, -1, 0] : [1, 0, 0, 1];
+    const matrix = Buffer.concat([
+        int32(a * 65536), int32(b * 65536), zeros(4),
+        int32(c * 65536), int32(d * 65536), zeros(4),
+        zeros(8), int32(0x40000000)
+    ]);
+    return box('tkhd', zeros(4), zeros(20), zeros(8), zeros(8), matrix, uint32(width * 65536), uint32(height * 65536));
+}
+
+function trak({ handler, codec, timescale, duration, width = 0, height = 0, rotation = 0, withTkhd = true }) {
+    const entry = box(codec, zeros(6), Buffer.from([0, 1]), zeros(16),
+        Buffer.from([width >> 8, width & 255, height >> 8, height & 255]), zeros(50));
+    const stsd = box('stsd', zeros(4), uint32(1), entry);
+    const hdlr = box('hdlr', zeros(8), Buffer.from(handler, 'latin1'), zeros(12), Buffer.from('x\0'));
+    const mdia = box('mdia', durationBox('mdhd', timescale, duration), hdlr, box('minf', box('stbl', stsd)));
+
+    return box('trak', ...(withTkhd ? [tkhd(width, height, rotation)] : []), mdia);
+}
+
+function writeMp4(filePath, { seconds, width, height, rotation = 0, moovFirst = false, emptyMvhd = false, videoCodec = 'avc1' }) {
+    const moov = box('moov',
+        durationBox('mvhd', 1000, emptyMvhd ? 0 : seconds * 1000),
+        trak({ handler: 'vide', codec: videoCodec, timescale: 90000, duration: seconds * 90000, width, height, rotation }),
+        trak({ handler: 'soun', codec: 'mp4a', timescale: 48000, duration: seconds * 48000 }));
+    const ftyp = box('ftyp', Buffer.from('isom'), zeros(4), Buffer.from('isomiso2'));
+    const mdat = box('mdat', zeros(2000));
+
+    fs.writeFileSync(filePath, Buffer.concat(moovFirst ? [ftyp, moov, mdat] : [ftyp, mdat, moov]));
+}
+
+module.exports = {
+    useTempDir,
+    silenceLogger,
+    testConfig,
+    createUploader,
+    startServer,
+    sendJson,
+    box,
+    trak,
+    writeMp4
+};
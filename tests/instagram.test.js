@@ -0,0 +1,114 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { SocialMediaUploader, VideoClip } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, startServer, sendJson } = require('./helpers');
+
+const FILE_SIZE = 5000;
+
+describe('Instagram Reels upload', () => {
+    const directory = useTempDir();
+    silenceLogger();
+
+    const filePath = path.join(directory, 'reel.mp4');
+    fs.writeFileSync(filePath, Buffer.alloc(FILE_SIZE, 1));
+
+    // statuses are returned by successive container polls; the last one repeats
+    let graph;
+    beforeEach(() => {
+        graph = { statuses: ['FINISHED'], polls: 0, container: null, rupload: null, published: null };
+    });
+
+    const serverUrl = startServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/v18.0/1784/media') {
+            graph.container = new URLSearchParams(req.body.toString());
+            return sendJson(res, 200, { id: 'C1' });
+        }
+        if (url.pathname === '/ig-api-upload/v18.0/C1') {
+            graph.rupload = { headers: req.headers, size: req.body.length };
+            return sendJson(res, 200, { success: true });
+        }
+        if (url.pathname === '/v18.0/C1') {
+            const status = graph.statuses[Math.min(graph.polls++, graph.statuses.length - 1)];
+            return sendJson(res, 200, { status_code: status, status: status === 'ERROR' ? 'Unsupported codec' : '' });
+        }
+        if (url.pathname === '/v18.0/1784/media_publish') {
+            graph.published = new URLSearchParams(req.body.toString());
+            return sendJson(res, 200, { id: 'M1' });
+        }
+        if (url.pathname === '/v18.0/M1') {
+            return sendJson(res, 200, { permalink: 'https://www.instagram.com/reel/abc/' });
+        }
+        sendJson(res, 404, { error: { message: 'unknown endpoint', code: 100 } });
+    });
+
+    const createInstagram = async (settings = {}) => {
+        const baseUrl = await serverUrl;
+        const config = testConfig();
+        Object.assign(config.INSTAGRAM, {
+            BUSINESS_ACCOUNT_ID: '1784',
+            GRAPH_BASE_URL: baseUrl,
+            RUPLOAD_BASE_URL: baseUrl,
+            STATUS_POLL_INTERVAL_MS: 5
+        }, settings);
+
+        const instagram = new SocialMediaUploader(config).uploaders.instagram;
+        instagram.authenticated = true;
+        instagram.accessToken = 'ig-token';
+        return { instagram, config, clip: new VideoClip({ filePath, title: 'Reel', description: 'Watch this' }, config) };
+    };
+
+    test('uploads through rupload and publishes once the container is FINISHED', async () => {
+        const { instagram, clip } = await createInstagram();
+        graph.statuses = ['IN_PROGRESS', 'IN_PROGRESS', 'FINISHED'];
+
+        const url = await instagram.upload(clip);
+
+        assert.equal(url, 'https://www.instagram.com/reel/abc/');
+        assert.equal(graph.container.get('media_type'), 'REELS');
+        assert.equal(graph.container.get('upload_type'), 'resumable');
+        assert.match(graph.container.get('caption'), /Watch this/);
+        assert.equal(graph.rupload.headers.authorization, 'OAuth ig-token');
+        assert.equal(graph.rupload.headers.offset, '0');
+        assert.equal(graph.rupload.headers.file_size, String(FILE_SIZE));
+        assert.equal(graph.rupload.size, FILE_SIZE);
+        assert.equal(graph.polls, 3);
+        assert.equal(graph.published.get('creation_id'), 'C1');
+    });
+
+    test('fails without retrying when the container reports ERROR', async () => {
+        const { instagram, clip } = await createInstagram();
+        graph.statuses = ['IN_PROGRESS', 'ERROR'];
+
+        const error = await instagram.upload(clip).catch(err => err);
+
+        assert.equal(error.code, 'CONTAINER_ERROR');
+        assert.match(error.message, /Unsupported codec/);
+        assert.equal(instagram.classifyError(error).category, 'non_retryable');
+        assert.equal(graph.published, null);
+    });
+
+    test('gives up on a container that never finishes and marks it retryable', async () => {
+        const { instagram, clip } = await createInstagram({ STATUS_TIMEOUT_MS: 30 });
+        graph.statuses = ['IN_PROGRESS'];
+
+        const error = await instagram.upload(clip).catch(err => err);
+
+        assert.equal(error.code, 'CONTAINER_TIMEOUT');
+        assert.match(error.message, /C1/);
+        assert.equal(instagram.classifyError(error).category, 'retryable');
+        assert.equal(graph.published, null);
+    });
+
+    test('leaves the container unpublished when AUTO_PUBLISH is off', async () => {
+        const { instagram, config, clip } = await createInstagram();
+        config.AUTO_PUBLISH = false;
+
+        assert.equal(await instagram.upload(clip), 'instagram:container:C1');
+        assert.equal(graph.published, null);
+    });
+});
@@ -0,0 +1,126 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { UploadScheduler, VideoClip, JobStateError } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, writeMp4 } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Job control', () => {
+    useTempDir();
+    silenceLogger();
+    writeMp4('clip.mp4', { seconds: 30, width: 1080, height: 1920 });
+
+    let config;
+    let scheduler;
+    let uploads;
+    let file = 0;
+    beforeEach(() => {
+        config = testConfig();
+        config.JOB_STORE.FILE = `jobs-${file++}.json`;
+        uploads = [];
+        scheduler = new UploadScheduler(config, {
+            uploadClips: async ([clip]) => {
+                uploads.push(clip.title);
+                return { status: 'success', results: { [clip.filePath]: { platforms: { youtube: { success: true } } } }, failed: [] };
+            }
+        });
+    });
+
+    const scheduleClip = (title = 'Clip') => {
+        const clip = new VideoClip({ filePath: 'clip.mp4', title, platforms: ['youtube'] }, config);
+        return scheduler.scheduleUpload(clip, new Date(Date.now() + HOUR));
+    };
+
+    const statusOf = jobId => scheduler.getScheduledJobs().find(job => job.id === jobId).status;
+
+    test('pauses and resumes a scheduled job', () => {
+        const jobId = scheduleClip();
+        const events = [];
+        scheduler.on('jobPaused', job => events.push(`paused ${job.status}`));
+        scheduler.on('jobResumed', job => events.push(`resumed ${job.status}`));
+
+        scheduler.pauseJob(jobId);
+        assert.equal(statusOf(jobId), 'paused');
+
+        scheduler.resumeJob(jobId);
+        assert.equal(statusOf(jobId), 'scheduled');
+        assert.deepEqual(events, ['paused paused', 'resumed scheduled']);
+    });
+
+    test('cancels a job for good', () => {
+        const jobId = scheduleClip();
+
+        const job = scheduler.cancelJob(jobId);
+
+        assert.equal(job.status, 'cancelled');
+        assert.ok(job.finishedAt);
+        assert.throws(() => scheduler.resumeJob(jobId), error => error instanceof JobStateError &&
+            error.action === 'resume' && error.status === 'cancelled' &&
+            error.message === `Cannot resume job ${jobId}: it is cancelled`);
+    });
+
+    test('refuses actions that do not apply to the current status', async () => {
+        const jobId = scheduleClip();
+
+        assert.throws(() => scheduler.resumeJob(jobId), /Cannot resume job .*: it is scheduled/);
+
+        scheduler.store.update(jobs => {
+            jobs[0].status = 'executing';
+        });
+        const actions = [
+            () => scheduler.cancelJob(jobId),
+            () => scheduler.pauseJob(jobId),
+            () => scheduler.rescheduleJob(jobId, new Date(Date.now() + 2 * HOUR))
+        ];
+        actions.forEach(action => {
+            assert.throws(action, error => error instanceof JobStateError && error.status === 'executing');
+        });
+        await assert.rejects(scheduler.runJobNow(jobId), JobStateError);
+
+        assert.throws(() => scheduler.cancelJob('job_missing'), /Job not found: job_missing/);
+    });
+
+    test('reschedules to a future time only', () => {
+        const jobId = scheduleClip();
+        const later = new Date(Date.now() + 3 * HOUR);
+        let previous = null;
+        scheduler.on('jobRescheduled', (job, previousTime) => {
+            previous = previousTime;
+        });
+
+        const job = scheduler.rescheduleJob(jobId, later);
+
+        assert.equal(job.scheduleTime.toISOString(), later.toISOString());
+        assert.ok(previous < later);
+        assert.throws(() => scheduler.rescheduleJob(jobId, new Date(Date.now() - HOUR)), /is in the past - use run-now/);
+        assert.equal(scheduler.getScheduledJobs()[0].scheduleTime.toISOString(), later.toISOString());
+    });
+
+    test('runs a paused job now', async () => {
+        const jobId = scheduleClip('Paused');
+        scheduler.pauseJob(jobId);
+
+        const job = await scheduler.runJobNow(jobId);
+
+        assert.equal(job.attempts, 1);
+        assert.deepEqual(uploads, ['Paused']);
+        assert.equal(statusOf(jobId), 'completed');
+        await assert.rejects(scheduler.runJobNow(jobId), JobStateError);
+    });
+
+    test('leaves paused jobs alone when checking for due jobs', async () => {
+        const paused = scheduleClip('Paused');
+        const due = scheduleClip('Due');
+        scheduler.store.update(jobs => jobs.forEach(job => {
+            job.scheduleTime = new Date(Date.now() - 1000).toISOString();
+        }));
+        scheduler.pauseJob(paused);
+
+        await scheduler.checkScheduledJobs();
+
+        assert.deepEqual(uploads, ['Due']);
+        assert.equal(statusOf(paused), 'paused');
+        assert.equal(statusOf(due), 'completed');
+    });
+});
@@ -0,0 +1,163 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+
+const { UploadScheduler, VideoClip } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, writeMp4 } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Persistent job store', () => {
+    useTempDir();
+    silenceLogger();
+    writeMp4('clip.mp4', { seconds: 30, width: 1080, height: 1920 });
+
+    let config;
+    let file = 0;
+    beforeEach(() => {
+        config = testConfig();
+        config.JOB_STORE.FILE = `jobs-${file++}.json`;
+        config.JOB_STORE.MAX_ATTEMPTS = 2;
+    });
+
+    // uploadClips reports each platform with the given outcome
+    const fakeUploader = outcomes => ({
+        uploadClips: async ([clip]) => {
+            const platforms = {};
+            const failed = [];
+            clip.platforms.forEach(platform => {
+                const outcome = outcomes[platform] ? { retryAt: null, ...outcomes[platform] } : { success: true };
+                platforms[platform] = outcome;
+                if (!outcome.success) failed.push(`${clip.title} -> ${platform}: ${outcome.error}`);
+            });
+            return { status: failed.length ? 'partial' : 'success', results: { [clip.filePath]: { platforms } }, failed };
+        }
+    });
+
+    const scheduleClip = (scheduler, platforms, scheduleTime = new Date(Date.now() + HOUR)) => {
+        const clip = new VideoClip({ filePath: 'clip.mp4', title: 'Clip', platforms }, config);
+        return scheduler.scheduleUpload(clip, scheduleTime);
+    };
+
+    const storedJob = jobId => new UploadScheduler(config).getScheduledJobs().find(job => job.id === jobId);
+
+    test('keeps scheduled jobs for the next scheduler process', () => {
+        const jobId = scheduleClip(new UploadScheduler(config), ['youtube']);
+
+        const job = storedJob(jobId);
+        assert.equal(job.status, 'scheduled');
+        assert.ok(job.clip instanceof VideoClip);
+        assert.deepEqual(job.clip.platforms, ['youtube']);
+        assert.equal(JSON.parse(fs.readFileSync(config.JOB_STORE.FILE, 'utf8')).version, 1);
+    });
+
+    test('lets only one of two schedulers claim a due job', async () => {
+        const first = new UploadScheduler(config);
+        const second = new UploadScheduler(config);
+        scheduleClip(first, ['youtube'], new Date(Date.now() - 1000));
+
+        const [a, b] = await Promise.all([first.claimDueJobs(), second.claimDueJobs()]);
+
+        assert.equal(a.length + b.length, 1);
+        const [claimed] = [...a, ...b];
+        assert.equal(claimed.status, 'executing');
+        assert.equal(claimed.attempts, 1);
+        assert.deepEqual(claimed.owner, { pid: process.pid, host: os.hostname() });
+        assert.equal(fs.existsSync(`${config.JOB_STORE.FILE}.lock`), false);
+    });
+
+    test('requeues jobs whose scheduler went away and fails them after MAX_ATTEMPTS', async () => {
+        const scheduler = new UploadScheduler(config);
+        const requeued = scheduleClip(scheduler, ['youtube']);
+        const exhausted = scheduleClip(scheduler, ['tiktok']);
+        const stale = new Date(Date.now() - 2 * HOUR).toISOString();
+        scheduler.store.update(jobs => jobs.forEach(job => {
+            Object.assign(job, { status: 'executing', owner: { pid: 1, host: 'elsewhere' }, heartbeatAt: stale });
+            job.attempts = job.id === exhausted ? 2 : 1;
+        }));
+
+        const recovered = await scheduler.recoverStaleJobs();
+
+        assert.equal(recovered.length, 2);
+        assert.equal(storedJob(requeued).status, 'scheduled');
+        assert.equal(storedJob(exhausted).status, 'failed');
+        assert.match(storedJob(exhausted).error, /Interrupted 2 times/);
+    });
+
+    test('completes a job once every platform is published', async () => {
+        const scheduler = new UploadScheduler(config, fakeUploader({}));
+        const jobId = scheduleClip(scheduler, ['youtube', 'tiktok']);
+
+        await scheduler.runJobNow(jobId);
+
+        const job = storedJob(jobId);
+        assert.equal(job.status, 'completed');
+        assert.deepEqual(job.published, ['youtube', 'tiktok']);
+        assert.equal(job.owner, null);
+    });
+
+    test('retries only the platforms that failed with a retryable error', async () => {
+        const retryAt = new Date(Date.now() + 2 * HOUR).toISOString();
+        const scheduler = new UploadScheduler(config, fakeUploader({
+            tiktok: { success: false, error: 'rate limited', errorCategory: 'rate_limited', retryAt }
+        }));
+        const events = [];
+        scheduler.on('jobRetrying', () => events.push('jobRetrying'));
+        const jobId = scheduleClip(scheduler, ['youtube', 'tiktok']);
+
+        await scheduler.runJobNow(jobId);
+
+        const job = storedJob(jobId);
+        assert.deepEqual(events, ['jobRetrying']);
+        assert.equal(job.status, 'scheduled');
+        assert.deepEqual(job.clip.platforms, ['tiktok']);
+        assert.deepEqual(job.published, ['youtube']);
+        assert.equal(job.scheduleTime.toISOString(), retryAt);
+    });
+
+    test('ends as partial when retries run out and something was published', async () => {
+        const scheduler = new UploadScheduler(config, fakeUploader({
+            tiktok: { success: false, error: 'timeout', errorCategory: 'retryable' }
+        }));
+        const jobId = scheduleClip(scheduler, ['youtube', 'tiktok']);
+
+        await scheduler.runJobNow(jobId);
+        await scheduler.runJobNow(jobId);
+
+        const job = storedJob(jobId);
+        assert.equal(job.status, 'partial');
+        assert.equal(job.attempts, 2);
+        assert.deepEqual(job.published, ['youtube']);
+        assert.equal(job.error, 'Clip -> tiktok: timeout');
+    });
+
+    test('fails at once on a non-retryable error with nothing published', async () => {
+        const scheduler = new UploadScheduler(config, fakeUploader({
+            youtube: { success: false, error: 'forbidden', errorCategory: 'non_retryable' }
+        }));
+        const jobId = scheduleClip(scheduler, ['youtube']);
+
+        await scheduler.runJobNow(jobId);
+
+        const job = storedJob(jobId);
+        assert.equal(job.status, 'failed');
+        assert.equal(job.attempts, 1);
+        assert.deepEqual(job.published, []);
+    });
+
+    test('prunes finished jobs older than RETENTION_HOURS', async () => {
+        const scheduler = new UploadScheduler(config);
+        const old = scheduleClip(scheduler, ['youtube']);
+        const recent = scheduleClip(scheduler, ['youtube']);
+        const pending = scheduleClip(scheduler, ['youtube']);
+        scheduler.store.update(jobs => jobs.forEach(job => {
+            if (job.id === pending) return;
+            job.status = 'completed';
+            job.finishedAt = new Date(Date.now() - (job.id === old ? config.JOB_STORE.RETENTION_HOURS + 1 : 0) * HOUR).toISOString();
+        }));
+
+        assert.equal(await scheduler.pruneFinishedJobs(), 1);
+        assert.deepEqual(scheduler.getScheduledJobs().map(job => job.id).sort(), [recent, pending].sort());
+    });
+});
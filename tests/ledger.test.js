@@ -0,0 +1,102 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const { VideoClip } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, createUploader, writeMp4 } = require('./helpers');
+
+describe('Duplicate upload detection', () => {
+    const directory = useTempDir();
+    silenceLogger();
+
+    let config;
+    let uploads;
+    let uploader;
+    let file = 0;
+    beforeEach(() => {
+        config = testConfig();
+        config.UPLOAD_LEDGER.FILE = `ledger-${file++}.json`;
+        uploads = [];
+        uploader = createUploader(config, (platform, clip) => {
+            uploads.push(`${clip.title} -> ${platform}`);
+            return `https://${platform}.example/${uploads.length}`;
+        });
+    });
+
+    // The same content under two names
+    const createCopies = (...names) => {
+        const [first, ...copies] = names.map(name => path.join(directory, `${file}-${name}`));
+        writeMp4(first, { seconds: 30, width: 1080, height: 1920 });
+        copies.forEach(copy => fs.copyFileSync(first, copy));
+        return [first, ...copies];
+    };
+
+    const clipFor = (filePath, title, platforms = ['youtube']) => new VideoClip({ filePath, title, platforms }, config);
+
+    test('skips a renamed copy of a file already uploaded to the platform', async () => {
+        const [original, renamed] = createCopies('original.mp4', 'renamed.mp4');
+        const skipped = [];
+        uploader.on('uploadSkipped', event => skipped.push(event));
+
+        await uploader.uploadClips([clipFor(original, 'Original')]);
+        const result = await uploader.uploadClips([clipFor(renamed, 'Renamed', ['youtube', 'tiktok'])]);
+
+        assert.deepEqual(uploads, ['Original -> youtube', 'Renamed -> tiktok']);
+        const youtube = result.results[renamed].platforms.youtube;
+        assert.equal(youtube.skipped, true);
+        assert.equal(youtube.duplicateOf.title, 'Original');
+        assert.equal(youtube.duplicateOf.url, 'https://youtube.example/1');
+        assert.deepEqual(skipped.map(event => `${event.clip} -> ${event.platform}`), ['Renamed -> youtube']);
+        assert.deepEqual(result.failed, []);
+    });
+
+    test('keys the ledger by the SHA-256 of the contents', async () => {
+        const [original] = createCopies('hashed.mp4');
+
+        await uploader.uploadClips([clipFor(original, 'Hashed')]);
+
+        const sha256 = crypto.createHash('sha256').update(fs.readFileSync(original)).digest('hex');
+        const entry = JSON.parse(fs.readFileSync(config.UPLOAD_LEDGER.FILE, 'utf8')).entries[sha256];
+        assert.equal(entry.size, fs.statSync(original).size);
+        assert.equal(entry.platforms.youtube.url, 'https://youtube.example/1');
+    });
+
+    test('uploads again with force or when ON_DUPLICATE is warn', async () => {
+        const [original] = createCopies('again.mp4');
+        await uploader.uploadClips([clipFor(original, 'First')]);
+
+        await uploader.uploadClips([clipFor(original, 'Forced')], { force: true });
+        config.UPLOAD_LEDGER.ON_DUPLICATE = 'warn';
+        await uploader.uploadClips([clipFor(original, 'Warned')]);
+
+        assert.deepEqual(uploads, ['First -> youtube', 'Forced -> youtube', 'Warned -> youtube']);
+    });
+
+    test('uploads only the first of two copies in the same batch', async () => {
+        const [first, second] = createCopies('first.mp4', 'second.mp4');
+
+        const result = await uploader.uploadClips([clipFor(first, 'First'), clipFor(second, 'Second')]);
+
+        assert.deepEqual(uploads, ['First -> youtube']);
+        assert.equal(result.results[second].platforms.youtube.skipped, true);
+        assert.equal(result.results[second].platforms.youtube.duplicateOf.title, 'First');
+    });
+
+    test('uploads the second copy when the first one failed', async () => {
+        const [first, second] = createCopies('broken.mp4', 'retry.mp4');
+        let attempts = 0;
+        uploader = createUploader(config, (platform, clip) => {
+            if (attempts++ === 0) {
+                throw Object.assign(new Error('bad request'), { status: 400 });
+            }
+            return `https://${platform}.example/${clip.title}`;
+        });
+
+        const result = await uploader.uploadClips([clipFor(first, 'Broken'), clipFor(second, 'Retry')]);
+
+        assert.equal(result.results[first].platforms.youtube.success, false);
+        assert.equal(result.results[second].platforms.youtube.url, 'https://youtube.example/Retry');
+    });
+});
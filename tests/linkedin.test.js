@@ -0,0 +1,130 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { SocialMediaUploader, VideoClip } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, startServer, sendJson } = require('./helpers');
+
+const FILE_SIZE = 2500;
+const VIDEO = 'urn:li:video:V1';
+
+describe('LinkedIn video post', () => {
+    const directory = useTempDir();
+    silenceLogger();
+
+    const filePath = path.join(directory, 'post.mp4');
+    fs.writeFileSync(filePath, Buffer.alloc(FILE_SIZE, 7));
+
+    // statuses are returned by successive video polls; the last one repeats
+    let api;
+    beforeEach(() => {
+        api = { statuses: ['AVAILABLE'], polls: 0, init: null, parts: [], finalize: null, post: null };
+    });
+
+    let baseUrl;
+    const serverUrl = startServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname === '/rest/videos' && url.searchParams.get('action') === 'initializeUpload') {
+            api.init = JSON.parse(req.body).initializeUploadRequest;
+            return sendJson(res, 200, {
+                value: {
+                    video: VIDEO,
+                    uploadToken: 'upload-token',
+                    uploadInstructions: [
+                        { uploadUrl: `${baseUrl}/parts/0`, firstByte: 0, lastByte: 999 },
+                        { uploadUrl: `${baseUrl}/parts/1`, firstByte: 1000, lastByte: 1999 },
+                        { uploadUrl: `${baseUrl}/parts/2`, firstByte: 2000, lastByte: 2499 }
+                    ]
+                }
+            });
+        }
+        if (url.pathname.startsWith('/parts/')) {
+            api.parts.push(req.body.length);
+            return res.writeHead(200, { ETag: `etag-${url.pathname.slice(7)}` }).end();
+        }
+        if (url.pathname === '/rest/videos' && url.searchParams.get('action') === 'finalizeUpload') {
+            api.finalize = JSON.parse(req.body).finalizeUploadRequest;
+            return sendJson(res, 200, {});
+        }
+        if (url.pathname === `/rest/videos/${encodeURIComponent(VIDEO)}`) {
+            const status = api.statuses[Math.min(api.polls++, api.statuses.length - 1)];
+            return sendJson(res, 200, { status, processingFailureReason: status === 'PROCESSING_FAILED' ? 'Corrupt file' : undefined });
+        }
+        if (url.pathname === '/rest/posts') {
+            api.post = { body: JSON.parse(req.body), version: req.headers['linkedin-version'] };
+            return sendJson(res, 201, {}, { 'x-restli-id': 'urn:li:share:42' });
+        }
+        sendJson(res, 404, { message: `Unknown endpoint ${url.pathname}` });
+    });
+
+    const createLinkedIn = async (settings = {}) => {
+        baseUrl = await serverUrl;
+        const config = testConfig();
+        Object.assign(config.LINKEDIN, { API_BASE_URL: baseUrl, PERSON_ID: 'abc', STATUS_POLL_INTERVAL_MS: 5 }, settings);
+
+        const linkedin = new SocialMediaUploader(config).uploaders.linkedin;
+        linkedin.authenticated = true;
+        linkedin.accessToken = 'li-token';
+        return { linkedin, config };
+    };
+
+    test('uploads the parts, finalizes with their ETags and posts once AVAILABLE', async () => {
+        const { linkedin, config } = await createLinkedIn();
+        api.statuses = ['PROCESSING', 'AVAILABLE'];
+        const clip = new VideoClip({ filePath, title: 'Launch', description: 'Our new (beta) build', tags: [], privacy: 'public' }, config);
+
+        const url = await linkedin.upload(clip);
+
+        assert.equal(url, 'https://www.linkedin.com/feed/update/urn:li:share:42');
+        assert.equal(api.init.owner, 'urn:li:person:abc');
+        assert.equal(api.init.fileSizeBytes, FILE_SIZE);
+        assert.deepEqual(api.parts, [1000, 1000, 500]);
+        assert.deepEqual(api.finalize, { video: VIDEO, uploadToken: 'upload-token', uploadedPartIds: ['etag-0', 'etag-1', 'etag-2'] });
+        assert.equal(api.polls, 2);
+        assert.equal(api.post.version, config.LINKEDIN.API_VERSION);
+        assert.equal(api.post.body.visibility, 'PUBLIC');
+        assert.deepEqual(api.post.body.content.media, { title: 'Launch', id: VIDEO });
+        assert.match(api.post.body.commentary, /Our new \\\(beta\\\) build/);
+    });
+
+    test('posts as the organization page when configured', async () => {
+        const { linkedin, config } = await createLinkedIn({ POST_AS: 'organization', ORGANIZATION_ID: '9001' });
+        const clip = new VideoClip({ filePath, title: 'Launch', privacy: 'public' }, config);
+
+        await linkedin.upload(clip);
+
+        assert.equal(api.init.owner, 'urn:li:organization:9001');
+        assert.equal(api.post.body.author, 'urn:li:organization:9001');
+    });
+
+    test('refuses non-public organization posts before uploading', async () => {
+        const { linkedin, config } = await createLinkedIn({ POST_AS: 'organization', ORGANIZATION_ID: '9001' });
+        const clip = new VideoClip({ filePath, title: 'Launch', privacy: 'private' }, config);
+
+        await assert.rejects(linkedin.upload(clip), error => error.code === 'visibility_not_supported');
+        assert.equal(api.init, null);
+    });
+
+    test('reports the failure reason when processing fails', async () => {
+        const { linkedin, config } = await createLinkedIn();
+        api.statuses = ['PROCESSING_FAILED'];
+        const clip = new VideoClip({ filePath, title: 'Launch', privacy: 'private' }, config);
+
+        const error = await linkedin.upload(clip).catch(err => err);
+
+        assert.equal(error.code, 'processing_failed');
+        assert.match(error.message, /Corrupt file/);
+        assert.equal(api.post, null);
+    });
+
+    test('marks hashtags up and escapes reserved characters in little text', async () => {
+        const { linkedin } = await createLinkedIn();
+
+        assert.equal(
+            linkedin.constructor.formatCommentary('C# tips (part 1) #dev_tools'),
+            'C\\# tips \\(part 1\\) {hashtag|\\#|dev\\_tools}'
+        );
+    });
+});
@@ -0,0 +1,108 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const net = require('net');
+
+const { OAuthClient } = require('../social_media_uploader_js');
+const { silenceLogger, testConfig, startServer, sendJson } = require('./helpers');
+
+silenceLogger();
+
+function freePort() {
+    return new Promise(resolve => {
+        const server = net.createServer().listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// The callback server starts listening asynchronously, so retry until it's up
+async function visit(url) {
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await fetch(url);
+            return { status: response.status, body: await response.text() };
+        } catch (error) {
+            if (attempt === 20) throw error;
+            await new Promise(resolve => setTimeout(resolve, 25));
+        }
+    }
+}
+
+async function createClient(platform = 'youtube') {
+    const config = testConfig();
+    config.YOUTUBE.CLIENT_ID = 'client-id';
+    config.YOUTUBE.CLIENT_SECRET = 'client-secret';
+    config.YOUTUBE.REDIRECT_URI = `http://127.0.0.1:${await freePort()}/callback`;
+    config.OAUTH.CALLBACK_TIMEOUT_MS = 5000;
+    return new OAuthClient(platform, config);
+}
+
+describe('OAuthClient', () => {
+    test('asks for an S256 PKCE challenge of the verifier', async () => {
+        const client = await createClient();
+        const pkce = OAuthClient.generatePkcePair();
+
+        const url = new URL(client.buildAuthorizationUrl('state-1', pkce.challenge));
+
+        assert.equal(pkce.challenge, crypto.createHash('sha256').update(pkce.verifier).digest('base64url'));
+        assert.equal(url.searchParams.get('client_id'), 'client-id');
+        assert.equal(url.searchParams.get('state'), 'state-1');
+        assert.equal(url.searchParams.get('code_challenge'), pkce.challenge);
+        assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+        assert.equal(url.searchParams.get('access_type'), 'offline');
+    });
+
+    test('hex-encodes the challenge for TikTok', () => {
+        const pkce = OAuthClient.generatePkcePair('hex');
+        assert.match(pkce.challenge, /^[0-9a-f]{64}$/);
+    });
+
+    test('ignores callbacks with the wrong state and resolves with the code', async () => {
+        const client = await createClient();
+        const callback = client.waitForCallback('expected');
+
+        const forged = await visit(`${client.redirectUri}?state=other&code=stolen`);
+        assert.equal(forged.status, 400);
+
+        const valid = await visit(`${client.redirectUri}?state=expected&code=auth-code`);
+        assert.equal(valid.status, 200);
+        assert.equal(await callback, 'auth-code');
+    });
+
+    test('escapes the provider error on the callback page', async () => {
+        const client = await createClient();
+        const callback = client.waitForCallback('expected');
+        const rejected = assert.rejects(callback, /Authorization denied: <script>/);
+
+        const page = await visit(`${client.redirectUri}?state=expected&error=access_denied&error_description=${encodeURIComponent('<script>alert(1)</script>')}`);
+
+        assert.equal(page.status, 400);
+        assert.ok(page.body.includes('&lt;script&gt;alert(1)&lt;/script&gt;'));
+        assert.ok(!page.body.includes('<script>'));
+        await rejected;
+    });
+
+    test('exchanges the code with the PKCE verifier', async () => {
+        let form = null;
+        const baseUrl = await startServer((req, res) => {
+            form = new URLSearchParams(req.body.toString());
+            sendJson(res, 200, { access_token: 'access', refresh_token: 'refresh', expires_in: 3600 });
+        });
+
+        const client = await createClient();
+        client.provider = { ...client.provider, tokenUrl: `${baseUrl}/token` };
+
+        const before = Date.now();
+        const tokens = await client.exchangeCode('auth-code', 'verifier');
+
+        assert.equal(form.get('grant_type'), 'authorization_code');
+        assert.equal(form.get('code'), 'auth-code');
+        assert.equal(form.get('code_verifier'), 'verifier');
+        assert.equal(form.get('client_secret'), 'client-secret');
+        assert.equal(tokens.accessToken, 'access');
+        assert.equal(tokens.refreshToken, 'refresh');
+        assert.ok(Date.parse(tokens.expiresAt) >= before + 3600 * 1000);
+    });
+});
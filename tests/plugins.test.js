@@ -0,0 +1,99 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+    SocialMediaUploader,
+    PlatformUploader,
+    ConfigError,
+    registerPlatform,
+    getRegisteredPlatforms,
+    Logger,
+    loadConfig
+} = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig } = require('./helpers');
+
+const VIMEO_PLUGIN = `
+module.exports = function register({ registerPlatform, PlatformUploader }) {
+    class VimeoUploader extends PlatformUploader {
+        constructor(tokenVault, config) {
+            super('Vimeo', tokenVault, config);
+        }
+
+        async authenticate() {
+            return true;
+        }
+
+        async upload(clip) {
+            return \`https://vimeo.example/\${this.config.VIMEO.FOLDER}/\${clip.title}\`;
+        }
+    }
+
+    registerPlatform('vimeo', VimeoUploader, {
+        API_TOKEN: { type: 'string', required: true },
+        FOLDER: { type: 'string', default: 'uploads' },
+        CHUNK_SIZE: { type: 'number', integer: true, min: 1, default: 1024 }
+    });
+};
+`;
+
+describe('Platform plugins', () => {
+    const directory = useTempDir();
+    silenceLogger();
+
+    const pluginDirectory = path.join(directory, 'plugins');
+    fs.mkdirSync(pluginDirectory);
+    fs.writeFileSync(path.join(pluginDirectory, 'vimeo.js'), VIMEO_PLUGIN);
+    fs.writeFileSync(path.join(pluginDirectory, 'broken.js'), 'module.exports = 42;');
+
+    class NoopUploader extends PlatformUploader {
+        async authenticate() { return true; }
+        async upload() { return 'https://example/post'; }
+    }
+
+    test('rejects invalid registrations', () => {
+        assert.throws(() => registerPlatform('My Site', NoopUploader), /Invalid platform name "My Site"/);
+        assert.throws(() => registerPlatform('youtube', NoopUploader), /Platform "youtube" is already registered/);
+        assert.throws(() => registerPlatform('plain', class {}), /must extend PlatformUploader/);
+        assert.throws(() => registerPlatform('halfway', class extends PlatformUploader {
+            async authenticate() { return true; }
+        }), /must implement upload\(\)/);
+    });
+
+    test('loads plugins from the configured directory and fills in their defaults', () => {
+        const errors = [];
+        Logger.error = message => errors.push(message);
+
+        const config = loadConfig({
+            env: { SMU_VIMEO_API_TOKEN: 'vimeo-token' },
+            overrides: [{ PLUGINS: { DIRECTORY: pluginDirectory } }]
+        });
+
+        assert.ok(getRegisteredPlatforms().includes('vimeo'));
+        assert.deepEqual(config.VIMEO, { FOLDER: 'uploads', CHUNK_SIZE: 1024, API_TOKEN: 'vimeo-token' });
+        assert.ok(errors.some(message => /Failed to load platform plugin .*broken\.js/.test(message)));
+    });
+
+    test("validates plugin settings against the plugin's schema", () => {
+        assert.throws(
+            () => loadConfig({ env: {}, overrides: [{ VIMEO: { CHUNK_SIZE: 'big', folder: 'x' } }] }),
+            error => error instanceof ConfigError &&
+                error.errors.includes('VIMEO.CHUNK_SIZE must be a number, got string "big" (from command line)') &&
+                error.errors.some(message => message.startsWith('Unknown setting VIMEO.folder (did you mean VIMEO.FOLDER?)'))
+        );
+    });
+
+    test('routes uploads to the plugin and fills defaults into a hand-built config', async () => {
+        const config = testConfig();
+        config.VIMEO = { API_TOKEN: 'vimeo-token' };
+
+        const uploader = new SocialMediaUploader(config);
+        const vimeo = uploader.uploaders.vimeo;
+
+        assert.equal(uploader.config, config);
+        assert.deepEqual(config.VIMEO, { FOLDER: 'uploads', CHUNK_SIZE: 1024, API_TOKEN: 'vimeo-token' });
+        assert.equal(vimeo.platformKey, 'vimeo');
+        assert.equal(await vimeo.upload({ title: 'Clip' }), 'https://vimeo.example/uploads/Clip');
+    });
+});
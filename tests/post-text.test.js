@@ -0,0 +1,83 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { renderPostText, fitText, CONFIG } = require('../social_media_uploader_js');
+
+describe('renderPostText', () => {
+    const makeConfig = platforms => {
+        const config = JSON.parse(JSON.stringify(CONFIG));
+        config.TIMEZONE = 'UTC';
+        Object.assign(config.CAPTION_TEMPLATES.PLATFORMS, platforms);
+        return config;
+    };
+    const makeClip = fields => ({ title: 'Launch Day', description: '', filePath: '/videos/launch_day.mp4', tags: [], ...fields });
+
+    test('fills the default template and turns tags into hashtags', () => {
+        const clip = makeClip({ description: 'We shipped it.', tags: ['behind the scenes', '#shorts', 'c++'] });
+        const post = renderPostText(clip, 'instagram', { config: makeConfig({}) });
+
+        assert.equal(post.text, 'Launch Day\n\nWe shipped it.\n\n#BehindTheScenes #shorts #c');
+        assert.equal(post.hashtags, 3);
+        assert.equal(post.truncated, false);
+        assert.equal(post.maxLength, 2200);
+    });
+
+    test('fills filename and date, and skips tags the text already has', () => {
+        const config = makeConfig({ tiktok: '{filename} {date} #shorts {tags}' });
+        const clip = makeClip({ tags: ['Shorts', 'news'] });
+        const post = renderPostText(clip, 'tiktok', { config, now: new Date('2025-03-09T12:00:00Z') });
+
+        assert.equal(post.text, 'launch_day.mp4 2025-03-09 #shorts #news');
+    });
+
+    test("keeps only as many hashtags as the platform allows", () => {
+        const config = makeConfig({ youtube: '{title} {tags}' });
+        const tags = Array.from({ length: 20 }, (_, index) => `tag${index}`);
+        const post = renderPostText(makeClip({ tags }), 'youtube', { config });
+
+        assert.equal(post.hashtags, 15);
+        assert.deepEqual(post.droppedHashtags, ['#tag15', '#tag16', '#tag17', '#tag18', '#tag19']);
+    });
+
+    test('drops hashtags before shortening the description', () => {
+        const config = makeConfig({ twitter: '{description} {tags}' });
+        const clip = makeClip({ description: 'word '.repeat(60).trim(), tags: ['one', 'two'] });
+        const post = renderPostText(clip, 'twitter', { config });
+
+        assert.ok(post.length <= 280);
+        assert.equal(post.truncated, true);
+        assert.ok(post.text.endsWith('…'));
+        assert.deepEqual(post.droppedHashtags, ['#one', '#two']);
+        assert.equal(renderPostText(makeClip({ description: 'short', tags: ['one'] }), 'twitter', { config }).text, 'short #one');
+    });
+
+    test('measures length the way the platform does', () => {
+        const config = makeConfig({ twitter: '{title}' });
+        const post = renderPostText(makeClip({ title: 'abcdef' }), 'twitter', { config, measure: text => text.length * 1000 });
+
+        assert.equal(post.text, '');
+        assert.equal(post.truncated, true);
+    });
+});
+
+describe('fitText', () => {
+    test('returns text that already fits unchanged', () => {
+        assert.equal(fitText('hello world', text => text.length <= 20), 'hello world');
+    });
+
+    test('cuts at a word boundary and adds an ellipsis', () => {
+        assert.equal(fitText('hello brave new world', text => text.length <= 14), 'hello brave…');
+    });
+
+    test('cuts inside a word when there is no boundary', () => {
+        assert.equal(fitText('abcdefghij', text => text.length <= 5), 'abcd…');
+    });
+
+    test('counts emoji as single characters', () => {
+        assert.equal(fitText('🎬🎬🎬🎬', text => Array.from(text).length <= 3), '🎬🎬…');
+    });
+
+    test('returns an empty string when nothing fits', () => {
+        assert.equal(fitText('hello', () => false), '');
+    });
+});
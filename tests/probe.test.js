@@ -0,0 +1,84 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { probeVideo, readTrack } = require('../social_media_uploader_js');
+const { useTempDir, trak, writeMp4 } = require('./helpers');
+
+describe('probeVideo', () => {
+    const directory = useTempDir();
+
+    test('reads duration, codecs and size with moov after mdat', () => {
+        const filePath = path.join(directory, 'landscape.mp4');
+        writeMp4(filePath, { seconds: 120, width: 1920, height: 1080 });
+
+        const info = probeVideo(filePath);
+        assert.equal(info.container, 'isom');
+        assert.equal(info.duration, 120);
+        assert.equal(info.width, 1920);
+        assert.equal(info.height, 1080);
+        assert.equal(info.videoCodec, 'h264');
+        assert.equal(info.audioCodec, 'aac');
+        assert.equal(info.bitrate, Math.round(fs.statSync(filePath).size * 8 / 120));
+    });
+
+    test('swaps the display size of rotated phone videos', () => {
+        const filePath = path.join(directory, 'vertical.mp4');
+        writeMp4(filePath, { seconds: 30, width: 1920, height: 1080, rotation: 90, moovFirst: true });
+
+        const info = probeVideo(filePath);
+        assert.equal(info.rotation, 90);
+        assert.equal(info.width, 1080);
+        assert.equal(info.height, 1920);
+        assert.equal(info.aspectRatio, 1080 / 1920);
+    });
+
+    test('falls back to the longest track when mvhd has no duration', () => {
+        const filePath = path.join(directory, 'fragmented.mov');
+        writeMp4(filePath, { seconds: 45, width: 1080, height: 1920, emptyMvhd: true });
+
+        assert.equal(probeVideo(filePath).duration, 45);
+    });
+
+    test('rejects files without a moov box', () => {
+        const filePath = path.join(directory, 'junk.mp4');
+        fs.writeFileSync(filePath, 'not a video at all');
+
+        assert.throws(() => probeVideo(filePath), /Cannot read video metadata/);
+    });
+});
+
+describe('readTrack', () => {
+    // readTrack takes the body of a trak box, without its own header
+    const body = buffer => buffer.subarray(8);
+
+    test('reads handler, codec and duration at their box offsets', () => {
+        const track = readTrack(body(trak({ handler: 'soun', codec: 'Opus', timescale: 48000, duration: 48000 * 12 })));
+
+        assert.equal(track.handler, 'soun');
+        assert.equal(track.codec, 'opus');
+        assert.equal(track.duration, 12);
+    });
+
+    test('uses the sample entry size when there is no tkhd', () => {
+        const track = readTrack(body(trak({
+            handler: 'vide', codec: 'hvc1', timescale: 600, duration: 600, width: 1280, height: 720, withTkhd: false
+        })));
+
+        assert.equal(track.codec, 'hevc');
+        assert.equal(track.width, 1280);
+        assert.equal(track.height, 720);
+        assert.equal(track.rotation, 0);
+    });
+
+    test('reads the rotation from the tkhd matrix', () => {
+        const track = readTrack(body(trak({
+            handler: 'vide', codec: 'avc1', timescale: 600, duration: 600, width: 1920, height: 1080, rotation: 90
+        })));
+
+        assert.equal(track.rotation, 90);
+        assert.equal(track.width, 1920);
+        assert.equal(track.height, 1080);
+    });
+});
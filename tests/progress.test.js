@@ -0,0 +1,133 @@
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { SocialMediaUploader, ProgressDisplay } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig } = require('./helpers');
+
+const MB = 1024 * 1024;
+
+function fakeStream(isTTY) {
+    return {
+        isTTY,
+        columns: 120,
+        output: '',
+        write(text) {
+            this.output += text;
+            return true;
+        }
+    };
+}
+
+describe('Upload progress events', () => {
+    useTempDir();
+    silenceLogger();
+
+    // Date.now is moved by hand so throughput and ETA are exact
+    const realNow = Date.now;
+    let now;
+    beforeEach(() => {
+        now = 1000000;
+        Date.now = () => now;
+    });
+    afterEach(() => {
+        Date.now = realNow;
+    });
+
+    test('reports throughput and ETA, throttled except for the last chunk', () => {
+        const uploader = new SocialMediaUploader(testConfig());
+        const events = [];
+        uploader.on('uploadProgress', progress => events.push(progress));
+
+        const onProgress = uploader.uploaders.youtube.trackProgress({ title: 'Clip', filePath: 'clip.mp4' }, 10 * MB);
+        now += 1000;
+        onProgress(2 * MB);
+        now += 100;
+        onProgress(3 * MB);
+        now += 900;
+        onProgress(4 * MB);
+        now += 10;
+        onProgress(10 * MB);
+
+        assert.deepEqual(events.map(event => event.bytesSent), [2 * MB, 4 * MB, 10 * MB]);
+        assert.deepEqual(events[0], {
+            platform: 'youtube',
+            clip: 'Clip',
+            filePath: 'clip.mp4',
+            bytesSent: 2 * MB,
+            totalBytes: 10 * MB,
+            throughput: 2 * MB,
+            eta: 4
+        });
+        assert.equal(events[2].eta, 0);
+    });
+
+    test('leaves bytes already uploaded out of the throughput of a resumed upload', () => {
+        const tiktok = new SocialMediaUploader(testConfig()).uploaders.tiktok;
+        const events = [];
+        tiktok.on('uploadProgress', progress => events.push(progress));
+
+        const onProgress = tiktok.trackProgress({ title: 'Clip', filePath: 'clip.mp4' }, 10 * MB, 6 * MB);
+        now += 2000;
+        onProgress(8 * MB);
+
+        assert.equal(events[0].throughput, MB);
+        assert.equal(events[0].eta, 2);
+    });
+});
+
+describe('ProgressDisplay', () => {
+    const progress = (bytesSent, fields = {}) => ({
+        platform: 'youtube',
+        clip: 'Clip',
+        bytesSent,
+        totalBytes: 100 * MB,
+        throughput: 2 * MB,
+        eta: 125,
+        ...fields
+    });
+
+    test('prints a plain line every 10% when not on a terminal', () => {
+        const stream = fakeStream(false);
+        const display = new ProgressDisplay(stream, fakeStream(false));
+
+        [5, 9, 12, 19, 35, 100].forEach(mb => display.update(progress(mb * MB)));
+
+        const lines = stream.output.trim().split('\n');
+        assert.deepEqual(lines.map(line => line.match(/(\d+)%/)[1]), ['5', '12', '35', '100']);
+        assert.equal(lines[1], '[progress] youtube     12% 12.0MB/100.0MB 2.0MB/s ETA 2:05  Clip');
+    });
+
+    test('keeps one live line per upload below the log output on a terminal', () => {
+        const stream = fakeStream(true);
+        const display = new ProgressDisplay(stream, fakeStream(true));
+        const emitter = new EventEmitter();
+        display.attach(emitter);
+
+        emitter.emit('uploadProgress', progress(50 * MB));
+        emitter.emit('uploadProgress', progress(10 * MB, { platform: 'tiktok', eta: null }));
+        assert.match(stream.output, /youtube {4}\[##########----------\]  50%/);
+        assert.match(stream.output, /tiktok {5}\[##------------------\]  10% .* ETA --:--/);
+
+        stream.output = '';
+        display.console.log('Uploaded something');
+        assert.equal(stream.output, '\x1b[2A\x1b[JUploaded something\n');
+
+        // The log line erased the block, so the redraw has nothing to clear
+        stream.output = '';
+        emitter.emit('uploadSuccess', { platform: 'youtube', clip: 'Clip' });
+        assert.match(stream.output, /^tiktok [^\n]*\n$/);
+
+        stream.output = '';
+        emitter.emit('batchComplete');
+        assert.equal(stream.output, '\x1b[1A\x1b[J');
+    });
+
+    test('formats sizes and durations', () => {
+        assert.equal(ProgressDisplay.formatBytes(512), '512B');
+        assert.equal(ProgressDisplay.formatBytes(1536), '1.5KB');
+        assert.equal(ProgressDisplay.formatBytes(3 * 1024 * MB), '3.0GB');
+        assert.equal(ProgressDisplay.formatDuration(59.2), '1:00');
+        assert.equal(ProgressDisplay.formatDuration(3725), '1:02:05');
+    });
+});
@@ -0,0 +1,122 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { SocialMediaUploader, VideoClip, nextDailyTime } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, createUploader, writeMp4 } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Quota-aware rate limiting', () => {
+    const directory = useTempDir();
+    silenceLogger();
+
+    let config;
+    let file = 0;
+    beforeEach(() => {
+        config = testConfig();
+        config.QUOTAS.FILE = `quota-${file++}.json`;
+        config.JOB_STORE.FILE = `jobs-${file}.json`;
+        config.QUOTAS.PLATFORMS.tiktok = { UNIT: 'posts', LIMIT: 2, COST: 1, WINDOW_HOURS: 24 };
+    });
+
+    test('refuses a reservation over the limit and says when it will fit', async () => {
+        const quota = new SocialMediaUploader(config).uploaders.tiktok.quota;
+
+        const first = await quota.reserve();
+        await quota.reserve();
+        const refused = await quota.reserve();
+
+        assert.equal(first.allowed, true);
+        assert.deepEqual({ ...refused, resetsAt: null }, { allowed: false, used: 2, limit: 2, unit: 'posts', resetsAt: null });
+        assert.ok(Math.abs(refused.resetsAt.getTime() - (Date.now() + 24 * HOUR)) < 5000);
+    });
+
+    test('shares usage between processes and refunds released reservations', async () => {
+        const quota = new SocialMediaUploader(config).uploaders.tiktok.quota;
+        const other = new SocialMediaUploader(config).uploaders.tiktok.quota;
+
+        const reservation = await quota.reserve();
+        await other.reserve();
+        assert.equal(quota.check().allowed, false);
+
+        await quota.release(reservation.id);
+        const status = other.check();
+        assert.equal(status.allowed, true);
+        assert.equal(status.used, 1);
+    });
+
+    test('keeps accounts apart', async () => {
+        config.ACCOUNTS = { tiktok: 'brand' };
+        const brand = new SocialMediaUploader(config).uploaders.tiktok.quota;
+        config.ACCOUNTS = {};
+        const personal = new SocialMediaUploader(config).uploaders.tiktok.quota;
+
+        await brand.reserve();
+        await brand.reserve();
+
+        assert.equal(brand.check().allowed, false);
+        assert.equal(personal.check().allowed, true);
+    });
+
+    test('resets the YouTube quota at midnight Pacific time', async () => {
+        const quota = new SocialMediaUploader(config).uploaders.youtube.quota;
+        const midnight = nextDailyTime('00:00 America/Los_Angeles', config.TIMEZONE).date;
+
+        const reservations = [];
+        for (let i = 0; i < 7; i++) {
+            reservations.push(await quota.reserve());
+        }
+
+        assert.deepEqual(reservations.map(reservation => reservation.allowed), [true, true, true, true, true, true, false]);
+        assert.equal(reservations[6].used, 9600);
+        assert.equal(reservations[6].resetsAt.getTime(), midnight.getTime());
+    });
+
+    test('blocks the account until a limit the platform reported resets', async () => {
+        const quota = new SocialMediaUploader(config).uploaders.tiktok.quota;
+        const until = new Date(Date.now() + 2 * HOUR);
+
+        await quota.block(until);
+
+        const status = quota.check();
+        assert.equal(status.allowed, false);
+        assert.equal(status.used, 0);
+        assert.equal(status.resetsAt.getTime(), until.getTime());
+    });
+
+    test('refunds attempts the platform did not count', async () => {
+        const tiktok = new SocialMediaUploader(config).uploaders.tiktok;
+        tiktok.authenticated = true;
+        tiktok.uploadWithFreshToken = async () => {
+            throw Object.assign(new Error('bad request'), { status: 400 });
+        };
+
+        const result = await tiktok.uploadWithRetry({ title: 'Clip', filePath: 'clip.mp4' });
+
+        assert.equal(result.success, false);
+        assert.equal(tiktok.quota.check().used, 0);
+    });
+
+    test('defers uploads past the quota to the scheduler', async () => {
+        config.QUOTAS.PLATFORMS.tiktok.LIMIT = 1;
+        const uploader = createUploader(config);
+        const clips = [1, 2].map(index => {
+            const filePath = path.join(directory, `quota${index}.mp4`);
+            writeMp4(filePath, { seconds: 40 + index, width: 1080, height: 1920 });
+            return new VideoClip({ filePath, title: `Clip ${index}`, platforms: ['tiktok'] }, config);
+        });
+
+        const result = await uploader.uploadClips(clips, { saveCheckpoint: false });
+
+        assert.equal(result.results[clips[0].filePath].platforms.tiktok.success, true);
+        const deferred = result.results[clips[1].filePath].platforms.tiktok;
+        assert.equal(deferred.deferred, true);
+        assert.deepEqual(result.failed, []);
+
+        const [job] = uploader.getScheduledJobs();
+        assert.equal(job.id, deferred.jobId);
+        assert.deepEqual(job.clip.platforms, ['tiktok']);
+        assert.equal(job.scheduleTime.getTime(), deferred.scheduledFor.getTime());
+    });
+});
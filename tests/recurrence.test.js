@@ -0,0 +1,74 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CronSchedule, RRuleSchedule } = require('../social_media_uploader_js');
+
+describe('CronSchedule', () => {
+    test('finds the next weekday occurrence', () => {
+        const schedule = new CronSchedule('30 9 * * 1-5', 'UTC');
+
+        // Friday 10:00 -> Monday 09:30
+        assert.equal(schedule.next(new Date('2025-01-03T10:00:00Z')).toISOString(), '2025-01-06T09:30:00.000Z');
+        assert.equal(schedule.next(new Date('2025-01-06T09:29:59Z')).toISOString(), '2025-01-06T09:30:00.000Z');
+    });
+
+    test('supports macros, steps, names and Sunday as 7', () => {
+        assert.equal(new CronSchedule('@daily', 'UTC').next(new Date('2025-01-01T12:00:00Z')).toISOString(), '2025-01-02T00:00:00.000Z');
+        assert.equal(new CronSchedule('*/15 * * * *', 'UTC').next(new Date('2025-01-01T12:07:00Z')).toISOString(), '2025-01-01T12:15:00.000Z');
+        assert.equal(new CronSchedule('0 12 * JAN SUN', 'UTC').next(new Date('2025-01-01T00:00:00Z')).toISOString(), '2025-01-05T12:00:00.000Z');
+        assert.equal(new CronSchedule('0 12 * * 7', 'UTC').next(new Date('2025-01-01T00:00:00Z')).toISOString(), '2025-01-05T12:00:00.000Z');
+    });
+
+    test('matches either day field when both are restricted', () => {
+        const schedule = new CronSchedule('0 8 15 * MON', 'UTC');
+
+        // Monday the 6th comes before the 15th
+        assert.equal(schedule.next(new Date('2025-01-02T00:00:00Z')).toISOString(), '2025-01-06T08:00:00.000Z');
+    });
+
+    test('runs in the schedule timezone across DST changes', () => {
+        const schedule = new CronSchedule('0 9 * * *', 'America/New_York');
+
+        assert.equal(schedule.next(new Date('2025-03-08T15:00:00Z')).toISOString(), '2025-03-09T13:00:00.000Z');
+        assert.equal(schedule.next(new Date('2025-03-07T15:00:00Z')).toISOString(), '2025-03-08T14:00:00.000Z');
+    });
+
+    test('rejects invalid expressions', () => {
+        assert.throws(() => new CronSchedule('0 9 * *', 'UTC'), /expected 5 fields/);
+        assert.throws(() => new CronSchedule('61 9 * * *', 'UTC'), /Invalid cron minute "61"/);
+        assert.throws(() => new CronSchedule('*/0 9 * * *', 'UTC'), /Invalid cron step/);
+    });
+});
+
+describe('RRuleSchedule', () => {
+    const start = new Date('2025-01-01T00:00:00Z'); // a Wednesday
+
+    test('expands BYDAY, BYHOUR and BYMINUTE for weekly rules', () => {
+        const schedule = new RRuleSchedule('RRULE:FREQ=WEEKLY;BYDAY=MO,WE;BYHOUR=9;BYMINUTE=0', start, 'UTC');
+
+        const first = schedule.next(new Date('2024-12-01T00:00:00Z'));
+        assert.equal(first.toISOString(), '2025-01-01T09:00:00.000Z');
+        assert.equal(schedule.next(first).toISOString(), '2025-01-06T09:00:00.000Z');
+    });
+
+    test('takes missing parts from the start time and honours INTERVAL', () => {
+        const schedule = new RRuleSchedule('FREQ=DAILY;INTERVAL=2', new Date('2025-01-01T18:45:00Z'), 'UTC');
+
+        assert.equal(schedule.next(new Date('2025-01-01T19:00:00Z')).toISOString(), '2025-01-03T18:45:00.000Z');
+    });
+
+    test('stops after COUNT occurrences and after UNTIL', () => {
+        const counted = new RRuleSchedule('FREQ=DAILY;COUNT=2', start, 'UTC');
+        assert.equal(counted.next(start, 1).toISOString(), '2025-01-02T00:00:00.000Z');
+        assert.equal(counted.next(start, 2), null);
+
+        const until = new RRuleSchedule('FREQ=DAILY;UNTIL=20250102', start, 'UTC');
+        assert.equal(until.next(new Date('2025-01-02T00:00:00Z')), null);
+    });
+
+    test('rejects unsupported rules', () => {
+        assert.throws(() => new RRuleSchedule('FREQ=SECONDLY', start, 'UTC'), /FREQ must be one of/);
+        assert.throws(() => new RRuleSchedule('FREQ=WEEKLY;BYDAY=1MO', start, 'UTC'), /Unsupported RRULE BYDAY/);
+        assert.throws(() => new RRuleSchedule('FREQ=DAILY;BYSETPOS=1', start, 'UTC'), /Unsupported RRULE parts: BYSETPOS/);
+    });
+});
@@ -0,0 +1,156 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { SocialMediaUploader, PlatformApiError } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig } = require('./helpers');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`HTTP ${status}`), { status, headers });
+
+describe('Retry policy', () => {
+    useTempDir();
+    silenceLogger();
+
+    // An authenticated uploader whose upload() runs the given attempts in turn
+    const createPlatform = (platform, attempts = []) => {
+        const config = testConfig();
+        config.MAX_RETRIES = 3;
+        const uploader = new SocialMediaUploader(config).uploaders[platform];
+        uploader.authenticated = true;
+        uploader.quota = null;
+        uploader.sleeps = [];
+        uploader.sleep = async ms => {
+            uploader.sleeps.push(ms);
+        };
+
+        let attempt = 0;
+        uploader.upload = async clip => attempts[Math.min(attempt++, attempts.length - 1)](clip);
+        return uploader;
+    };
+
+    test('sorts errors into retryable, non-retryable and rate-limited', () => {
+        const youtube = createPlatform('youtube');
+
+        assert.deepEqual(youtube.classifyError(httpError(429, { 'retry-after': '30' })), { category: 'rate_limited', retryAfterMs: 30000 });
+        assert.deepEqual(youtube.classifyError(httpError(503)), { category: 'retryable', retryAfterMs: null });
+        assert.deepEqual(youtube.classifyError(httpError(408)), { category: 'retryable', retryAfterMs: null });
+        assert.deepEqual(youtube.classifyError(httpError(403)), { category: 'non_retryable', retryAfterMs: null });
+        assert.equal(youtube.classifyError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })).category, 'retryable');
+        assert.equal(youtube.classifyError(Object.assign(new Error('gone'), { code: 'ENOENT' })).category, 'non_retryable');
+        assert.equal(youtube.classifyError(new PlatformApiError('YouTube', 'bad title', { code: 'invalidTitle' })).category, 'non_retryable');
+        assert.equal(youtube.classifyError(new Error('socket hang up')).category, 'retryable');
+    });
+
+    test('reads Retry-After as seconds or an HTTP date', () => {
+        const youtube = createPlatform('youtube');
+        const inOneMinute = new Date(Date.now() + 60 * 1000).toUTCString();
+
+        assert.equal(youtube.parseRetryAfter({ 'retry-after': '120' }), 120000);
+        assert.ok(Math.abs(youtube.parseRetryAfter({ 'retry-after': inOneMinute }) - 60000) < 1000);
+        assert.equal(youtube.parseRetryAfter({ 'retry-after': 'Thu, 01 Jan 1970 00:00:00 GMT' }), 0);
+        assert.equal(youtube.parseRetryAfter({}), null);
+    });
+
+    test('waits for the platform-specific reset times', () => {
+        const youtube = createPlatform('youtube');
+        const quota = youtube.classifyError(new PlatformApiError('YouTube', 'quota', { status: 403, code: 'quotaExceeded' }));
+        assert.equal(quota.category, 'rate_limited');
+        assert.ok(quota.retryAfterMs > 0 && quota.retryAfterMs <= 25 * 60 * 60 * 1000);
+
+        const twitter = createPlatform('twitter');
+        const reset = Math.floor(Date.now() / 1000) + 6 * 60 * 60;
+        const daily = twitter.classifyError(new PlatformApiError('Twitter', 'Too Many Requests', {
+            status: 429,
+            headers: {
+                'x-rate-limit-reset': String(reset - 5 * 60 * 60),
+                'x-user-limit-24hour-remaining': '0',
+                'x-user-limit-24hour-reset': String(reset)
+            }
+        }));
+        assert.equal(daily.category, 'rate_limited');
+        assert.ok(Math.abs(daily.retryAfterMs - 6 * 60 * 60 * 1000) < 2000);
+    });
+
+    test('retries transient failures and reports how many retries it took', async () => {
+        const youtube = createPlatform('youtube', [
+            () => { throw httpError(503); },
+            () => { throw httpError(429, { 'retry-after': '2' }); },
+            () => 'https://youtu.be/abc'
+        ]);
+
+        const result = await youtube.uploadWithRetry({ title: 'Clip', filePath: 'clip.mp4' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.url, 'https://youtu.be/abc');
+        assert.equal(result.retryCount, 2);
+        assert.ok(youtube.sleeps[1] >= 2000 && youtube.sleeps[1] < 3000);
+    });
+
+    test('stops at the first non-retryable failure', async () => {
+        let attempts = 0;
+        const youtube = createPlatform('youtube', [() => {
+            attempts++;
+            throw httpError(400);
+        }]);
+
+        const result = await youtube.uploadWithRetry({ title: 'Clip', filePath: 'clip.mp4' });
+
+        assert.equal(attempts, 1);
+        assert.equal(result.success, false);
+        assert.equal(result.errorCategory, 'non_retryable');
+        assert.equal(result.retryAt, null);
+    });
+
+    test('gives up on a rate limit that resets after MAX_WAIT_SECONDS', async () => {
+        const youtube = createPlatform('youtube', [() => { throw httpError(429, { 'retry-after': '3600' }); }]);
+
+        const result = await youtube.uploadWithRetry({ title: 'Clip', filePath: 'clip.mp4' });
+
+        assert.equal(result.errorCategory, 'rate_limited');
+        assert.equal(result.retryCount, 0);
+        assert.deepEqual(youtube.sleeps, []);
+        assert.ok(Math.abs(result.retryAt.getTime() - (Date.now() + 3600 * 1000)) < 2000);
+    });
+
+    test('treats an upload that returns no URL as a failure', async () => {
+        const youtube = createPlatform('youtube', [() => undefined, () => 'https://youtu.be/abc']);
+
+        const result = await youtube.uploadWithRetry({ title: 'Clip', filePath: 'clip.mp4' });
+
+        assert.equal(result.success, true);
+        assert.equal(result.retryCount, 1);
+
+        const empty = await createPlatform('youtube', [() => '']).uploadWithRetry({ title: 'Clip', filePath: 'clip.mp4' });
+        assert.equal(empty.success, false);
+        assert.equal(empty.error, 'YouTube returned no post URL');
+    });
+
+    test('polls media that timed out in processing again instead of re-uploading it', async () => {
+        const uploaded = [];
+        const polled = [];
+        const publish = async (linkedin, clip, ready) => {
+            let mediaId = linkedin.takeProcessingMedia(clip);
+            if (!mediaId) {
+                mediaId = `media-${uploaded.length + 1}`;
+                uploaded.push(mediaId);
+            }
+            await linkedin.awaitProcessing(clip, mediaId, async id => {
+                polled.push(id);
+                if (!ready) {
+                    throw new PlatformApiError('LinkedIn', `Timed out waiting for ${id}`, { code: 'processing_timeout' });
+                }
+            });
+            return `https://www.linkedin.com/feed/update/${mediaId}`;
+        };
+        const linkedin = createPlatform('linkedin', [
+            clip => publish(linkedin, clip, false),
+            clip => publish(linkedin, clip, true)
+        ]);
+
+        const result = await linkedin.uploadWithRetry({ title: 'Clip', filePath: 'clip.mp4' });
+
+        assert.equal(result.success, true);
+        assert.deepEqual(uploaded, ['media-1']);
+        assert.deepEqual(polled, ['media-1', 'media-1']);
+        assert.equal(linkedin.processingMedia.size, 0);
+    });
+});
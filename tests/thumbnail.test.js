@@ -0,0 +1,155 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { SocialMediaUploader, VideoClip, Logger } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, startServer, sendJson, writeMp4 } = require('./helpers');
+
+describe('Thumbnails', () => {
+    const directory = useTempDir();
+    silenceLogger();
+
+    const videoPath = path.join(directory, 'clip.mp4');
+    writeMp4(videoPath, { seconds: 30, width: 1080, height: 1920 });
+    const imagePath = path.join(directory, 'cover.png');
+    fs.writeFileSync(imagePath, 'PNGDATA');
+
+    // A stand-in ffmpeg that logs its arguments and writes a frame to the
+    // output path, except at 120 seconds, past the end of the clip
+    const ffmpegLog = path.join(directory, 'ffmpeg.log');
+    const ffmpegPath = path.join(directory, 'ffmpeg');
+    fs.writeFileSync(ffmpegPath, [
+        '#!/bin/sh',
+        `echo "$@" >> "${ffmpegLog}"`,
+        'for last; do :; done',
+        '[ "$6" = 120 ] || printf JPEGDATA > "$last"',
+        ''
+    ].join('\n'));
+    fs.chmodSync(ffmpegPath, 0o755);
+
+    let warnings;
+    let requests;
+    beforeEach(() => {
+        warnings = [];
+        Logger.warning = message => warnings.push(message);
+        requests = [];
+        fs.rmSync(ffmpegLog, { force: true });
+    });
+
+    let status = 200;
+    const serverUrl = startServer((req, res) => {
+        requests.push(req);
+        sendJson(res, status, status === 200 ? { kind: 'youtube#thumbnailSetResponse' } : { error: { message: 'The channel is not verified' } });
+    });
+
+    const createPlatform = async platform => {
+        const config = testConfig();
+        config.YOUTUBE.API_BASE_URL = await serverUrl;
+        config.TRANSCODE.FFMPEG_PATH = ffmpegPath;
+
+        const uploader = new SocialMediaUploader(config).uploaders[platform];
+        uploader.accessToken = 'token';
+        return { uploader, config };
+    };
+    const clipWith = (config, fields) => new VideoClip({ filePath: videoPath, title: 'Clip', ...fields }, config);
+
+    test('validates the thumbnail image and time', async () => {
+        const { config } = await createPlatform('youtube');
+
+        assert.throws(() => clipWith(config, { thumbnailPath: 'missing.jpg' }).validate({ config }), /Thumbnail not found: missing\.jpg/);
+        assert.throws(() => clipWith(config, { thumbnailPath: videoPath }).validate({ config }), /Thumbnail must be a JPEG or PNG image/);
+        assert.throws(() => clipWith(config, { thumbnailTime: 30 }).validate({ config }), /Thumbnail time 30s is past the end of the 30\.0s video/);
+        assert.doesNotThrow(() => clipWith(config, { thumbnailPath: 'https://cdn.example/cover.jpg', thumbnailTime: 12.5 }).validate({ config }));
+    });
+
+    test('resolves a local image, an extracted frame or nothing', async () => {
+        const { uploader, config } = await createPlatform('youtube');
+
+        assert.deepEqual(await uploader.resolveThumbnail(clipWith(config, { thumbnailPath: imagePath, thumbnailTime: 5 })),
+            { filePath: imagePath, temporary: false });
+        assert.equal(await uploader.resolveThumbnail(clipWith(config, { thumbnailPath: 'https://cdn.example/cover.jpg' })), null);
+        assert.equal(fs.existsSync(ffmpegLog), false);
+
+        const frame = await uploader.resolveThumbnail(clipWith(config, { thumbnailTime: 12.5 }));
+        assert.equal(frame.temporary, true);
+        assert.equal(fs.readFileSync(frame.filePath, 'utf8'), 'JPEGDATA');
+        assert.equal(fs.readFileSync(ffmpegLog, 'utf8').trim(),
+            `-y -hide_banner -loglevel error -ss 12.5 -i ${videoPath} -frames:v 1 -q:v 2 ${frame.filePath}`);
+        fs.rmSync(frame.filePath);
+    });
+
+    test('reports a time with no frame', async () => {
+        const { uploader, config } = await createPlatform('youtube');
+
+        await assert.rejects(uploader.resolveThumbnail(clipWith(config, { thumbnailTime: 120 })),
+            new RegExp(`No frame at 120s in ${videoPath}`));
+    });
+
+    test('sets the YouTube thumbnail and removes the extracted frame', async () => {
+        const { uploader, config } = await createPlatform('youtube');
+        const tempFiles = () => fs.readdirSync(os.tmpdir()).filter(file => file.startsWith(`smu_thumbnail_${process.pid}_`));
+
+        await uploader.setThumbnail('video123', clipWith(config, { thumbnailPath: imagePath }));
+        await uploader.setThumbnail('video456', clipWith(config, { thumbnailTime: 3 }));
+
+        assert.deepEqual(requests.map(req => req.url), [
+            '/upload/youtube/v3/thumbnails/set?videoId=video123',
+            '/upload/youtube/v3/thumbnails/set?videoId=video456'
+        ]);
+        assert.equal(requests[0].headers['content-type'], 'image/png');
+        assert.equal(requests[0].headers.authorization, 'Bearer token');
+        assert.equal(requests[0].body.toString(), 'PNGDATA');
+        assert.equal(requests[1].headers['content-type'], 'image/jpeg');
+        assert.equal(requests[1].body.toString(), 'JPEGDATA');
+        assert.deepEqual(tempFiles(), []);
+        assert.deepEqual(warnings, []);
+    });
+
+    test('logs a rejected or unusable YouTube thumbnail without failing', async () => {
+        const { uploader, config } = await createPlatform('youtube');
+
+        status = 403;
+        try {
+            await uploader.setThumbnail('video123', clipWith(config, { thumbnailPath: imagePath }));
+        } finally {
+            status = 200;
+        }
+
+        const largePath = path.join(directory, 'large.jpg');
+        fs.writeFileSync(largePath, Buffer.alloc(2 * 1024 * 1024 + 1));
+        await uploader.setThumbnail('video123', clipWith(config, { thumbnailPath: largePath }));
+        await uploader.setThumbnail('video123', clipWith(config, { thumbnailPath: 'https://cdn.example/cover.jpg' }));
+
+        assert.equal(requests.length, 1);
+        assert.match(warnings[0], /^Could not set YouTube thumbnail for video123: .*The channel is not verified/);
+        assert.equal(warnings[1], 'Could not set YouTube thumbnail for video123: image is 2.0MB (max 2MB)');
+        assert.equal(warnings[2], 'YouTube thumbnails must be local files - https://cdn.example/cover.jpg is ignored');
+    });
+
+    test('gives Instagram a cover URL or a frame offset', async () => {
+        const { uploader, config } = await createPlatform('instagram');
+
+        assert.deepEqual(uploader.getCoverParams(clipWith(config, { thumbnailPath: 'https://cdn.example/cover.jpg', thumbnailTime: 2 })),
+            { cover_url: 'https://cdn.example/cover.jpg' });
+        assert.deepEqual(uploader.getCoverParams(clipWith(config, { thumbnailPath: imagePath, thumbnailTime: 2.25 })), { thumb_offset: 2250 });
+        assert.deepEqual(uploader.getCoverParams(clipWith(config, {})), {});
+        assert.deepEqual(warnings, [`Instagram covers must be public image URLs - ${imagePath} is ignored`]);
+    });
+
+    test('picks up an image next to a clip in a folder', async () => {
+        const folder = path.join(directory, 'folder');
+        fs.mkdirSync(folder);
+        writeMp4(path.join(folder, 'with_cover.mp4'), { seconds: 10, width: 1080, height: 1920 });
+        fs.writeFileSync(path.join(folder, 'with_cover.jpg'), 'JPEGDATA');
+        writeMp4(path.join(folder, 'plain.mp4'), { seconds: 11, width: 1080, height: 1920 });
+
+        const clips = new SocialMediaUploader(testConfig()).getFolderClips(folder, { thumbnailTime: 4 });
+
+        const byName = Object.fromEntries(clips.map(clip => [path.basename(clip.filePath), clip]));
+        assert.equal(byName['with_cover.mp4'].thumbnailPath, path.join(folder, 'with_cover.jpg'));
+        assert.equal(byName['plain.mp4'].thumbnailPath, null);
+        assert.equal(byName['plain.mp4'].thumbnailTime, 4);
+    });
+});
@@ -0,0 +1,109 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { SocialMediaUploader, VideoClip } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, startServer, sendJson } = require('./helpers');
+
+const MB = 1024 * 1024;
+const FILE_SIZE = 11 * MB + 123;
+
+describe('TikTok Content Posting upload', () => {
+    const directory = useTempDir();
+    silenceLogger();
+
+    const filePath = path.join(directory, 'tiktok.mp4');
+    fs.writeFileSync(filePath, Buffer.alloc(FILE_SIZE, 3));
+
+    let api;
+    beforeEach(() => {
+        api = { privacyOptions: ['PUBLIC_TO_EVERYONE', 'SELF_ONLY'], statuses: ['PUBLISH_COMPLETE'], init: null, chunks: [], polls: 0 };
+    });
+
+    let baseUrl;
+    const serverUrl = startServer((req, res) => {
+        const ok = data => sendJson(res, 200, { data, error: { code: 'ok', message: '' } });
+
+        switch (req.url) {
+            case '/v2/post/publish/creator_info/query/':
+                return ok({ creator_username: 'creator', privacy_level_options: api.privacyOptions, duet_disabled: true });
+            case '/v2/post/publish/video/init/':
+                api.init = JSON.parse(req.body);
+                return ok({ publish_id: 'pub1', upload_url: `${baseUrl}/upload/pub1` });
+            case '/upload/pub1':
+                api.chunks.push({ range: req.headers['content-range'], size: req.body.length });
+                return res.writeHead(api.chunks.length === api.init.source_info.total_chunk_count ? 201 : 206).end();
+            case '/v2/post/publish/status/fetch/': {
+                const status = api.statuses[Math.min(api.polls++, api.statuses.length - 1)];
+                return ok({ status, fail_reason: status === 'FAILED' ? 'file_format_check_failed' : undefined, publicaly_available_post_id: [7001] });
+            }
+            default:
+                sendJson(res, 404, { error: { code: 'not_found', message: req.url } });
+        }
+    });
+
+    const createTikTok = async () => {
+        baseUrl = await serverUrl;
+        const config = testConfig();
+        Object.assign(config.TIKTOK, { API_BASE_URL: baseUrl, CHUNK_SIZE: 5 * MB, STATUS_POLL_INTERVAL_MS: 5 });
+
+        const tiktok = new SocialMediaUploader(config).uploaders.tiktok;
+        tiktok.authenticated = true;
+        tiktok.accessToken = 'tt-token';
+        return { tiktok, config };
+    };
+
+    test('splits files into chunks with the remainder in the last one', async () => {
+        const { tiktok, config } = await createTikTok();
+
+        assert.deepEqual(tiktok.computeChunks(3 * MB), { chunkSize: 3 * MB, totalChunkCount: 1 });
+        assert.deepEqual(tiktok.computeChunks(23 * MB), { chunkSize: 5 * MB, totalChunkCount: 4 });
+
+        config.TIKTOK.CHUNK_SIZE = MB;
+        assert.deepEqual(tiktok.computeChunks(12 * MB), { chunkSize: 5 * MB, totalChunkCount: 2 });
+    });
+
+    test('uploads the chunks and waits for the post to publish', async () => {
+        const { tiktok, config } = await createTikTok();
+        api.statuses = ['PROCESSING_UPLOAD', 'PUBLISH_COMPLETE'];
+        const clip = new VideoClip({ filePath, title: 'Dance', privacy: 'public' }, config);
+
+        const url = await tiktok.upload(clip);
+
+        assert.equal(url, 'https://www.tiktok.com/@creator/video/7001');
+        assert.equal(api.init.post_info.privacy_level, 'PUBLIC_TO_EVERYONE');
+        assert.equal(api.init.post_info.disable_duet, true);
+        assert.deepEqual(api.init.source_info, {
+            source: 'FILE_UPLOAD',
+            video_size: FILE_SIZE,
+            chunk_size: 5 * MB,
+            total_chunk_count: 2
+        });
+        assert.deepEqual(api.chunks, [
+            { range: `bytes 0-${5 * MB - 1}/${FILE_SIZE}`, size: 5 * MB },
+            { range: `bytes ${5 * MB}-${FILE_SIZE - 1}/${FILE_SIZE}`, size: FILE_SIZE - 5 * MB }
+        ]);
+        assert.equal(api.polls, 2);
+    });
+
+    test('refuses a privacy level the creator is not allowed to use', async () => {
+        const { tiktok, config } = await createTikTok();
+        api.privacyOptions = ['SELF_ONLY'];
+        const clip = new VideoClip({ filePath, title: 'Dance', privacy: 'public' }, config);
+
+        await assert.rejects(tiktok.upload(clip), error => error.code === 'privacy_level_not_allowed');
+        assert.equal(api.init, null);
+    });
+
+    test('reports the fail reason when publishing fails', async () => {
+        const { tiktok, config } = await createTikTok();
+        api.statuses = ['FAILED'];
+        const clip = new VideoClip({ filePath, title: 'Dance', privacy: 'private' }, config);
+
+        const error = await tiktok.upload(clip).catch(err => err);
+
+        assert.equal(error.code, 'file_format_check_failed');
+        assert.equal(tiktok.classifyError(error).category, 'non_retryable');
+    });
+});
@@ -0,0 +1,107 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    UploadScheduler,
+    VideoClip,
+    Logger,
+    parseScheduleTime,
+    nextDailyTime,
+    formatScheduleTime
+} = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, writeMp4 } = require('./helpers');
+
+const NEW_YORK = 'America/New_York';
+
+describe('parseScheduleTime', () => {
+    silenceLogger();
+
+    test('reads wall-clock times in the given timezone', () => {
+        assert.equal(parseScheduleTime('2026-01-15 14:30', NEW_YORK).toISOString(), '2026-01-15T19:30:00.000Z');
+        assert.equal(parseScheduleTime('2026-07-15 14:30', NEW_YORK).toISOString(), '2026-07-15T18:30:00.000Z');
+        assert.equal(parseScheduleTime('2026-01-15T14:30', 'Asia/Tokyo').toISOString(), '2026-01-15T05:30:00.000Z');
+        assert.equal(parseScheduleTime('2026-01-15', 'Europe/London').toISOString(), '2026-01-15T00:00:00.000Z');
+    });
+
+    test('keeps the offset of an ISO 8601 timestamp', () => {
+        assert.equal(parseScheduleTime('2026-01-15T14:30:00+01:00', NEW_YORK).toISOString(), '2026-01-15T13:30:00.000Z');
+        assert.equal(parseScheduleTime('2026-01-15T14:30:00Z', NEW_YORK).toISOString(), '2026-01-15T14:30:00.000Z');
+    });
+
+    test('moves a time skipped by the spring-forward jump past the gap', () => {
+        const warnings = [];
+        Logger.warning = message => warnings.push(message);
+
+        // 02:30 doesn't exist on 8 March 2026 in New York; 03:30 EDT does
+        assert.equal(parseScheduleTime('2026-03-08 02:30', NEW_YORK).toISOString(), '2026-03-08T07:30:00.000Z');
+        assert.match(warnings[0], /does not exist in America\/New_York \(clocks go forward\)/);
+    });
+
+    test('takes the first of a time repeated when clocks go back', () => {
+        const warnings = [];
+        Logger.warning = message => warnings.push(message);
+
+        // 01:30 happens in EDT and again in EST on 1 November 2026
+        assert.equal(parseScheduleTime('2026-11-01 01:30', NEW_YORK).toISOString(), '2026-11-01T05:30:00.000Z');
+        assert.match(warnings[0], /occurs twice in America\/New_York/);
+    });
+
+    test('rejects dates and times that roll over', () => {
+        assert.throws(() => parseScheduleTime('2026-02-30 10:00', NEW_YORK), /Invalid schedule time "2026-02-30 10:00"/);
+        assert.throws(() => parseScheduleTime('2026-01-15 25:00', NEW_YORK), /Invalid schedule time/);
+        assert.throws(() => parseScheduleTime('tomorrow', NEW_YORK), /Invalid schedule time/);
+    });
+});
+
+describe('nextDailyTime', () => {
+    silenceLogger();
+
+    test('keeps the local time across the DST change', () => {
+        // 15:00 EST on the Saturday before clocks go forward
+        const next = nextDailyTime('09:00', NEW_YORK, new Date('2026-03-07T20:00:00Z'));
+
+        assert.equal(next.date.toISOString(), '2026-03-08T13:00:00.000Z');
+        assert.equal(next.timeZone, NEW_YORK);
+    });
+
+    test('uses a zone given with the time over the default', () => {
+        const next = nextDailyTime('09:00 Asia/Tokyo', NEW_YORK, new Date('2026-01-15T00:30:00Z'));
+
+        assert.equal(next.date.toISOString(), '2026-01-16T00:00:00.000Z');
+        assert.equal(next.timeZone, 'Asia/Tokyo');
+    });
+
+    test('rejects malformed times and unknown zones', () => {
+        assert.throws(() => nextDailyTime('9am', NEW_YORK), /Invalid daily time "9am"/);
+        assert.throws(() => nextDailyTime('09:00 Mars/Olympus', NEW_YORK), /Unknown timezone "Mars\/Olympus"/);
+    });
+});
+
+describe('Scheduling in CONFIG.TIMEZONE', () => {
+    useTempDir();
+    silenceLogger();
+    writeMp4('clip.mp4', { seconds: 30, width: 1080, height: 1920 });
+
+    test('stores the instant and the zone the job was scheduled in', () => {
+        const config = testConfig();
+        config.TIMEZONE = 'Europe/London';
+        const scheduler = new UploadScheduler(config);
+        const clip = new VideoClip({ filePath: 'clip.mp4', title: 'Clip', platforms: ['youtube'] }, config);
+
+        const summer = scheduler.scheduleUpload(clip, '2099-07-01 10:00');
+        const tokyo = scheduler.scheduleUpload(clip, '2099-07-01 10:00', 'Asia/Tokyo');
+
+        const jobs = Object.fromEntries(scheduler.getScheduledJobs().map(job => [job.id, job]));
+        assert.equal(jobs[summer].scheduleTime.toISOString(), '2099-07-01T09:00:00.000Z');
+        assert.equal(jobs[summer].timeZone, 'Europe/London');
+        assert.equal(jobs[tokyo].scheduleTime.toISOString(), '2099-07-01T01:00:00.000Z');
+        assert.equal(jobs[tokyo].timeZone, 'Asia/Tokyo');
+    });
+
+    test('formats times as UTC with the local reading', () => {
+        assert.equal(
+            formatScheduleTime(new Date('2026-01-15T19:30:00Z'), NEW_YORK),
+            '2026-01-15T19:30:00.000Z (2026-01-15 14:30 EST, America/New_York)'
+        );
+    });
+});
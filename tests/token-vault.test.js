@@ -0,0 +1,136 @@
+const { test, describe, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+
+const { SocialMediaUploader, TokenVault, FileLock, OAuthClient } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig } = require('./helpers');
+
+const PASSPHRASE_ENV = 'SMU_TEST_VAULT_PASSPHRASE';
+
+useTempDir();
+silenceLogger();
+
+function vaultConfig(file = 'vault.json') {
+    const config = testConfig();
+    config.TOKEN_VAULT.FILE = file;
+    config.TOKEN_VAULT.PASSPHRASE_ENV = PASSPHRASE_ENV;
+    config.JOB_STORE.LOCK_TIMEOUT_MS = 200;
+    return config;
+}
+
+describe('TokenVault', () => {
+    process.env[PASSPHRASE_ENV] = 'correct horse';
+    after(() => delete process.env[PASSPHRASE_ENV]);
+
+    test('encrypts tokens at rest and reads them back', async () => {
+        const config = vaultConfig('roundtrip.json');
+        await new TokenVault(config).set('youtube', { accessToken: 'secret-access', refreshToken: 'secret-refresh' }, 'brand');
+
+        const raw = fs.readFileSync('roundtrip.json', 'utf8');
+        assert.ok(!raw.includes('secret-access'));
+        assert.equal(JSON.parse(raw).cipher, 'aes-256-gcm');
+        assert.equal(fs.statSync('roundtrip.json').mode & 0o777, 0o600);
+
+        const tokens = new TokenVault(config).get('youtube', 'brand');
+        assert.equal(tokens.accessToken, 'secret-access');
+        assert.equal(tokens.refreshToken, 'secret-refresh');
+    });
+
+    test('refuses to open with the wrong passphrase', async () => {
+        const config = vaultConfig('wrong.json');
+        await new TokenVault(config).set('tiktok', { accessToken: 'a' });
+
+        process.env[PASSPHRASE_ENV] = 'wrong';
+        try {
+            assert.throws(() => new TokenVault(config).get('tiktok'), /wrong passphrase or key file/);
+        } finally {
+            process.env[PASSPHRASE_ENV] = 'correct horse';
+        }
+    });
+
+    test('is locked without a passphrase or key file', () => {
+        const config = vaultConfig('locked.json');
+        config.TOKEN_VAULT.PASSPHRASE_ENV = 'SMU_TEST_UNSET_PASSPHRASE';
+        const vault = new TokenVault(config);
+
+        assert.equal(vault.isUnlockable(), false);
+        assert.throws(() => vault.deriveKey(Buffer.alloc(16)), /Token vault is locked/);
+    });
+
+    test('keeps tokens another process saved after this one loaded the vault', async () => {
+        const config = vaultConfig('shared.json');
+        const first = new TokenVault(config);
+        const second = new TokenVault(config);
+        first.load();
+
+        await second.set('linkedin', { accessToken: 'from-second' });
+        await first.set('youtube', { accessToken: 'from-first' });
+
+        const vault = new TokenVault(config);
+        assert.equal(vault.get('linkedin').accessToken, 'from-second');
+        assert.equal(vault.get('youtube').accessToken, 'from-first');
+    });
+
+    test('refreshes a token about to expire and saves the new one', async () => {
+        const config = vaultConfig('refresh.json');
+        const vault = new TokenVault(config);
+        await vault.set('youtube', {
+            accessToken: 'old',
+            refreshToken: 'refresh',
+            expiresAt: new Date(Date.now() + 60 * 1000).toISOString()
+        });
+
+        const refreshAccessToken = OAuthClient.prototype.refreshAccessToken;
+        OAuthClient.prototype.refreshAccessToken = async refreshToken => ({
+            accessToken: `new-from-${refreshToken}`,
+            refreshToken,
+            expiresAt: new Date(Date.now() + 3600 * 1000).toISOString()
+        });
+
+        try {
+            const youtube = new SocialMediaUploader(config).uploaders.youtube;
+            await youtube.ensureFreshToken();
+
+            assert.equal(youtube.accessToken, 'new-from-refresh');
+            assert.equal(new TokenVault(config).get('youtube').accessToken, 'new-from-refresh');
+        } finally {
+            OAuthClient.prototype.refreshAccessToken = refreshAccessToken;
+        }
+    });
+});
+
+describe('FileLock', () => {
+    test('is held by one owner at a time', () => {
+        const first = new FileLock('held.json', 5000);
+        const second = new FileLock('held.json', 5000);
+
+        first.acquire();
+        assert.equal(second.tryAcquire(), false);
+
+        first.release();
+        assert.equal(second.tryAcquire(), true);
+        second.release();
+        assert.equal(fs.existsSync('held.json.lock'), false);
+    });
+
+    test('takes over an abandoned lock', () => {
+        fs.writeFileSync('abandoned.json.lock', 'gone@host:1');
+        const past = new Date(Date.now() - 60 * 1000);
+        fs.utimesSync('abandoned.json.lock', past, past);
+
+        const lock = new FileLock('abandoned.json', 100);
+        lock.acquire();
+
+        assert.equal(lock.readToken(), lock.token);
+        lock.release();
+    });
+
+    test('leaves a lock that another process took over in place on release', () => {
+        const lock = new FileLock('taken.json', 100);
+        lock.acquire();
+        fs.writeFileSync('taken.json.lock', 'other@host:2');
+
+        lock.release();
+        assert.equal(fs.readFileSync('taken.json.lock', 'utf8'), 'other@host:2');
+    });
+});
@@ -0,0 +1,181 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { SocialMediaUploader, VideoClip } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, createUploader, writeMp4 } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Transcoder', () => {
+    const directory = useTempDir();
+    silenceLogger();
+
+    describe('arguments', () => {
+        const transcoderFor = (adaptAspect = 'crop') => {
+            const config = testConfig();
+            config.TRANSCODE.ADAPT_ASPECT = adaptAspect;
+            return new SocialMediaUploader(config).transcoder;
+        };
+        const landscape = { width: 1920, height: 1080, duration: 120 };
+        const filterOf = args => args[args.indexOf('-vf') + 1];
+
+        test('crops or pads toward the first allowed aspect ratio', () => {
+            const spec = { aspectRatios: ['9:16'] };
+
+            assert.equal(filterOf(transcoderFor().buildArguments(landscape, spec)),
+                "crop='min(iw,ih*9/16)':'min(ih,iw*16/9)',scale=trunc(iw/2)*2:trunc(ih/2)*2,setsar=1");
+            assert.equal(filterOf(transcoderFor('pad').buildArguments(landscape, spec)),
+                "pad='max(iw,ih*9/16)':'max(ih,iw*16/9)':(ow-iw)/2:(oh-ih)/2:black,scale=trunc(iw/2)*2:trunc(ih/2)*2,setsar=1");
+        });
+
+        test('makes landscape video vertical only when the spec asks for it', () => {
+            const transcoder = transcoderFor();
+            const spec = { orientation: 'vertical' };
+
+            assert.match(filterOf(transcoder.buildArguments(landscape, spec)), /^crop='min\(iw,ih\*9\/16\)'/);
+            assert.match(filterOf(transcoder.buildArguments({ width: 1080, height: 1920, duration: 30 }, spec)), /^scale=/);
+            assert.match(filterOf(transcoder.buildArguments(landscape, {})), /^scale=/);
+        });
+
+        test('trims to the maximum duration and caps the bitrate to the size limit', () => {
+            const args = transcoderFor().buildArguments(landscape, { maxDuration: 100, maxSizeMB: 10 });
+
+            assert.deepEqual(args.slice(0, 2), ['-t', '100']);
+            // 10MB * 0.95 headroom over 100s, less 128kbps of audio
+            assert.equal(args[args.indexOf('-maxrate') + 1], '668917');
+            assert.equal(args[args.indexOf('-bufsize') + 1], '1337834');
+            assert.equal(transcoderFor().buildArguments(landscape, {}).includes('-t'), false);
+        });
+
+        test('refuses a duration that cannot fit the size limit', () => {
+            assert.throws(() => transcoderFor().buildArguments({ width: 1920, height: 1080, duration: 600 }, { maxSizeMB: 1 }),
+                /600s of video cannot fit in 1MB/);
+        });
+    });
+
+    describe('platform renditions', () => {
+        // A stand-in ffmpeg that logs its arguments and writes a vertical clip
+        // to the output path, or fails when told to
+        const ffmpegLog = path.join(directory, 'ffmpeg.log');
+        const rendered = path.join(directory, 'rendered.mp4');
+        writeMp4(rendered, { seconds: 20, width: 1080, height: 1920 });
+        const fakeFfmpeg = (name, body) => {
+            const script = path.join(directory, name);
+            fs.writeFileSync(script, `#!/bin/sh\necho "$@" >> "${ffmpegLog}"\n${body}\n`);
+            fs.chmodSync(script, 0o755);
+            return script;
+        };
+        const workingFfmpeg = fakeFfmpeg('ffmpeg-ok', `for last; do :; done\ncp "${rendered}" "$last"`);
+        const unchangedFfmpeg = fakeFfmpeg('ffmpeg-copy', 'for last; do :; done\ncp "$6" "$last"');
+        const failingFfmpeg = fakeFfmpeg('ffmpeg-fail', 'echo "Input #0, mov" >&2\necho "Unknown encoder libx264" >&2\nexit 1');
+
+        const ffmpegCalls = () => (fs.existsSync(ffmpegLog) ? fs.readFileSync(ffmpegLog, 'utf8').trim().split('\n') : []);
+
+        let config;
+        let uploads;
+        let uploader;
+        let file = 0;
+        beforeEach(() => {
+            fs.rmSync(ffmpegLog, { force: true });
+            config = testConfig();
+            config.UPLOAD_LEDGER.FILE = `ledger-${file++}.json`;
+            config.TRANSCODE.ENABLED = true;
+            config.TRANSCODE.FFMPEG_PATH = workingFfmpeg;
+            config.TRANSCODE.CACHE_DIRECTORY = `renditions-${file}`;
+            uploads = [];
+            uploader = createUploader(config, (platform, clip) => {
+                uploads.push(clip.filePath);
+                return `https://${platform}.example/${uploads.length}`;
+            });
+        });
+
+        // Landscape, so Instagram needs a 9:16 rendition
+        const landscapeClip = (seconds = 20) => {
+            const filePath = path.join(directory, `landscape${file}.mp4`);
+            writeMp4(filePath, { seconds, width: 1920, height: 1080 });
+            return new VideoClip({ filePath, title: 'Landscape', platforms: ['instagram'] }, config);
+        };
+
+        test('uploads a rendition that fits the platform', async () => {
+            const clip = landscapeClip();
+
+            const result = await uploader.uploadClips([clip], { saveCheckpoint: false });
+
+            assert.deepEqual(result.failed, []);
+            assert.equal(result.results[clip.filePath].platforms.instagram.success, true);
+            assert.equal(uploads.length, 1);
+            assert.equal(path.dirname(uploads[0]), config.TRANSCODE.CACHE_DIRECTORY);
+            assert.match(path.basename(uploads[0]), /^[0-9a-f]{16}_[0-9a-f]{8}\.mp4$/);
+
+            const [call] = ffmpegCalls();
+            assert.ok(call.includes(`-i ${clip.filePath}`));
+            assert.ok(call.includes("-vf crop='min(iw,ih*9/16)'"));
+            // Nothing but the finished rendition is left behind
+            assert.deepEqual(fs.readdirSync(config.TRANSCODE.CACHE_DIRECTORY), [path.basename(uploads[0])]);
+        });
+
+        test('reuses the cached rendition on later runs', async () => {
+            const clip = landscapeClip();
+            await uploader.uploadClips([clip], { saveCheckpoint: false });
+
+            const rendition = uploads[0];
+            const stale = new Date(Date.now() - DAY);
+            fs.utimesSync(rendition, stale, stale);
+
+            await uploader.uploadClips([clip], { saveCheckpoint: false, force: true });
+
+            assert.deepEqual(uploads, [rendition, rendition]);
+            assert.equal(ffmpegCalls().length, 1);
+            // Using a rendition keeps it from expiring
+            assert.ok(fs.statSync(rendition).mtimeMs > Date.now() - 60 * 1000);
+        });
+
+        test('fails the platform with the last line ffmpeg printed', async () => {
+            config.TRANSCODE.FFMPEG_PATH = failingFfmpeg;
+            const clip = landscapeClip();
+
+            const result = await uploader.uploadClips([clip], { saveCheckpoint: false });
+
+            assert.deepEqual(uploads, []);
+            assert.equal(result.results[clip.filePath].platforms.instagram.error, 'ffmpeg exited with code 1: Unknown encoder libx264');
+            assert.deepEqual(result.failed, ['Landscape -> instagram: ffmpeg exited with code 1: Unknown encoder libx264']);
+            // The partial encode is removed, so the next run encodes again
+            assert.deepEqual(fs.readdirSync(config.TRANSCODE.CACHE_DIRECTORY), []);
+        });
+
+        test('explains a missing ffmpeg', async () => {
+            config.TRANSCODE.FFMPEG_PATH = path.join(directory, 'no-ffmpeg-here');
+            const clip = landscapeClip();
+
+            const result = await uploader.uploadClips([clip], { saveCheckpoint: false });
+
+            assert.match(result.results[clip.filePath].platforms.instagram.error, /^ffmpeg not found at ".*no-ffmpeg-here" - install it or set TRANSCODE\.FFMPEG_PATH$/);
+        });
+
+        test('rejects a rendition that still breaks the spec', async () => {
+            // This stand-in copies the input through without cropping it
+            config.TRANSCODE.FFMPEG_PATH = unchangedFfmpeg;
+            const clip = landscapeClip();
+
+            const result = await uploader.uploadClips([clip], { saveCheckpoint: false });
+
+            assert.deepEqual(uploads, []);
+            assert.match(result.results[clip.filePath].platforms.instagram.error, /^Rendition for instagram still does not fit: 1920x1080 is 16:9 \(needs 9:16\)$/);
+        });
+
+        test('removes renditions unused for longer than the retention period', () => {
+            const cache = config.TRANSCODE.CACHE_DIRECTORY;
+            fs.mkdirSync(cache);
+            fs.writeFileSync(path.join(cache, 'old.mp4'), '');
+            fs.writeFileSync(path.join(cache, 'recent.mp4'), '');
+            const expired = new Date(Date.now() - 8 * DAY);
+            fs.utimesSync(path.join(cache, 'old.mp4'), expired, expired);
+
+            uploader.transcoder.cleanup();
+
+            assert.deepEqual(fs.readdirSync(cache), ['recent.mp4']);
+        });
+    });
+});
@@ -0,0 +1,160 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { SocialMediaUploader, VideoClip, OAuth1Signer } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, startServer, sendJson } = require('./helpers');
+
+describe('OAuth1Signer', () => {
+    // The worked example from X's "Creating a signature" guide
+    test('matches the documented HMAC-SHA1 signature', () => {
+        const signer = new OAuth1Signer({
+            consumerKey: 'xvz1evFS4wEEPTGEFPHBog',
+            consumerSecret: 'kAcSOqF21Fu85e7zjz7ZN2U4ZRhfV3WpwPAoE3Z7kBw',
+            token: '370773112-GmHxMAgYyLbNEtIKZeRNFsMKPR9EyMZeS9weJAEb',
+            tokenSecret: 'LswwdoUaIvS8ltyTt5jkRh4J50vUPVVHtR2YPi5kE'
+        });
+
+        const header = signer.sign(
+            'POST',
+            'https://api.twitter.com/1.1/statuses/update.json?include_entities=true',
+            { status: 'Hello Ladies + Gentlemen, a signed OAuth request!' },
+            { nonce: 'kYjzVBB8Y0ZFabxSWbWovY3uYSQ2pTgmZeNu2VS4cg', timestamp: 1318622958 }
+        );
+
+        assert.match(header, /^OAuth /);
+        assert.ok(header.includes('oauth_signature="hCtSmYh%2BiHYCEqBWrE7C7hYmtUk%3D"'));
+        assert.ok(header.includes('oauth_consumer_key="xvz1evFS4wEEPTGEFPHBog"'));
+    });
+
+    test('percent-encodes the characters encodeURIComponent leaves alone', () => {
+        assert.equal(OAuth1Signer.percentEncode("it's (really) fine!*"), 'it%27s%20%28really%29%20fine%21%2A');
+    });
+});
+
+describe('Twitter media upload', () => {
+    const directory = useTempDir();
+    silenceLogger();
+
+    const filePath = path.join(directory, 'tweet.mp4');
+    fs.writeFileSync(filePath, Buffer.alloc(2500, 9));
+
+    // Each request is logged as "METHOD path COMMAND"
+    let calls;
+    let headers;
+    let tweet;
+    beforeEach(() => {
+        calls = [];
+        headers = [];
+        tweet = null;
+    });
+
+    const commandOf = (req, url) => {
+        const body = req.body.toString();
+        const multipart = /name="command"\r\n\r\n(\w+)/.exec(body);
+        if (multipart) return multipart[1];
+        if (req.headers['content-type'] === 'application/x-www-form-urlencoded') return new URLSearchParams(body).get('command');
+        return url.searchParams.get('command') || '';
+    };
+
+    const serverUrl = startServer((req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const command = commandOf(req, url);
+        calls.push(`${req.method} ${url.pathname} ${command}`.trim());
+        headers.push(req.headers.authorization);
+
+        const pending = { processing_info: { state: 'pending', check_after_secs: 1 } };
+        const done = { processing_info: { state: 'succeeded' } };
+
+        if (url.pathname === '/2/tweets') {
+            tweet = JSON.parse(req.body);
+            return sendJson(res, 201, { data: { id: '999', text: tweet.text } });
+        }
+        if (url.pathname === '/1.1/media/upload.json') {
+            if (command === 'INIT') return sendJson(res, 202, { media_id_string: 'M11' });
+            if (command === 'APPEND') return res.writeHead(204).end();
+            if (command === 'FINALIZE') return sendJson(res, 201, pending);
+            return sendJson(res, 200, done);
+        }
+        if (url.pathname === '/2/media/upload/initialize') return sendJson(res, 200, { data: { id: 'M2' } });
+        if (url.pathname === '/2/media/upload/M2/append') return sendJson(res, 200, {});
+        if (url.pathname === '/2/media/upload/M2/finalize') return sendJson(res, 200, { data: pending });
+        if (url.pathname === '/2/media/upload') return sendJson(res, 200, { data: done });
+        sendJson(res, 404, { errors: [{ message: 'not found' }] });
+    });
+
+    const createTwitter = async (oauth1) => {
+        const baseUrl = await serverUrl;
+        const config = testConfig();
+        Object.assign(config.TWITTER, { UPLOAD_BASE_URL: baseUrl, API_BASE_URL: baseUrl, CHUNK_SIZE: 1000 });
+        if (oauth1) {
+            Object.assign(config.TWITTER, { API_KEY: 'key', API_SECRET: 'secret', ACCESS_TOKEN: 'token', ACCESS_TOKEN_SECRET: 'token-secret' });
+        }
+
+        const twitter = new SocialMediaUploader(config).uploaders.twitter;
+        twitter.sleep = async () => {};
+        if (!oauth1) {
+            twitter.accessToken = 'bearer-token';
+            twitter.authenticated = true;
+        }
+        return { twitter, clip: new VideoClip({ filePath, title: 'Clip', description: 'New video', tags: [] }, config) };
+    };
+
+    test('uses the v1.1 endpoint with OAuth 1.0a keys', async () => {
+        const { twitter, clip } = await createTwitter(true);
+
+        const url = await twitter.upload(clip);
+
+        assert.equal(url, 'https://twitter.com/i/web/status/999');
+        assert.deepEqual(calls, [
+            'POST /1.1/media/upload.json INIT',
+            'POST /1.1/media/upload.json APPEND',
+            'POST /1.1/media/upload.json APPEND',
+            'POST /1.1/media/upload.json APPEND',
+            'POST /1.1/media/upload.json FINALIZE',
+            'GET /1.1/media/upload.json STATUS',
+            'POST /2/tweets'
+        ]);
+        assert.ok(headers.every(header => header.startsWith('OAuth ') && header.includes('oauth_signature=')));
+    });
+
+    test('uses the v2 endpoints with an OAuth 2.0 token', async () => {
+        const { twitter, clip } = await createTwitter(false);
+
+        await twitter.upload(clip);
+
+        assert.deepEqual(calls, [
+            'POST /2/media/upload/initialize',
+            'POST /2/media/upload/M2/append',
+            'POST /2/media/upload/M2/append',
+            'POST /2/media/upload/M2/append',
+            'POST /2/media/upload/M2/finalize',
+            'GET /2/media/upload STATUS',
+            'POST /2/tweets'
+        ]);
+        assert.ok(headers.every(header => header === 'Bearer bearer-token'));
+    });
+
+    test('drops hashtags until the tweet fits and attaches the media', async () => {
+        const { twitter, clip } = await createTwitter(false);
+        clip.title = '字'.repeat(135);
+        clip.tags = ['first', 'second', 'third'];
+
+        await twitter.upload(clip);
+
+        assert.equal(tweet.text, `${clip.title} #first`);
+        assert.equal(twitter.measureText(tweet.text), 277);
+        assert.deepEqual(tweet.media, { media_ids: ['M2'] });
+    });
+
+    test('cuts a title over the weighted limit', async () => {
+        const { twitter, clip } = await createTwitter(false);
+        clip.title = '字'.repeat(141);
+
+        await twitter.upload(clip);
+
+        assert.match(tweet.text, /^字+…$/);
+        assert.ok(twitter.measureText(tweet.text) <= 280);
+    });
+});
@@ -0,0 +1,85 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const { VideoClip } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, createUploader, writeMp4 } = require('./helpers');
+
+describe('uploadClips platform selection', () => {
+    const directory = useTempDir();
+    silenceLogger();
+
+    // Each file gets its own length, so the ledger doesn't see duplicates
+    let seconds = 20;
+    const clipFile = name => {
+        const filePath = path.join(directory, name);
+        writeMp4(filePath, { seconds: seconds++, width: 1080, height: 1920 });
+        return filePath;
+    };
+
+    test('uploads each clip to its own platforms only', async () => {
+        const calls = [];
+        const config = testConfig();
+        const uploader = createUploader(config, (platform, clip) => {
+            calls.push(`${clip.title} -> ${platform}`);
+            return `https://${platform}.example/${clip.title}`;
+        });
+
+        const clips = [
+            new VideoClip({ filePath: clipFile('a.mp4'), title: 'A', platforms: ['youtube'] }, config),
+            new VideoClip({ filePath: clipFile('b.mp4'), title: 'B', platforms: ['tiktok', 'linkedin'] }, config)
+        ];
+        const result = await uploader.uploadClips(clips);
+
+        assert.deepEqual(calls.sort(), ['A -> youtube', 'B -> linkedin', 'B -> tiktok']);
+        assert.deepEqual(Object.keys(result.results[clips[0].filePath].platforms), ['youtube']);
+        assert.equal(result.results[clips[1].filePath].platforms.tiktok.url, 'https://tiktok.example/B');
+        assert.deepEqual(result.failed, []);
+    });
+
+    test('keys failures by clip and platform', async () => {
+        const config = testConfig();
+        const uploader = createUploader(config, platform => {
+            if (platform === 'linkedin') {
+                throw Object.assign(new Error('bad request'), { status: 400 });
+            }
+            return `https://${platform}.example/post`;
+        });
+
+        const clip = new VideoClip({ filePath: clipFile('c.mp4'), title: 'C', platforms: ['youtube', 'linkedin'] }, config);
+        const result = await uploader.uploadClips([clip]);
+
+        const platforms = result.results[clip.filePath].platforms;
+        assert.equal(platforms.youtube.success, true);
+        assert.equal(platforms.linkedin.success, false);
+        assert.deepEqual(result.failed, ['C -> linkedin: bad request']);
+    });
+
+    test('rejects unknown platforms before uploading anything', async () => {
+        let uploads = 0;
+        const config = testConfig();
+        const uploader = createUploader(config, () => {
+            uploads++;
+            return 'https://example/post';
+        });
+
+        const clips = [
+            new VideoClip({ filePath: clipFile('d.mp4'), title: 'D', platforms: ['youtube'] }, config),
+            new VideoClip({ filePath: clipFile('e.mp4'), title: 'E', platforms: ['myspace'] }, config)
+        ];
+
+        await assert.rejects(uploader.uploadClips(clips), /Unknown platform\(s\): myspace/);
+        assert.equal(uploads, 0);
+    });
+
+    test('schedules one single-platform job per platform slot', () => {
+        const config = testConfig();
+        const uploader = createUploader(config);
+        const clip = new VideoClip({ filePath: clipFile('f.mp4'), title: 'F', platforms: ['youtube', 'tiktok'] }, config);
+
+        const jobIds = uploader.scheduleUpload(clip, null, { youtube: '09:00', tiktok: '18:30' });
+
+        const jobs = uploader.getScheduledJobs().filter(job => jobIds.includes(job.id));
+        assert.deepEqual(jobs.map(job => job.clip.platforms).sort(), [['tiktok'], ['youtube']]);
+    });
+});
@@ -0,0 +1,110 @@
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { SocialMediaUploader, VideoClip } = require('../social_media_uploader_js');
+const { useTempDir, silenceLogger, testConfig, startServer, sendJson } = require('./helpers');
+
+const CHUNK_SIZE = 256 * 1024;
+const FILE_SIZE = 2 * CHUNK_SIZE + 1000;
+
+describe('YouTube resumable upload', () => {
+    const directory = useTempDir();
+    silenceLogger();
+
+    const filePath = path.join(directory, 'clip.mp4');
+    fs.writeFileSync(filePath, Buffer.alloc(FILE_SIZE, 7));
+
+    // The stand-in keeps the bytes it has stored and, when short is set,
+    // stores only that many bytes of the next chunk
+    let server;
+    beforeEach(() => {
+        server = { sessions: 0, metadata: null, headers: null, ranges: [], stored: 0, short: null, failChunk: null };
+    });
+
+    let baseUrl;
+    const serverUrl = startServer((req, res) => {
+        if (req.method === 'POST' && req.url.startsWith('/upload/youtube/v3/videos')) {
+            server.sessions++;
+            server.metadata = JSON.parse(req.body);
+            server.headers = req.headers;
+            res.writeHead(200, { Location: `${baseUrl}/session/${server.sessions}` });
+            return res.end();
+        }
+
+        const range = req.headers['content-range'];
+        server.ranges.push(range);
+
+        if (range.startsWith('bytes */')) {
+            return res.writeHead(308, server.stored > 0 ? { Range: `bytes=0-${server.stored - 1}` } : {}).end();
+        }
+
+        if (server.failChunk === server.ranges.length) {
+            return sendJson(res, 400, { error: { message: 'bad chunk' } });
+        }
+
+        server.stored += server.short !== null ? server.short : req.body.length;
+        server.short = null;
+
+        if (server.stored >= FILE_SIZE) {
+            return sendJson(res, 200, { id: 'video123' });
+        }
+        res.writeHead(308, { Range: `bytes=0-${server.stored - 1}` }).end();
+    });
+
+    const createYouTube = async () => {
+        baseUrl = await serverUrl;
+
+        const config = testConfig();
+        config.YOUTUBE.API_BASE_URL = baseUrl;
+        config.YOUTUBE.CHUNK_SIZE = CHUNK_SIZE;
+
+        const youtube = new SocialMediaUploader(config).uploaders.youtube;
+        youtube.authenticated = true;
+        youtube.accessToken = 'token';
+        return { youtube, clip: new VideoClip({ filePath, title: 'Launch', privacy: 'unlisted' }, config) };
+    };
+
+    test('creates a session and uploads the file in chunks', async () => {
+        const { youtube, clip } = await createYouTube();
+
+        const url = await youtube.upload(clip);
+
+        assert.equal(url, 'https://www.youtube.com/watch?v=video123');
+        assert.equal(server.sessions, 1);
+        assert.equal(server.metadata.snippet.title, 'Launch');
+        assert.equal(server.metadata.status.privacyStatus, 'unlisted');
+        assert.equal(server.headers['x-upload-content-length'], String(FILE_SIZE));
+        assert.deepEqual(server.ranges, [
+            `bytes 0-${CHUNK_SIZE - 1}/${FILE_SIZE}`,
+            `bytes ${CHUNK_SIZE}-${2 * CHUNK_SIZE - 1}/${FILE_SIZE}`,
+            `bytes ${2 * CHUNK_SIZE}-${FILE_SIZE - 1}/${FILE_SIZE}`
+        ]);
+    });
+
+    test('resends from the offset in the 308 Range header', async () => {
+        const { youtube, clip } = await createYouTube();
+        server.short = 1000;
+
+        await youtube.upload(clip);
+
+        assert.equal(server.ranges[1], `bytes 1000-${1000 + CHUNK_SIZE - 1}/${FILE_SIZE}`);
+        assert.equal(server.stored, FILE_SIZE);
+    });
+
+    test('resumes an interrupted session on the next attempt', async () => {
+        const { youtube, clip } = await createYouTube();
+        server.failChunk = 2;
+
+        await assert.rejects(youtube.upload(clip), /Chunk upload failed/);
+        assert.equal(server.stored, CHUNK_SIZE);
+
+        const url = await youtube.upload(clip);
+
+        assert.equal(url, 'https://www.youtube.com/watch?v=video123');
+        assert.equal(server.sessions, 1);
+        assert.equal(server.ranges[2], `bytes */${FILE_SIZE}`);
+        assert.equal(server.ranges[3], `bytes ${CHUNK_SIZE}-${2 * CHUNK_SIZE - 1}/${FILE_SIZE}`);
+    });
+});